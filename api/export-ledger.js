@@ -0,0 +1,57 @@
+/**
+ * Read-only view of the export ledger for audits.
+ *
+ * `GET /api/export-ledger` returns every ledger entry, i.e. which Qoyod
+ * journal entry was created for each Pemo transaction and its export
+ * status. Supported query parameters:
+ *   - status:        Only entries with this status (posted, exported, failed).
+ *   - transactionId: Only the entry for this Pemo transaction.
+ *   - entity:        Whose ledger, when several entities are configured
+ *                    (see `lib/entities.js`).
+ *
+ * Requires the same credentials as the sync endpoint (see `lib/auth.js`).
+ */
+
+const { authorizeRequest } = require('../lib/auth');
+const { requestEntity } = require('../lib/entities');
+const { getLedger } = require('../lib/export-ledger');
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const auth = authorizeRequest(req);
+  if (!auth.ok) {
+    res.status(auth.status).json({ error: auth.error });
+    return;
+  }
+
+  const target = requestEntity(req);
+  if (!target.ok) {
+    res.status(target.status).json({ error: target.error });
+    return;
+  }
+
+  const query = req.query || {};
+
+  try {
+    const ledger = getLedger(target.entity.env);
+    if (query.transactionId) {
+      const entry = await ledger.get(query.transactionId);
+      if (!entry) {
+        res.status(404).json({ error: `No ledger entry for transaction ${query.transactionId}` });
+        return;
+      }
+      res.status(200).json({ entry });
+      return;
+    }
+
+    const entries = await ledger.list({ status: query.status });
+    res.status(200).json({ count: entries.length, entries });
+  } catch (error) {
+    console.error('Error reading export ledger:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,75 @@
+/**
+ * Receiver for Pemo webhook events.
+ *
+ * `POST /api/pemo-webhook` accepts transaction events from Pemo and posts
+ * the transaction to Qoyod immediately, with the same transformation as the
+ * scheduled sync (see `lib/pemo-webhook.js`). The cron job keeps sweeping
+ * up whatever a webhook missed.
+ *
+ * Deliveries must carry an `X-Pemo-Signature` made with
+ * `PEMO_WEBHOOK_SECRET` over the raw body (see `verifyWebhook()` in
+ * `lib/auth.js`); unsigned or tampered deliveries are rejected with 401.
+ * When several entities are configured (see `lib/entities.js`), each
+ * entity's Pemo account delivers to `?entity=<id>` and signs with that
+ * entity's secret.
+ * Every handled event is acknowledged with 200, including transactions that
+ * failed to post (the sweeper retries them); a 500 asks Pemo to redeliver
+ * when the event could not be processed at all.
+ */
+
+const { readRawBody, verifyWebhook } = require('../lib/auth');
+const { requestEntity } = require('../lib/entities');
+const { isRetryable } = require('../lib/http-client');
+const { handleWebhookEvent } = require('../lib/pemo-webhook');
+const { missingSettings } = require('../lib/sync');
+
+module.exports = async (req, res) => {
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const target = requestEntity(req);
+  if (!target.ok) {
+    res.status(target.status).json({ error: target.error });
+    return;
+  }
+  const { env } = target.entity;
+
+  const rawBody = await readRawBody(req);
+  if (rawBody === null) {
+    res.status(400).json({ error: 'Could not read the raw request body' });
+    return;
+  }
+  const auth = verifyWebhook(req, rawBody, env);
+  if (!auth.ok) {
+    res.status(auth.status).json({ error: auth.error });
+    return;
+  }
+
+  const missing = missingSettings(env);
+  if (missing.length > 0) {
+    res.status(500).json({
+      error: `Missing required environment variables: ${missing.join(', ')}`
+    });
+    return;
+  }
+
+  let body;
+  try {
+    body = JSON.parse(rawBody);
+  } catch (error) {
+    res.status(400).json({ error: 'Body is not valid JSON' });
+    return;
+  }
+
+  try {
+    res.status(200).json(await handleWebhookEvent(body, env));
+  } catch (error) {
+    console.error('Error handling Pemo webhook:', error);
+    res.status(500).json({ error: error.message, retryable: isRetryable(error) });
+  }
+};
+
+// The signature covers the raw body, which the platform's body parser would consume.
+module.exports.config = { api: { bodyParser: false } };
@@ -0,0 +1,93 @@
+/**
+ * Reconciliation of Pemo and Qoyod for a date range.
+ *
+ * `GET /api/reconcile?from=YYYY-MM-DD&to=YYYY-MM-DD` lists the Pemo
+ * transactions exported in the range that are missing in Qoyod, booked
+ * more than once, or booked with a different amount or date (see
+ * `lib/reconcile.js`). `POST /api/reconcile?from=...&to=...` also posts the
+ * missing transactions again through the normal sync path; it answers 409
+ * when the fix was refused because the Qoyod listing may be incomplete, or
+ * because the range holds Qoyod records without a reference (pass
+ * `force=true` once they are checked).
+ * A GET never posts anything. When several entities are configured
+ * (see `lib/entities.js`), `entity=<id>` names the one to reconcile.
+ *
+ * Requires the same credentials as the sync endpoint (see `lib/auth.js`);
+ * manual fixes are recorded in the audit log.
+ */
+
+const { recordAuditEvent } = require('../lib/audit-log');
+const { authorizeRequest, readRawBody } = require('../lib/auth');
+const { requestEntity } = require('../lib/entities');
+const { isRetryable } = require('../lib/http-client');
+const { assertRange, reconcile } = require('../lib/reconcile');
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const rawBody = req.method === 'POST' ? await readRawBody(req) : null;
+  const auth = authorizeRequest(req, { rawBody });
+  if (!auth.ok) {
+    res.status(auth.status).json({ error: auth.error });
+    return;
+  }
+
+  const target = requestEntity(req);
+  if (!target.ok) {
+    res.status(target.status).json({ error: target.error });
+    return;
+  }
+
+  const query = req.query || {};
+  const fix = req.method === 'POST';
+  const force = query.force === 'true' || query.force === '1';
+  if (!fix && (query.fix === 'true' || query.fix === '1')) {
+    res.status(405).json({ error: 'Send a POST request to post the missing transactions' });
+    return;
+  }
+  try {
+    assertRange(query.from, query.to);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return;
+  }
+
+  if (fix && auth.trigger === 'manual') {
+    try {
+      recordAuditEvent({
+        actor: auth.actor,
+        method: auth.method,
+        route: 'reconcile',
+        entity: target.entity.id,
+        from: query.from,
+        to: query.to,
+        force,
+        ip: (req.headers && req.headers['x-forwarded-for']) || null,
+        userAgent: (req.headers && req.headers['user-agent']) || null
+      });
+    } catch (error) {
+      console.error(`Could not write the audit log: ${error.message}`);
+    }
+  }
+
+  try {
+    const result = await reconcile({
+      from: query.from,
+      to: query.to,
+      fix,
+      force,
+      actor: auth.actor,
+      env: target.entity.env
+    });
+    res.status(result.fixRefused ? 409 : 200).json(result);
+  } catch (error) {
+    console.error('Error reconciling:', error);
+    res.status(500).json({ error: error.message, retryable: isRetryable(error) });
+  }
+};
+
+// Signatures cover the raw body, which the platform's body parser would consume.
+module.exports.config = { api: { bodyParser: false } };
@@ -0,0 +1,171 @@
+/**
+ * Review queue of transactions held back before posting.
+ *
+ * `GET /api/review-queue` lists the queue (see `lib/review-queue.js`).
+ * Supported query parameters:
+ *   - status:        `pending` (default), `approved`, `rejected`, `posted`
+ *                    or `all`.
+ *   - transactionId: Return that item only.
+ *
+ * `POST /api/review-queue` records a decision, with a JSON body:
+ *
+ *   {
+ *     "transactionId": "txn_123",
+ *     "decision": "approve",
+ *     "overrides": { "debitAccountId": 5105, "costCenterId": 3 },
+ *     "note": "Annual licence"
+ *   }
+ *
+ * `decision` is `approve` or `reject`. `overrides` are optional and take the
+ * same actions as a rule's `set` (see `lib/rules.js`). Approved
+ * transactions are posted by the next run; rejected ones are never posted.
+ *
+ * When several entities are configured (see `lib/entities.js`), every call
+ * names the entity whose queue it is about with `?entity=<id>`.
+ *
+ * Requires the same credentials as the sync endpoint (see `lib/auth.js`);
+ * decisions are recorded in the audit log.
+ */
+
+const { recordAuditEvent } = require('../lib/audit-log');
+const { authorizeRequest, readRawBody } = require('../lib/auth');
+const { requestEntity } = require('../lib/entities');
+const { STATUSES, getReviewQueue } = require('../lib/review-queue');
+const { compileActions } = require('../lib/rules');
+
+const DECISIONS = { approve: 'approved', reject: 'rejected' };
+
+/**
+ * Read the JSON body, from the raw body when it could be read, otherwise as
+ * parsed by the platform.
+ */
+function parseBody(req, rawBody) {
+  if (rawBody !== null) {
+    return rawBody ? JSON.parse(rawBody) : {};
+  }
+  return req.body || {};
+}
+
+/**
+ * List the queue.
+ */
+async function listQueue(req, res, entity) {
+  const query = req.query || {};
+  const status = query.status || 'pending';
+  if (status !== 'all' && !STATUSES.includes(status)) {
+    res.status(400).json({ error: `status must be one of ${[...STATUSES, 'all'].join(', ')}` });
+    return;
+  }
+  const queue = getReviewQueue(entity.env);
+  if (query.transactionId) {
+    const item = await queue.get(query.transactionId);
+    if (!item) {
+      res.status(404).json({ error: `Transaction ${query.transactionId} is not in the queue` });
+      return;
+    }
+    res.status(200).json(item);
+    return;
+  }
+  const items = await queue.list({ status: status === 'all' ? undefined : status });
+  res.status(200).json({ status, count: items.length, items });
+}
+
+/**
+ * Approve or reject one item.
+ */
+async function decide(req, res, auth, entity, rawBody) {
+  let body;
+  try {
+    body = parseBody(req, rawBody);
+  } catch (error) {
+    res.status(400).json({ error: 'Body is not valid JSON' });
+    return;
+  }
+  const { transactionId, decision, overrides = null, note = null } = body;
+  if (!transactionId || !DECISIONS[decision]) {
+    res.status(400).json({ error: 'transactionId and decision (approve or reject) are required' });
+    return;
+  }
+  if (overrides !== null) {
+    if (decision !== 'approve') {
+      res.status(400).json({ error: 'overrides are only accepted with approve' });
+      return;
+    }
+    try {
+      compileActions(overrides, entity.env);
+    } catch (error) {
+      res.status(400).json({ error: `Invalid overrides: ${error.message}` });
+      return;
+    }
+  }
+
+  const queue = getReviewQueue(entity.env);
+  const item = await queue.get(transactionId);
+  if (!item) {
+    res.status(404).json({ error: `Transaction ${transactionId} is not in the queue` });
+    return;
+  }
+  if (item.status === 'posted') {
+    res.status(409).json({ error: `Transaction ${transactionId} was already posted` });
+    return;
+  }
+
+  try {
+    recordAuditEvent({
+      actor: auth.actor,
+      method: auth.method,
+      route: 'review-queue',
+      entity: entity.id,
+      transactionId: String(transactionId),
+      decision,
+      overrides,
+      ip: (req.headers && req.headers['x-forwarded-for']) || null,
+      userAgent: (req.headers && req.headers['user-agent']) || null
+    });
+  } catch (error) {
+    console.error(`Could not write the audit log: ${error.message}`);
+  }
+
+  const updated = await queue.decide(transactionId, {
+    status: DECISIONS[decision],
+    overrides,
+    note,
+    actor: auth.actor
+  });
+  res.status(200).json(updated);
+}
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  // The HMAC signature of a decision covers its body.
+  const rawBody = req.method === 'POST' ? await readRawBody(req) : null;
+  const auth = authorizeRequest(req, { rawBody });
+  if (!auth.ok) {
+    res.status(auth.status).json({ error: auth.error });
+    return;
+  }
+
+  const target = requestEntity(req);
+  if (!target.ok) {
+    res.status(target.status).json({ error: target.error });
+    return;
+  }
+
+  try {
+    if (req.method === 'GET') {
+      await listQueue(req, res, target.entity);
+    } else {
+      await decide(req, res, auth, target.entity, rawBody);
+    }
+  } catch (error) {
+    console.error('Error handling the review queue:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Signatures cover the raw body, which the platform's body parser would consume.
+module.exports.config = { api: { bodyParser: false } };
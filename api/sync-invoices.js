@@ -3,31 +3,82 @@
  *
  * This function is designed to run on Vercel as a cron job. It performs the
  * following steps:
- *   1. Fetches transactions from the Pemo API that are ready to be exported.
+ *   1. Fetches transactions from the Pemo API that are ready to be exported,
+ *      walking every page up to the configured per-run caps.
  *   2. Transforms each transaction into a Qoyod journal entry payload and
  *      submits it to the Qoyod API.
  *   3. Marks the processed transactions in Pemo as exported to avoid
  *      re-processing them in subsequent runs.
  *
+ * Every posted transaction is recorded in the export ledger
+ * (`lib/export-ledger.js`). Transactions the ledger already knows are never
+ * posted again; if a previous run failed to mark them as exported, this run
+ * only retries the Pemo update.
+ *
+ * Call `/api/sync-invoices?dryRun=true` to preview a run: the response lists
+ * the journal entry payloads that would be created, the skipped
+ * transactions with their reasons and the totals per account, and nothing
+ * is written to Qoyod, Pemo or the ledger. The pipeline itself lives in
+ * `lib/sync.js`.
+ *
  * The function expects several environment variables to be defined:
- *   - PEMO_API_KEY:       API key used to authenticate requests to Pemo.
- *   - QOYOD_API_KEY:      API key used to authenticate requests to Qoyod.
+ *   - PEMO_API_KEY:            API key used to authenticate requests to Pemo.
+ *   - QOYOD_API_KEY:           API key used to authenticate requests to Qoyod.
+ *   - QOYOD_DEBIT_ACCOUNT_ID:  Default expense account debited in Qoyod.
+ *   - QOYOD_CREDIT_ACCOUNT_ID: Cash/bank account credited in Qoyod.
+ *
+ * Optionally, `QOYOD_ACCOUNT_MAPPING` (inline JSON) or
+ * `QOYOD_ACCOUNT_MAPPING_FILE` selects the expense account per Pemo
+ * category, merchant, department or spender; see `lib/account-mapping.js`.
+ * Setting `QOYOD_INPUT_VAT_ACCOUNT_ID` splits the VAT into its own debit
+ * line; see `lib/vat.js`.
+ *
+ * A run first checks the configured Qoyod accounts, cost centers and tax
+ * rates against Qoyod (see `lib/config-check.js`); when they do not match,
+ * nothing is synced and the response lists the `problems`.
+ *
+ * With several entities configured in `SYNC_ENTITIES` (see
+ * `lib/entities.js`), each call syncs every entity in turn, each with its
+ * own credentials, mapping and stores, and returns one result per entity
+ * under `entities`; one entity failing does not stop the others.
+ * `?entity=<id>` syncs only that entity.
+ *
+ * Calls must be authenticated with the `CRON_SECRET` Vercel sends to cron
+ * jobs or with `SYNC_TRIGGER_SECRET` (see `lib/auth.js`); anything else is
+ * rejected with 401. Manual triggers are recorded in the audit log.
  *
  * You can deploy this function with a corresponding cron entry in `vercel.json`.
  */
 
+const { recordAuditEvent } = require('../lib/audit-log');
+const { authorizeRequest } = require('../lib/auth');
+const { selectEntities } = require('../lib/entities');
+const { isRetryable } = require('../lib/http-client');
+const { missingSettings, runEntitySyncs, runSync } = require('../lib/sync');
+
 module.exports = async (req, res) => {
   if (req.method !== 'GET') {
     res.status(405).json({ error: 'Method not allowed' });
     return;
   }
 
-  // Validate required environment variables.
-  const requiredEnv = [
-    'PEMO_API_KEY',
-    'QOYOD_API_KEY'
-  ];
-  const missing = requiredEnv.filter((key) => !process.env[key]);
+  const auth = authorizeRequest(req);
+  if (!auth.ok) {
+    res.status(auth.status).json({ error: auth.error });
+    return;
+  }
+
+  const query = req.query || {};
+  const selection = selectEntities(query.entity);
+  if (!selection.ok) {
+    res.status(selection.status).json({ error: selection.error });
+    return;
+  }
+  const multiEntity = selection.entities[0].id !== null;
+
+  // Validate required environment variables; entities are checked one by
+  // one so a misconfigured entity does not block the others.
+  const missing = multiEntity ? [] : missingSettings();
   if (missing.length > 0) {
     res.status(500).json({
       error: `Missing required environment variables: ${missing.join(', ')}`
@@ -35,109 +86,47 @@ module.exports = async (req, res) => {
     return;
   }
 
-  try {
-    // Step 1: Fetch transactions from Pemo
-    const pemoEndpoint =
-      'https://external-api.pemo.io/v1/transactions?exportStatus=readyToExport';
-    const pemoResponse = await fetch(pemoEndpoint, {
-      headers: {
-        apiKey: process.env.PEMO_API_KEY
-      }
-    });
-    if (!pemoResponse.ok) {
-      const text = await pemoResponse.text();
-      throw new Error(
-        `Failed to fetch Pemo transactions: ${pemoResponse.status} ${pemoResponse.statusText}: ${text}`
-      );
-    }
-    const pemoData = await pemoResponse.json();
-    const transactions = Array.isArray(pemoData.transactions)
-      ? pemoData.transactions
-      : [];
+  const dryRun = query.dryRun === 'true' || query.dryRun === '1';
 
-    if (transactions.length === 0) {
-      res.status(200).json({ message: 'No transactions to export' });
-      return;
-    }
-
-    const exportedIds = [];
-
-    // Step 2: For each transaction, build and send a Qoyod journal entry.
-    for (const txn of transactions) {
-      if (
-        !txn ||
-        typeof txn.totalAmount !== 'number' ||
-        !txn.date ||
-        !txn.id
-      ) {
-        continue;
-      }
-
-      const amount = txn.totalAmount / 100;
-      const issueDate = new Date(txn.date).toISOString().split('T')[0];
-
-      const journalEntryPayload = {
-        journal_entry: {
-          description: txn.merchant || 'Pemo Transaction',
-          date: issueDate,
-          debit_amounts: [],
-          credit_amounts: []
-        }
-      };
-
-      const qoyodResponse = await fetch(
-        'https://www.qoyod.com/api/2.0/journal_entries',
-        {
-          method: 'POST',
-          headers: {
-            'API-KEY': process.env.QOYOD_API_KEY,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(journalEntryPayload)
-        }
-      );
-      if (!qoyodResponse.ok) {
-        const text = await qoyodResponse.text();
-        console.error(
-          `Failed to create Qoyod journal entry for transaction ${txn.id}: ` +
-            `${qoyodResponse.status} ${qoyodResponse.statusText}: ${text}`
-        );
-        continue;
-      }
-
-      exportedIds.push(txn.id);
-    }
-
-    // Step 3: Mark as exported
-    if (exportedIds.length > 0) {
-      const markResponse = await fetch(
-        'https://external-api.pemo.io/v1/transactions',
-        {
-          method: 'PATCH',
-          headers: {
-            apiKey: process.env.PEMO_API_KEY,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            operation: 'markAsExported',
-            transactionIds: exportedIds
-          })
-        }
-      );
-      if (!markResponse.ok) {
-        const text = await markResponse.text();
-        console.error(
-          `Failed to mark Pemo transactions as exported: ${markResponse.status} ${markResponse.statusText}: ${text}`
-        );
-      }
+  if (auth.trigger === 'manual') {
+    try {
+      recordAuditEvent({
+        actor: auth.actor,
+        method: auth.method,
+        route: 'sync-invoices',
+        entity: query.entity || null,
+        dryRun,
+        ip: (req.headers && req.headers['x-forwarded-for']) || null,
+        userAgent: (req.headers && req.headers['user-agent']) || null
+      });
+    } catch (error) {
+      console.error(`Could not write the audit log: ${error.message}`);
     }
+  }
 
-    res.status(200).json({
-      exportedCount: exportedIds.length,
-      exportedTransactionIds: exportedIds
+  if (multiEntity) {
+    const results = await runEntitySyncs(selection.entities, {
+      dryRun,
+      trigger: auth.trigger,
+      actor: auth.actor
+    });
+    const failed = results.filter(({ ok }) => !ok).map(({ entity }) => entity);
+    res.status(failed.length === results.length ? 500 : 200).json({
+      entities: results,
+      failedEntities: failed
     });
+    return;
+  }
+
+  try {
+    const result = await runSync({ dryRun, trigger: auth.trigger, actor: auth.actor });
+    res.status(200).json(result);
   } catch (error) {
     console.error('Error syncing invoices:', error);
-    res.status(500).json({ error: error.message });
+    res.status(500).json({
+      error: error.message,
+      retryable: isRetryable(error),
+      ...(error.report ? { problems: error.report.problems } : {})
+    });
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,67 @@
+/**
+ * Daily sync summary for the accountant.
+ *
+ * `GET /api/sync-report` returns the report of one day, built from the run
+ * history (see `lib/daily-report.js`). Supported query parameters:
+ *   - date:   Day to report, `YYYY-MM-DD` (default: today in
+ *             `REPORT_TIME_ZONE`).
+ *   - format: `json` (default), `markdown` or `html`.
+ *   - lang:   `ar`, `en` or `both` (default) for Markdown and HTML.
+ *   - entity: Whose report, when several entities are configured (see
+ *             `lib/entities.js`).
+ *
+ * Requires the same credentials as the sync endpoint (see `lib/auth.js`).
+ */
+
+const { authorizeRequest } = require('../lib/auth');
+const { loadDailyReport, renderHtml, renderMarkdown } = require('../lib/daily-report');
+const { requestEntity } = require('../lib/entities');
+
+const FORMATS = ['json', 'markdown', 'html'];
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const auth = authorizeRequest(req);
+  if (!auth.ok) {
+    res.status(auth.status).json({ error: auth.error });
+    return;
+  }
+
+  const target = requestEntity(req);
+  if (!target.ok) {
+    res.status(target.status).json({ error: target.error });
+    return;
+  }
+
+  const query = req.query || {};
+  const format = query.format || 'json';
+  if (!FORMATS.includes(format)) {
+    res.status(400).json({ error: `format must be one of ${FORMATS.join(', ')}` });
+    return;
+  }
+  if (query.date && !/^\d{4}-\d{2}-\d{2}$/.test(query.date)) {
+    res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    return;
+  }
+
+  try {
+    const report = await loadDailyReport(query.date, target.entity.env);
+    if (format === 'json') {
+      res.status(200).json(report);
+      return;
+    }
+    const lang = query.lang || 'both';
+    res.setHeader(
+      'Content-Type',
+      format === 'html' ? 'text/html; charset=utf-8' : 'text/markdown; charset=utf-8'
+    );
+    res.status(200).send(format === 'html' ? renderHtml(report, lang) : renderMarkdown(report, lang));
+  } catch (error) {
+    console.error('Error building sync report:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
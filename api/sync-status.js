@@ -0,0 +1,100 @@
+/**
+ * Status of the sync: the latest runs and the transactions stuck in a
+ * failed state.
+ *
+ * `GET /api/sync-status` returns:
+ *   - lastRun:            The most recent run, or null.
+ *   - runs:               The latest runs, newest first, with their counts,
+ *                         per-transaction errors and Qoyod entry ids.
+ *   - stuckTransactions:  Ledger entries whose last posting attempt failed,
+ *                         oldest failure first.
+ * Supported query parameters:
+ *   - limit:  Number of runs returned (default 10).
+ *   - runId:  Only this run.
+ *   - entity: Only this entity, when several are configured (see
+ *             `lib/entities.js`). Without it, the status of every entity
+ *             is returned under `entities`.
+ *
+ * Requires the same credentials as the sync endpoint (see `lib/auth.js`).
+ */
+
+const { authorizeRequest } = require('../lib/auth');
+const { selectEntities } = require('../lib/entities');
+const { getLedger } = require('../lib/export-ledger');
+const { getRunHistory } = require('../lib/run-history');
+
+const DEFAULT_LIMIT = 10;
+
+/**
+ * Latest runs and stuck transactions of one entity.
+ */
+async function entityStatus(env, limit) {
+  const runs = await getRunHistory(env).list({ limit });
+  const stuck = (await getLedger(env).list({ status: 'failed' })).sort((a, b) =>
+    String(a.firstFailedAt || a.failedAt).localeCompare(String(b.firstFailedAt || b.failedAt))
+  );
+  return {
+    lastRun: runs[0] || null,
+    runs,
+    stuckTransactions: stuck.map((entry) => ({
+      transactionId: entry.transactionId,
+      error: entry.error,
+      retryable: entry.retryable === undefined ? null : entry.retryable,
+      firstFailedAt: entry.firstFailedAt || entry.failedAt,
+      lastFailedAt: entry.failedAt,
+      failures: entry.failures || 1
+    }))
+  };
+}
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const auth = authorizeRequest(req);
+  if (!auth.ok) {
+    res.status(auth.status).json({ error: auth.error });
+    return;
+  }
+
+  const query = req.query || {};
+  const selection = selectEntities(query.entity);
+  if (!selection.ok) {
+    res.status(selection.status).json({ error: selection.error });
+    return;
+  }
+  const { entities } = selection;
+  if (query.runId && entities.length > 1) {
+    res.status(400).json({ error: 'entity is required with runId' });
+    return;
+  }
+
+  try {
+    const history = getRunHistory(entities[0].env);
+    if (query.runId) {
+      const run = await history.get(query.runId);
+      if (!run) {
+        res.status(404).json({ error: `No run ${query.runId}` });
+        return;
+      }
+      res.status(200).json({ run });
+      return;
+    }
+
+    const limit = Number.parseInt(query.limit, 10) || DEFAULT_LIMIT;
+    if (entities[0].id === null) {
+      res.status(200).json(await entityStatus(entities[0].env, limit));
+      return;
+    }
+    const statuses = [];
+    for (const { id, name, env } of entities) {
+      statuses.push({ entity: id, name, ...(await entityStatus(env, limit)) });
+    }
+    res.status(200).json({ entities: statuses });
+  } catch (error) {
+    console.error('Error reading sync status:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,70 @@
+/**
+ * Check of the configuration against the live Qoyod company.
+ *
+ * `GET /api/validate-config` looks up every Qoyod account, cost center and
+ * tax rate the configuration refers to, as the sync does before each run
+ * (see `lib/config-check.js`), and returns:
+ *   - ok:       Whether everything was found and usable.
+ *   - checked:  How many accounts, cost centers and tax rates were checked.
+ *   - problems: One `{ setting, kind, id, problem }` per reference that is
+ *               missing, inactive or of the wrong type.
+ * Nothing is written. With several entities configured (see
+ * `lib/entities.js`), every entity is checked and reported under
+ * `entities`, unless `entity=<id>` names one. Missing settings, malformed
+ * configuration and Qoyod errors are reported as an `error`.
+ *
+ * Requires the same credentials as the sync endpoint (see `lib/auth.js`).
+ */
+
+const { authorizeRequest } = require('../lib/auth');
+const { selectEntities } = require('../lib/entities');
+const { isRetryable } = require('../lib/http-client');
+const { validateConfig } = require('../lib/sync');
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const auth = authorizeRequest(req);
+  if (!auth.ok) {
+    res.status(auth.status).json({ error: auth.error });
+    return;
+  }
+
+  const query = req.query || {};
+  const selection = selectEntities(query.entity);
+  if (!selection.ok) {
+    res.status(selection.status).json({ error: selection.error });
+    return;
+  }
+  const { entities } = selection;
+
+  if (entities[0].id === null) {
+    try {
+      res.status(200).json(await validateConfig(entities[0].env));
+    } catch (error) {
+      console.error('Error validating the configuration:', error);
+      res.status(500).json({ error: error.message, retryable: isRetryable(error) });
+    }
+    return;
+  }
+
+  const reports = [];
+  for (const { id, name, env } of entities) {
+    try {
+      reports.push({ entity: id, name, ...(await validateConfig(env)) });
+    } catch (error) {
+      console.error(`Error validating the configuration of entity ${id}: ${error.message}`);
+      reports.push({
+        entity: id,
+        name,
+        ok: false,
+        error: error.message,
+        retryable: isRetryable(error)
+      });
+    }
+  }
+  res.status(200).json({ ok: reports.every((report) => report.ok), entities: reports });
+};
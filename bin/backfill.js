@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * Command-line backfill of a past period (see `lib/backfill.js`).
+ *
+ *   npm start -- --from 2024-01-01 --to 2024-01-31 [options]
+ *
+ * Options:
+ *   --from YYYY-MM-DD     First day (transaction date), required.
+ *   --to YYYY-MM-DD       Last day, required.
+ *   --transaction ID      Only this transaction; repeat or comma-separate.
+ *   --cardholder NAME     Only this cardholder (email or name); repeat or
+ *                         comma-separate.
+ *   --entity ID           Entity to backfill; required when several are
+ *                         configured in SYNC_ENTITIES.
+ *   --dry-run             Preview the entries without writing anything.
+ *
+ * Reads the same environment variables as the sync endpoint. The result is
+ * printed as JSON; the exit code is 1 when a transaction failed or the
+ * backfill could not run.
+ */
+
+const os = require('os');
+const { parseArgs } = require('util');
+const { runBackfill } = require('../lib/backfill');
+const { selectEntities } = require('../lib/entities');
+const { missingSettings } = require('../lib/sync');
+
+const USAGE =
+  'Usage: npm start -- --from YYYY-MM-DD --to YYYY-MM-DD ' +
+  '[--transaction ID]... [--cardholder NAME]... [--entity ID] [--dry-run]';
+
+/**
+ * Split repeated and comma-separated option values into a flat list.
+ */
+function listOption(values) {
+  return (values || [])
+    .flatMap((value) => value.split(','))
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+async function main(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        from: { type: 'string' },
+        to: { type: 'string' },
+        transaction: { type: 'string', multiple: true },
+        cardholder: { type: 'string', multiple: true },
+        entity: { type: 'string' },
+        'dry-run': { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    }));
+  } catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    return 1;
+  }
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!values.from || !values.to) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  const selection = selectEntities(values.entity);
+  if (!selection.ok) {
+    console.error(selection.error);
+    return 1;
+  }
+  if (selection.entities.length > 1) {
+    const ids = selection.entities.map(({ id }) => id).join(', ');
+    console.error(`--entity is required (one of ${ids})`);
+    return 1;
+  }
+  const [entity] = selection.entities;
+
+  const missing = missingSettings(entity.env);
+  if (missing.length > 0) {
+    console.error(`Missing required environment variables: ${missing.join(', ')}`);
+    return 1;
+  }
+
+  try {
+    const outcome = await runBackfill({
+      from: values.from,
+      to: values.to,
+      transactionIds: listOption(values.transaction),
+      cardholders: listOption(values.cardholder),
+      dryRun: values['dry-run'],
+      actor: `cli:${os.userInfo().username}`,
+      env: entity.env
+    });
+    console.log(JSON.stringify(outcome, null, 2));
+    const failed = outcome.result ? outcome.result.failedTransactions || [] : [];
+    return failed.length > 0 ? 1 : 0;
+  } catch (error) {
+    console.error(`Backfill failed: ${error.message}`);
+    return 1;
+  }
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
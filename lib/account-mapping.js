@@ -0,0 +1,125 @@
+/**
+ * Account mapping between Pemo transactions and the Qoyod chart of accounts.
+ *
+ * The mapping is read from the `QOYOD_ACCOUNT_MAPPING` environment variable
+ * (inline JSON) or from the JSON file named by `QOYOD_ACCOUNT_MAPPING_FILE`.
+ * It has the following shape, and every section is optional:
+ *
+ *   {
+ *     "category":   { "Travel": "5102" },
+ *     "merchant":   { "Uber": "5103" },
+ *     "department": { "Sales": "5201" },
+ *     "spender":    { "finance@example.com": "5301" },
+ *     "creditAccountId": "1101"
+ *   }
+ *
+ * Keys are matched case-insensitively and the sections are tried in the
+ * order shown above; the first hit decides the debit (expense) account.
+ * When nothing matches, the debit falls back to `QOYOD_DEBIT_ACCOUNT_ID`.
+ * The credit account is `creditAccountId` when set, otherwise
+ * `QOYOD_CREDIT_ACCOUNT_ID`.
+ */
+
+const { loadJsonConfig } = require('./config');
+const { transactionAttributes } = require('./pemo-transaction');
+
+const MAPPING_SECTIONS = ['category', 'merchant', 'department', 'spender'];
+
+/**
+ * Qoyod identifies accounts by numeric id; accept ids given as strings.
+ *
+ * @param {string|number} id Account id from configuration.
+ * @returns {string|number|null} Normalized account id.
+ */
+function normalizeAccountId(id) {
+  if (id === null || id === undefined || id === '') {
+    return null;
+  }
+  const text = String(id).trim();
+  return /^\d+$/.test(text) ? Number(text) : text;
+}
+
+/**
+ * Lower-case all keys of a section so lookups are case-insensitive.
+ */
+function indexSection(section, name) {
+  if (section === undefined) {
+    return {};
+  }
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    throw new Error(`Account mapping section "${name}" must be an object`);
+  }
+  const index = {};
+  for (const [key, accountId] of Object.entries(section)) {
+    index[key.trim().toLowerCase()] = normalizeAccountId(accountId);
+  }
+  return index;
+}
+
+/**
+ * Load and validate the account mapping from the environment.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {Object} The normalized mapping.
+ * @throws {Error} When the mapping JSON cannot be read or is malformed.
+ */
+function loadAccountMapping(env = process.env) {
+  const raw = loadJsonConfig('QOYOD_ACCOUNT_MAPPING', env);
+
+  const mapping = {
+    defaultDebitAccountId: normalizeAccountId(env.QOYOD_DEBIT_ACCOUNT_ID),
+    creditAccountId: normalizeAccountId(
+      raw.creditAccountId !== undefined ? raw.creditAccountId : env.QOYOD_CREDIT_ACCOUNT_ID
+    )
+  };
+  for (const section of MAPPING_SECTIONS) {
+    mapping[section] = indexSection(raw[section], section);
+  }
+  return mapping;
+}
+
+/**
+ * Pick the debit and credit accounts for a Pemo transaction.
+ *
+ * @param {Object} txn     Raw Pemo transaction.
+ * @param {Object} mapping Mapping returned by `loadAccountMapping`.
+ * @returns {{debitAccountId: (string|number|null),
+ *   creditAccountId: (string|number|null), matchedBy: string}}
+ */
+function resolveAccounts(txn, mapping) {
+  const attributes = transactionAttributes(txn);
+  const candidates = {
+    category: [attributes.category],
+    merchant: [attributes.merchant],
+    department: [attributes.department],
+    spender: [attributes.spenderEmail, attributes.spender]
+  };
+
+  for (const section of MAPPING_SECTIONS) {
+    for (const value of candidates[section]) {
+      if (!value) {
+        continue;
+      }
+      const accountId = mapping[section][value.toLowerCase()];
+      if (accountId) {
+        return {
+          debitAccountId: accountId,
+          creditAccountId: mapping.creditAccountId,
+          matchedBy: `${section}:${value}`
+        };
+      }
+    }
+  }
+
+  return {
+    debitAccountId: mapping.defaultDebitAccountId,
+    creditAccountId: mapping.creditAccountId,
+    matchedBy: 'default'
+  };
+}
+
+module.exports = {
+  loadAccountMapping,
+  normalizeAccountId,
+  resolveAccounts
+};
@@ -0,0 +1,57 @@
+/**
+ * Audit log of manually triggered runs.
+ *
+ * Every manual call to the sync endpoint is written to the function logs
+ * and appended to `audit-log.json` in the data directory (or
+ * `AUDIT_LOG_PATH`), which keeps the latest `AUDIT_LOG_LIMIT` entries
+ * (default 1000). Scheduled cron runs are not recorded here.
+ */
+
+const path = require('path');
+const { dataDir, readJson, writeJson } = require('./json-store');
+
+const DEFAULT_LIMIT = 1000;
+
+/**
+ * Path of the audit log file.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {string}
+ */
+function auditLogPath(env = process.env) {
+  return env.AUDIT_LOG_PATH || path.join(dataDir(env), 'audit-log.json');
+}
+
+/**
+ * Record one manual trigger.
+ *
+ * @param {Object} event Details of the trigger: actor, method, path, ...
+ * @param {Object} env   Environment variables, defaults to `process.env`.
+ * @returns {Object} The stored entry.
+ */
+function recordAuditEvent(event, env = process.env) {
+  const entry = { at: new Date().toISOString(), ...event };
+  console.log(`Audit: ${JSON.stringify(entry)}`);
+
+  const filePath = auditLogPath(env);
+  const limit = Number.parseInt(env.AUDIT_LOG_LIMIT, 10) || DEFAULT_LIMIT;
+  const entries = readJson(filePath, []);
+  entries.push(entry);
+  writeJson(filePath, entries.slice(-limit));
+  return entry;
+}
+
+/**
+ * Read the recorded triggers, oldest first.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {Object[]}
+ */
+function listAuditEvents(env = process.env) {
+  return readJson(auditLogPath(env), []);
+}
+
+module.exports = {
+  listAuditEvents,
+  recordAuditEvent
+};
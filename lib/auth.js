@@ -0,0 +1,190 @@
+/**
+ * Authentication of calls to the API routes.
+ *
+ * A call is accepted when it carries one of:
+ *   - `Authorization: Bearer <CRON_SECRET>`: the header Vercel sends with
+ *     scheduled cron invocations when `CRON_SECRET` is set.
+ *   - `Authorization: Bearer <SYNC_TRIGGER_SECRET>`: a manual trigger. The
+ *     caller may name itself in `X-Sync-Actor`; that name is not verified.
+ *   - An HMAC signature made with `SYNC_TRIGGER_SECRET`: a manual trigger
+ *     whose actor is verified. The caller sends
+ *       X-Sync-Actor:     who is triggering the run,
+ *       X-Sync-Timestamp: current Unix time in seconds,
+ *       X-Sync-Signature: hex HMAC-SHA256 of `<timestamp>.<actor>.<url>`,
+ *     where `<url>` is the request path with its query string. Requests
+ *     other than GET and HEAD sign `<timestamp>.<actor>.<url>.<body>`,
+ *     where `<body>` is the hex SHA-256 of the raw request body (of the
+ *     empty string when there is none), so a captured decision cannot be
+ *     sent again with another body. Signatures older than
+ *     `SYNC_SIGNATURE_TOLERANCE_SECONDS` (default 300) are rejected so a
+ *     captured request cannot be replayed later.
+ *
+ * Pemo webhook deliveries are authenticated separately, by the
+ * `X-Pemo-Signature` header: the hex HMAC-SHA256 of the raw request body
+ * made with `PEMO_WEBHOOK_SECRET`, optionally prefixed with `sha256=`.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Read a request header (Node lower-cases header names).
+ */
+function header(req, name) {
+  const value = (req.headers || {})[name];
+  return (Array.isArray(value) ? value[0] : value) || null;
+}
+
+/**
+ * Compare two secrets in constant time.
+ */
+function safeEqual(a, b) {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Read the request body exactly as sent, which signatures cover.
+ *
+ * Routes that need it turn off the platform's body parsing (see their
+ * `config` export), which would otherwise consume the stream.
+ *
+ * @param {Object} req Incoming request.
+ * @returns {Promise<?string>} Raw body (`''` when empty), or null when the
+ *   platform has already parsed it.
+ */
+async function readRawBody(req) {
+  const readable = typeof req[Symbol.asyncIterator] === 'function' && !req.readableEnded;
+  const chunks = [];
+  if (readable) {
+    for await (const chunk of req) {
+      chunks.push(Buffer.from(chunk));
+    }
+    if (chunks.length > 0) {
+      return Buffer.concat(chunks).toString('utf8');
+    }
+  }
+  if (Buffer.isBuffer(req.body)) {
+    return req.body.toString('utf8');
+  }
+  if (typeof req.body === 'string') {
+    return req.body;
+  }
+  return readable ? '' : null;
+}
+
+/**
+ * Compute the HMAC signature of a manual trigger.
+ *
+ * @param {string} secret    `SYNC_TRIGGER_SECRET`.
+ * @param {string} timestamp Unix time in seconds, as sent.
+ * @param {string} actor     Who triggers the run.
+ * @param {string} url       Request path and query string.
+ * @param {?string} [body]   Raw request body of a request other than GET
+ *   or HEAD (`''` when empty); null for GET and HEAD requests.
+ * @returns {string} Hex signature.
+ */
+function signTrigger(secret, timestamp, actor, url, body = null) {
+  let signed = `${timestamp}.${actor}.${url}`;
+  if (body !== null) {
+    signed += `.${crypto.createHash('sha256').update(body).digest('hex')}`;
+  }
+  return crypto.createHmac('sha256', secret).update(signed).digest('hex');
+}
+
+/**
+ * Compute the signature of a Pemo webhook delivery.
+ *
+ * @param {string} secret  `PEMO_WEBHOOK_SECRET`.
+ * @param {string} rawBody Request body exactly as received.
+ * @returns {string} Hex signature.
+ */
+function signWebhook(secret, rawBody) {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+/**
+ * Check the signature of a Pemo webhook delivery.
+ *
+ * @param {Object} req     Incoming request.
+ * @param {string} rawBody Request body exactly as received.
+ * @param {Object} env     Environment variables, defaults to `process.env`.
+ * @returns {{ok: true}|{ok: false, status: number, error: string}}
+ */
+function verifyWebhook(req, rawBody, env = process.env) {
+  const secret = env.PEMO_WEBHOOK_SECRET;
+  if (!secret) {
+    return { ok: false, status: 500, error: 'Set PEMO_WEBHOOK_SECRET to enable this endpoint' };
+  }
+  const signature = (header(req, 'x-pemo-signature') || '').replace(/^sha256=/, '');
+  if (signature && safeEqual(signature.toLowerCase(), signWebhook(secret, rawBody))) {
+    return { ok: true };
+  }
+  return { ok: false, status: 401, error: 'Invalid webhook signature' };
+}
+
+/**
+ * Check that a request is authorized.
+ *
+ * @param {Object} req Incoming request.
+ * @param {Object} [options]
+ * @param {?string} [options.rawBody] Body exactly as received (see
+ *   `readRawBody`), which the HMAC signature of a request other than GET or
+ *   HEAD covers; such a request is refused with 400 when it is null.
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {{ok: true, trigger: string, actor: string, method: string}|
+ *   {ok: false, status: number, error: string}} `trigger` is `cron` or
+ *   `manual`; `method` is `cron-secret`, `shared-secret` or `hmac`.
+ */
+function authorizeRequest(req, { rawBody = null } = {}, env = process.env) {
+  const cronSecret = env.CRON_SECRET;
+  const triggerSecret = env.SYNC_TRIGGER_SECRET;
+  if (!cronSecret && !triggerSecret) {
+    return {
+      ok: false,
+      status: 500,
+      error: 'Set CRON_SECRET or SYNC_TRIGGER_SECRET to enable this endpoint'
+    };
+  }
+
+  const authorization = header(req, 'authorization') || '';
+  const bearer = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+  const actor = header(req, 'x-sync-actor');
+
+  if (bearer && cronSecret && safeEqual(bearer, cronSecret)) {
+    return { ok: true, trigger: 'cron', actor: 'vercel-cron', method: 'cron-secret' };
+  }
+  if (bearer && triggerSecret && safeEqual(bearer, triggerSecret)) {
+    return { ok: true, trigger: 'manual', actor: actor || 'unknown', method: 'shared-secret' };
+  }
+
+  const signature = header(req, 'x-sync-signature');
+  const timestamp = header(req, 'x-sync-timestamp');
+  if (signature && triggerSecret) {
+    const tolerance = Number(env.SYNC_SIGNATURE_TOLERANCE_SECONDS) || DEFAULT_TOLERANCE_SECONDS;
+    const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!actor || !Number.isFinite(age) || age > tolerance) {
+      return { ok: false, status: 401, error: 'Signature is missing its actor or has expired' };
+    }
+    const signsBody = !['GET', 'HEAD'].includes(req.method);
+    if (signsBody && rawBody === null) {
+      return { ok: false, status: 400, error: 'Could not read the raw request body' };
+    }
+    const body = signsBody ? rawBody : null;
+    const expected = signTrigger(triggerSecret, timestamp, actor, req.url || '', body);
+    if (safeEqual(signature, expected)) {
+      return { ok: true, trigger: 'manual', actor, method: 'hmac' };
+    }
+  }
+
+  return { ok: false, status: 401, error: 'Unauthorized' };
+}
+
+module.exports = {
+  authorizeRequest,
+  readRawBody,
+  signTrigger,
+  signWebhook,
+  verifyWebhook
+};
@@ -0,0 +1,132 @@
+/**
+ * Historical backfill: re-export the Pemo transactions of a past period.
+ *
+ * Unlike the scheduled sync, a backfill fetches the transactions of a date
+ * range regardless of their Pemo export status, optionally narrowed to some
+ * transaction ids or cardholders, and posts them through the same pipeline.
+ * Transactions the export ledger shows as already posted are skipped, so a
+ * backfill can be repeated safely.
+ */
+
+const { getLedger, isPosted } = require('./export-ledger');
+const { fetchTransactions } = require('./pemo');
+const { transactionAttributes } = require('./pemo-transaction');
+const { assertRange } = require('./reconcile');
+const { runSync } = require('./sync');
+
+const MAX_PAGES = 500;
+const MAX_TRANSACTIONS = 10000;
+
+/**
+ * Keep the transactions of the range that match the id and cardholder
+ * filters.
+ *
+ * @param {Object[]} transactions Pemo transactions.
+ * @param {Object} filters
+ * @param {string} filters.from           First day, `YYYY-MM-DD`.
+ * @param {string} filters.to             Last day, `YYYY-MM-DD`.
+ * @param {string[]} [filters.transactionIds] Only these transactions.
+ * @param {string[]} [filters.cardholders]    Only these cardholders, by
+ *   email or name (case-insensitive).
+ * @returns {Object[]} Selected transactions.
+ */
+function selectTransactions(transactions, { from, to, transactionIds = [], cardholders = [] }) {
+  const ids = new Set(transactionIds.map(String));
+  const people = new Set(cardholders.map((name) => name.trim().toLowerCase()));
+  return transactions.filter((txn) => {
+    const time = new Date(txn && txn.date).getTime();
+    if (Number.isNaN(time)) {
+      // Left in so the pipeline reports it as skipped with its reason.
+      return ids.size === 0 || ids.has(String(txn && txn.id));
+    }
+    const date = new Date(time).toISOString().split('T')[0];
+    if (date < from || date > to) {
+      return false;
+    }
+    if (ids.size > 0 && !ids.has(String(txn.id))) {
+      return false;
+    }
+    if (people.size > 0) {
+      const { spender, spenderEmail } = transactionAttributes(txn);
+      return [spender, spenderEmail].some((value) => value && people.has(value.toLowerCase()));
+    }
+    return true;
+  });
+}
+
+/**
+ * Run a backfill.
+ *
+ * @param {Object} options
+ * @param {string} options.from             First day, `YYYY-MM-DD`.
+ * @param {string} options.to               Last day, `YYYY-MM-DD`.
+ * @param {string[]} [options.transactionIds] Only these transactions.
+ * @param {string[]} [options.cardholders]    Only these cardholders.
+ * @param {boolean} [options.dryRun]        Preview only; nothing is written.
+ * @param {?string} [options.actor]         Who runs the backfill.
+ * @param {Object} [options.env]            Environment variables of the
+ *   entity to backfill (default `process.env`).
+ * @returns {Promise<Object>} `{ selectedCount, alreadyPosted, result }`,
+ *   where `result` is the sync result for the remaining transactions.
+ * @throws {Error} When the range is invalid or Pemo cannot be read.
+ */
+async function runBackfill({
+  from,
+  to,
+  transactionIds = [],
+  cardholders = [],
+  dryRun = false,
+  actor = null,
+  env = process.env
+}) {
+  assertRange(from, to, Infinity);
+  const { transactions, capped } = await fetchTransactions(
+    { startDate: from, endDate: to },
+    { maxTransactions: MAX_TRANSACTIONS, maxPages: MAX_PAGES },
+    env
+  );
+  const selected = selectTransactions(transactions, { from, to, transactionIds, cardholders });
+
+  const ledger = getLedger(env);
+  const alreadyPosted = [];
+  const toExport = [];
+  for (const txn of selected) {
+    const entry = txn && txn.id ? await ledger.get(txn.id) : null;
+    if (isPosted(entry)) {
+      alreadyPosted.push({
+        transactionId: entry.transactionId,
+        status: entry.status,
+        journalEntryId: entry.journalEntryId || null,
+        billId: entry.billId || null
+      });
+    } else {
+      toExport.push(txn);
+    }
+  }
+
+  const result = toExport.length > 0
+    ? await runSync({
+      dryRun,
+      trigger: 'backfill',
+      actor,
+      transactions: toExport,
+      timeBudgetMs: Infinity,
+      env
+    })
+    : null;
+
+  return {
+    from,
+    to,
+    dryRun,
+    selectedCount: selected.length,
+    capped,
+    alreadyPosted,
+    result
+  };
+}
+
+module.exports = {
+  runBackfill,
+  selectTransactions
+};
@@ -0,0 +1,300 @@
+/**
+ * Check of the configured Qoyod ids against the live Qoyod company.
+ *
+ * Account ids are copied into the configuration by hand, and a typo would
+ * otherwise only show up as every entry being rejected. Before a run, and
+ * on demand through `/api/validate-config`, the ids the configuration
+ * refers to are looked up in Qoyod:
+ *   - Accounts must exist, be active and fit their use: the expense
+ *     accounts (`QOYOD_DEBIT_ACCOUNT_ID`, the account mapping, rules) must
+ *     be expense accounts; the credit account and the bill payment account
+ *     bank, cash or liability accounts; the input VAT account an asset or
+ *     liability account.
+ *   - Cost centers set by the dimension mapping or a rule must exist and be
+ *     active.
+ *   - With VAT enabled, every non-zero VAT rate used must be a Qoyod tax
+ *     rate.
+ * Cost centers and tax rates are only read from Qoyod when something uses
+ * them.
+ *
+ * A run whose configuration does not pass stops with a `ConfigError`
+ * listing every problem, before anything is fetched or posted. Set
+ * `SYNC_CHECK_CONFIG=false` to skip the check before runs.
+ */
+
+const { normalizeAccountId } = require('./account-mapping');
+const { listAccounts, listCostCenters, listTaxRates } = require('./qoyod');
+
+const ACCOUNT_USES = {
+  expense: { classes: ['expense'], label: 'an expense' },
+  credit: { classes: ['bank', 'cash', 'liability'], label: 'a bank, cash or liability' },
+  vat: { classes: ['asset', 'liability'], label: 'an asset or liability' }
+};
+
+/**
+ * Raised when the configuration refers to ids Qoyod does not know or cannot
+ * use; `report` is the full result of `checkConfig`.
+ */
+class ConfigError extends Error {
+  constructor(report) {
+    const problems = report.problems.map(({ setting, problem }) => `${setting}: ${problem}`);
+    super(`Configuration does not match Qoyod: ${problems.join('; ')}`);
+    this.name = 'ConfigError';
+    this.report = report;
+  }
+}
+
+/**
+ * Whether runs check their configuration first.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {boolean}
+ */
+function configCheckEnabled(env = process.env) {
+  return env.SYNC_CHECK_CONFIG !== 'false';
+}
+
+/**
+ * Collect every Qoyod id the configuration refers to, with the setting it
+ * comes from.
+ */
+function configReferences(config, env) {
+  const accounts = [];
+  const costCenters = [];
+  const taxRates = [];
+  const account = (setting, id, use) => id && accounts.push({ setting, id, use });
+
+  const { accountMapping, bills, dimensions, rules, vatConfig } = config;
+  account('QOYOD_DEBIT_ACCOUNT_ID', accountMapping.defaultDebitAccountId, 'expense');
+  for (const section of ['category', 'merchant', 'department', 'spender']) {
+    for (const [key, id] of Object.entries(accountMapping[section])) {
+      account(`QOYOD_ACCOUNT_MAPPING ${section} "${key}"`, id, 'expense');
+    }
+  }
+  const creditFromEnv =
+    accountMapping.creditAccountId === normalizeAccountId(env.QOYOD_CREDIT_ACCOUNT_ID);
+  account(
+    creditFromEnv ? 'QOYOD_CREDIT_ACCOUNT_ID' : 'QOYOD_ACCOUNT_MAPPING creditAccountId',
+    accountMapping.creditAccountId,
+    'credit'
+  );
+  if (bills.enabled && bills.paymentAccountId !== accountMapping.creditAccountId) {
+    account('QOYOD_BILL_CONFIG paymentAccountId', bills.paymentAccountId, 'credit');
+  }
+  if (vatConfig.enabled) {
+    account('QOYOD_INPUT_VAT_ACCOUNT_ID', vatConfig.inputAccountId, 'vat');
+    taxRates.push({
+      setting: 'QOYOD_VAT_CONFIG defaultRate',
+      rate: vatConfig.defaultTreatment.rate
+    });
+    for (const section of ['category', 'merchant']) {
+      for (const [key, treatment] of Object.entries(vatConfig[section])) {
+        taxRates.push({ setting: `QOYOD_VAT_CONFIG ${section} "${key}"`, rate: treatment.rate });
+      }
+    }
+  }
+
+  for (const rule of rules) {
+    const setting = `QOYOD_RULES rule ${rule.name}`;
+    account(setting, rule.set.debitAccountId, 'expense');
+    if (rule.set.costCenterId) {
+      costCenters.push({ setting, id: rule.set.costCenterId });
+    }
+    if (rule.set.vat) {
+      taxRates.push({ setting, rate: rule.set.vat.rate });
+    }
+  }
+
+  if (dimensions.enabled) {
+    for (const [source, table] of Object.entries(dimensions.costCenter)) {
+      for (const [key, id] of Object.entries(table)) {
+        costCenters.push({ setting: `QOYOD_DIMENSION_MAPPING costCenter ${source} "${key}"`, id });
+      }
+    }
+    if (dimensions.defaultCostCenterId) {
+      costCenters.push({
+        setting: 'QOYOD_DIMENSION_MAPPING defaultCostCenterId',
+        id: dimensions.defaultCostCenterId
+      });
+    }
+  }
+
+  return {
+    accounts,
+    costCenters: costCenters.filter(({ id }) => id),
+    taxRates: taxRates.filter(({ rate }) => rate > 0)
+  };
+}
+
+/**
+ * Whether a Qoyod record is usable; records without a status count as
+ * active.
+ */
+function isActive(record) {
+  if (record.archived === true || record.active === false) {
+    return false;
+  }
+  return !record.status || String(record.status).toLowerCase() === 'active';
+}
+
+/**
+ * The classes (expense, bank, cash, liability, asset…) a Qoyod account
+ * type belongs to.
+ */
+function accountClasses(account) {
+  const type = String(account.type || account.account_type || '').toLowerCase();
+  const classes = new Set();
+  if (/expense|cost/.test(type)) {
+    classes.add('expense');
+  }
+  if (/bank/.test(type)) {
+    classes.add('bank');
+  }
+  if (/cash/.test(type)) {
+    classes.add('cash');
+  }
+  if (/liabilit|credit.?card/.test(type)) {
+    classes.add('liability');
+  }
+  if (/asset|bank|cash|receivable/.test(type)) {
+    classes.add('asset');
+  }
+  return classes;
+}
+
+/**
+ * Name of a Qoyod record for messages.
+ */
+function recordName(record) {
+  return record.name_en || record.name || record.name_ar || null;
+}
+
+/**
+ * Index Qoyod records by id.
+ */
+function byId(records) {
+  return new Map(records.map((record) => [String(record.id), record]));
+}
+
+/**
+ * Look up each referenced account and describe what is wrong with it.
+ */
+function accountProblems(references, accounts) {
+  const index = byId(accounts);
+  const problems = [];
+  for (const { setting, id, use } of references) {
+    const account = index.get(String(id));
+    const name = account && recordName(account) ? ` (${recordName(account)})` : '';
+    let problem = null;
+    if (!account) {
+      problem = `account ${id} does not exist in Qoyod`;
+    } else if (!isActive(account)) {
+      problem = `account ${id}${name} is not active`;
+    } else {
+      const classes = accountClasses(account);
+      const expected = ACCOUNT_USES[use];
+      if (!expected.classes.some((item) => classes.has(item))) {
+        const type = account.type || account.account_type || 'unknown';
+        problem = `account ${id}${name} has type ${type}, expected ${expected.label} account`;
+      }
+    }
+    if (problem) {
+      problems.push({ setting, kind: 'account', id, problem });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Look up each referenced cost center.
+ */
+function costCenterProblems(references, costCenters) {
+  const index = byId(costCenters);
+  const problems = [];
+  for (const { setting, id } of references) {
+    const costCenter = index.get(String(id));
+    let problem = null;
+    if (!costCenter) {
+      problem = `cost center ${id} does not exist in Qoyod`;
+    } else if (!isActive(costCenter)) {
+      problem = `cost center ${id} is not active`;
+    }
+    if (problem) {
+      problems.push({ setting, kind: 'costCenter', id, problem });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Check each VAT rate in use against the active Qoyod tax rates.
+ */
+function taxRateProblems(references, taxes) {
+  const rates = taxes
+    .filter(isActive)
+    .map((tax) => Number(tax.percentage !== undefined ? tax.percentage : tax.rate))
+    .filter(Number.isFinite);
+  return references
+    .filter(({ rate }) => !rates.some((known) => Math.abs(known - rate) < 0.0001))
+    .map(({ setting, rate }) => ({
+      setting,
+      kind: 'taxRate',
+      id: rate,
+      problem: `VAT rate ${rate}% is not an active Qoyod tax rate`
+    }));
+}
+
+/**
+ * Check the Qoyod ids of a configuration against the live Qoyod company.
+ *
+ * @param {Object} config Configuration from `loadSyncConfig`.
+ * @param {Object} env    Environment variables, defaults to `process.env`.
+ * @returns {Promise<{ok: boolean, checked: {accounts: number,
+ *   costCenters: number, taxRates: number}, problems: Array<{setting: string,
+ *   kind: string, id: (string|number), problem: string}>}>} `checked` counts
+ *   the references looked up; `setting` names where a problem comes from.
+ * @throws {HttpError} When Qoyod cannot be read.
+ */
+async function checkConfig(config, env = process.env) {
+  const references = configReferences(config, env);
+  const problems = accountProblems(references.accounts, await listAccounts(env));
+  if (references.costCenters.length > 0) {
+    problems.push(...costCenterProblems(references.costCenters, await listCostCenters(env)));
+  }
+  if (references.taxRates.length > 0) {
+    problems.push(...taxRateProblems(references.taxRates, await listTaxRates(env)));
+  }
+  return {
+    ok: problems.length === 0,
+    checked: {
+      accounts: references.accounts.length,
+      costCenters: references.costCenters.length,
+      taxRates: references.taxRates.length
+    },
+    problems
+  };
+}
+
+/**
+ * Check a configuration and throw when it does not pass.
+ *
+ * @param {Object} config Configuration from `loadSyncConfig`.
+ * @param {Object} env    Environment variables, defaults to `process.env`.
+ * @returns {Promise<Object>} The report of `checkConfig`.
+ * @throws {ConfigError} When a referenced id is missing or unusable.
+ * @throws {HttpError} When Qoyod cannot be read.
+ */
+async function assertConfigMatches(config, env = process.env) {
+  const report = await checkConfig(config, env);
+  if (!report.ok) {
+    throw new ConfigError(report);
+  }
+  return report;
+}
+
+module.exports = {
+  ConfigError,
+  assertConfigMatches,
+  checkConfig,
+  configCheckEnabled
+};
@@ -0,0 +1,45 @@
+/**
+ * Loading of JSON configuration from the environment.
+ *
+ * Every JSON setting can be given inline in one environment variable (for
+ * example `QOYOD_ACCOUNT_MAPPING`) or as a path to a file in a companion
+ * variable with a `_FILE` suffix (`QOYOD_ACCOUNT_MAPPING_FILE`). The inline
+ * value wins when both are set.
+ */
+
+const fs = require('fs');
+
+/**
+ * Read a JSON object setting from the environment.
+ *
+ * @param {string} name Name of the inline variable; `${name}_FILE` names the
+ *   file variant.
+ * @param {Object} env  Environment variables, defaults to `process.env`.
+ * @returns {Object} Parsed object, or `{}` when neither variable is set.
+ * @throws {Error} When the JSON cannot be read or is not an object.
+ */
+function loadJsonConfig(name, env = process.env) {
+  const fileVar = `${name}_FILE`;
+  let raw = {};
+  if (env[name]) {
+    try {
+      raw = JSON.parse(env[name]);
+    } catch (error) {
+      throw new Error(`${name} is not valid JSON: ${error.message}`);
+    }
+  } else if (env[fileVar]) {
+    try {
+      raw = JSON.parse(fs.readFileSync(env[fileVar], 'utf8'));
+    } catch (error) {
+      throw new Error(`Unable to read ${fileVar} ${env[fileVar]}: ${error.message}`);
+    }
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${name} must be a JSON object`);
+  }
+  return raw;
+}
+
+module.exports = {
+  loadJsonConfig
+};
@@ -0,0 +1,199 @@
+/**
+ * Consolidated journal entries: one entry per day or per card statement
+ * instead of one per transaction.
+ *
+ * `QOYOD_ENTRY_GRANULARITY` selects how journal entries are exported:
+ *   - transaction: one entry per Pemo transaction (the default).
+ *   - daily:       one entry per posting date (see `lib/posting-date.js`).
+ *                  A day is only posted once it is over in the posting time
+ *                  zone; until then its transactions stay ready to export
+ *                  in Pemo. With the `export` posting date each run posts
+ *                  what it found as one entry for the day.
+ *   - statement:   one entry per Pemo card statement (`statementId`),
+ *                  posted once the statement has closed: Pemo reports it
+ *                  `closed` (`statementStatus` or `statement.status`), or
+ *                  its closing day (`statementClosingDate` or
+ *                  `statement.closingDate`) is over in the posting time
+ *                  zone. Transactions not on a closed statement yet wait
+ *                  for it; those Pemo puts on no statement are
+ *                  consolidated per day, as with `daily`.
+ * Expenses and refunds are consolidated separately, so each entry keeps
+ * the direction of its transactions. A consolidated entry has one line per
+ * account, cost center and project, summing the lines the transactions
+ * would have had on their own; the line descriptions and the entry
+ * reference list the `PEMO-<id>` references of the transactions behind
+ * them. Purchase bills are always exported one per transaction.
+ */
+
+const { calendarDay, localDate } = require('./dates');
+const { assertBalanced } = require('./journal-entry');
+const { DEFAULT_DECIMALS, toMajorUnits, toMinorUnits } = require('./money');
+const { exportReference, textOf } = require('./pemo-transaction');
+
+const GRANULARITIES = ['transaction', 'daily', 'statement'];
+
+/**
+ * Load the export granularity from the environment.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {{granularity: string, enabled: boolean}}
+ * @throws {Error} When the granularity is not one of the accepted values.
+ */
+function loadConsolidationConfig(env = process.env) {
+  const granularity = env.QOYOD_ENTRY_GRANULARITY || 'transaction';
+  if (!GRANULARITIES.includes(granularity)) {
+    throw new Error(
+      `QOYOD_ENTRY_GRANULARITY must be one of ${GRANULARITIES.join(', ')}, got "${granularity}"`
+    );
+  }
+  return { granularity, enabled: granularity !== 'transaction' };
+}
+
+/**
+ * Card statement a Pemo transaction belongs to, if any.
+ */
+function statementOf(txn) {
+  return textOf(txn.statementId || (txn.statement && txn.statement.id));
+}
+
+/**
+ * Whether the card statement of a transaction has closed, so no more spend
+ * can be added to it.
+ */
+function statementClosed(txn, today, timeZone) {
+  const statement = txn.statement || {};
+  const status = textOf(txn.statementStatus || statement.status);
+  if (status && status.toLowerCase() === 'closed') {
+    return true;
+  }
+  const closingDate = textOf(txn.statementClosingDate || statement.closingDate);
+  return Boolean(closingDate) && calendarDay(closingDate, timeZone) < today;
+}
+
+/**
+ * Sort prepared entries into those posted on their own, the consolidated
+ * groups, and those waiting for their day or statement.
+ *
+ * @param {Object[]} entries Entries returned by `prepareEntries`, ready to
+ *   post.
+ * @param {Object} config    Configuration from `loadSyncConfig`.
+ * @param {Date} [now]       Current time, to tell whether a day or a
+ *   statement is over.
+ * @returns {{single: Object[], groups: Array<{kind: string, date: string,
+ *   title: string, entries: Object[]}>, waiting: Object[]}}
+ */
+function groupEntries(entries, config, now = new Date()) {
+  const { granularity } = config.consolidation;
+  if (granularity === 'transaction') {
+    return { single: entries, groups: [], waiting: [] };
+  }
+
+  const today = localDate(now, config.posting.timeZone);
+  const waitForDayEnd = config.posting.basis !== 'export';
+  const single = [];
+  const waiting = [];
+  const groups = new Map();
+  for (const entry of entries) {
+    if (entry.exportAs === 'bill') {
+      single.push(entry);
+      continue;
+    }
+    const { date } = entry.posting;
+    const statement = granularity === 'statement' ? statementOf(entry.txn) : null;
+    let period = null;
+    if (!statement) {
+      // Transactions on no statement are consolidated per day instead.
+      period = waitForDayEnd && date >= today ? null : date;
+    } else if (statementClosed(entry.txn, today, config.posting.timeZone)) {
+      period = statement;
+    }
+    if (!period) {
+      waiting.push(entry);
+      continue;
+    }
+    const key = `${entry.kind}:${statement ? 'statement' : 'day'}:${period}`;
+    if (!groups.has(key)) {
+      const base = statement ? `Pemo statement ${period}` : `Pemo card spend ${period}`;
+      groups.set(key, {
+        kind: entry.kind,
+        date,
+        title: entry.kind === 'refund' ? `${base} - refunds` : base,
+        entries: []
+      });
+    }
+    const group = groups.get(key);
+    group.entries.push(entry);
+    // A statement is booked on the last day of the transactions on it.
+    if (date > group.date) {
+      group.date = date;
+    }
+  }
+  return { single, groups: [...groups.values()], waiting };
+}
+
+/**
+ * Sum the lines of one side of several journal entries per account, cost
+ * center and project.
+ */
+function consolidateLines(entries, side, title, decimals) {
+  const lines = new Map();
+  for (const entry of entries) {
+    const reference = exportReference(entry.txn);
+    for (const line of entry.payload.journal_entry[side]) {
+      const key = [line.account_id, line.cost_center_id, line.project_id].join('|');
+      if (!lines.has(key)) {
+        lines.set(key, { line, minor: 0, references: [] });
+      }
+      const total = lines.get(key);
+      total.minor += toMinorUnits(line.amount, decimals);
+      if (!total.references.includes(reference)) {
+        total.references.push(reference);
+      }
+    }
+  }
+  return [...lines.values()].map(({ line, minor, references }) => {
+    const consolidated = {
+      account_id: line.account_id,
+      amount: toMajorUnits(minor, decimals),
+      description: `${title}: ${references.join(', ')}`
+    };
+    if (line.cost_center_id) {
+      consolidated.cost_center_id = line.cost_center_id;
+    }
+    if (line.project_id) {
+      consolidated.project_id = line.project_id;
+    }
+    return consolidated;
+  });
+}
+
+/**
+ * Build the consolidated journal entry of a group.
+ *
+ * @param {{date: string, title: string, entries: Object[]}} group Group from
+ *   `groupEntries`, possibly narrowed to the entries claimed for posting.
+ * @param {number} [decimals] Decimals of the base currency.
+ * @returns {Object} Payload for `POST /journal_entries`.
+ * @throws {Error} When the entry does not balance.
+ */
+function buildConsolidatedEntry(group, decimals = DEFAULT_DECIMALS) {
+  const { date, title, entries } = group;
+  const reference = entries.map(({ txn }) => exportReference(txn)).join(', ');
+  const payload = {
+    journal_entry: {
+      reference,
+      description: `${title} [${reference}]`,
+      date,
+      debit_amounts: consolidateLines(entries, 'debit_amounts', title, decimals),
+      credit_amounts: consolidateLines(entries, 'credit_amounts', title, decimals)
+    }
+  };
+  assertBalanced(payload, decimals);
+  return payload;
+}
+
+module.exports = {
+  buildConsolidatedEntry,
+  groupEntries,
+  loadConsolidationConfig
+};
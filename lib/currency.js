@@ -0,0 +1,177 @@
+/**
+ * Currency handling: minor units and conversion to the Qoyod base currency.
+ *
+ * Pemo amounts are integers in the minor unit of the transaction currency
+ * (`currency`, SAR when absent); most currencies have two decimals, but
+ * KWD, BHD, OMR and JOD have three and JPY none.
+ *
+ * Transactions in another currency than `QOYOD_BASE_CURRENCY` (default SAR)
+ * are converted before they are booked:
+ *   1. With the billing amount Pemo provides (`billingAmount` in
+ *      `billingCurrency`) when it is in the base currency.
+ *   2. Otherwise with the active rate provider. The default provider reads
+ *      a rate table from `QOYOD_FX_RATES` (inline JSON) or
+ *      `QOYOD_FX_RATES_FILE`, e.g. `{ "USD": 3.75, "EUR": 4.05 }`, giving the
+ *      value of one unit in the base currency. Another source can be plugged
+ *      in with `setRateProvider()`; a provider is an object with an async
+ *      `getRate(currency, baseCurrency, date)` method returning a number or
+ *      null.
+ *
+ * The original currency, amount and rate are returned with the converted
+ * transaction so they can be recorded on the journal entry for audit.
+ */
+
+const { loadJsonConfig } = require('./config');
+const { toMajorUnits } = require('./money');
+
+const DEFAULT_CURRENCY = 'SAR';
+
+const CURRENCY_DECIMALS = {
+  BHD: 3,
+  IQD: 3,
+  JOD: 3,
+  KWD: 3,
+  LYD: 3,
+  OMR: 3,
+  TND: 3,
+  JPY: 0,
+  KRW: 0,
+  VND: 0
+};
+
+/**
+ * Number of decimal places of a currency.
+ *
+ * @param {string} currency ISO 4217 code.
+ * @returns {number} Decimal places (2 unless listed otherwise).
+ */
+function currencyDecimals(currency) {
+  const code = String(currency || DEFAULT_CURRENCY).toUpperCase();
+  return CURRENCY_DECIMALS[code] !== undefined ? CURRENCY_DECIMALS[code] : 2;
+}
+
+/**
+ * Normalize a currency code, defaulting to SAR.
+ */
+function currencyCode(value) {
+  return typeof value === 'string' && value.trim() ? value.trim().toUpperCase() : DEFAULT_CURRENCY;
+}
+
+/**
+ * Rate provider backed by a static table.
+ *
+ * @param {Object<string, number>} rates Value of one unit in the base
+ *   currency, keyed by currency code.
+ * @returns {{getRate: Function}} Rate provider.
+ */
+function createTableRateProvider(rates) {
+  const table = {};
+  for (const [code, rate] of Object.entries(rates)) {
+    const value = Number(rate);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error(`Invalid FX rate for ${code}: ${JSON.stringify(rate)}`);
+    }
+    table[code.toUpperCase()] = value;
+  }
+  return {
+    async getRate(currency) {
+      return table[currency] || null;
+    }
+  };
+}
+
+let activeRateProvider = null;
+
+/**
+ * Install a custom rate provider (or reset with `null`).
+ *
+ * @param {?{getRate: Function}} provider Rate provider.
+ */
+function setRateProvider(provider) {
+  activeRateProvider = provider;
+}
+
+/**
+ * Load the currency configuration from the environment.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {{baseCurrency: string, baseDecimals: number,
+ *   rateProvider: {getRate: Function}}}
+ */
+function loadCurrencyConfig(env = process.env) {
+  const baseCurrency = currencyCode(env.QOYOD_BASE_CURRENCY);
+  return {
+    baseCurrency,
+    baseDecimals: currencyDecimals(baseCurrency),
+    rateProvider:
+      activeRateProvider || createTableRateProvider(loadJsonConfig('QOYOD_FX_RATES', env))
+  };
+}
+
+/**
+ * Convert a transaction to the base currency.
+ *
+ * @param {Object} txn    Validated Pemo transaction.
+ * @param {Object} config Configuration returned by `loadCurrencyConfig`.
+ * @returns {Promise<{booked: Object, fx: ?Object}>} `booked` is a copy of the
+ *   transaction whose `totalAmount` (and `taxAmount`, if any) are in minor
+ *   units of the base currency; `fx` describes the conversion, or is null
+ *   when the transaction already is in the base currency.
+ * @throws {Error} When no rate is available for the currency.
+ */
+async function convertTransaction(txn, config) {
+  const currency = currencyCode(txn.currency);
+  if (currency === config.baseCurrency) {
+    return { booked: txn, fx: null };
+  }
+
+  const decimals = currencyDecimals(currency);
+  const originalMajor = Math.abs(txn.totalAmount) / 10 ** decimals;
+  let baseMinor;
+  let rate;
+  let source;
+
+  if (
+    typeof txn.billingAmount === 'number' &&
+    currencyCode(txn.billingCurrency) === config.baseCurrency
+  ) {
+    baseMinor = Math.abs(txn.billingAmount);
+    rate = originalMajor > 0 ? baseMinor / 10 ** config.baseDecimals / originalMajor : null;
+    source = 'pemo:billingAmount';
+  } else {
+    rate = await config.rateProvider.getRate(currency, config.baseCurrency, txn.date);
+    if (!rate) {
+      throw new Error(`No FX rate available for ${currency} to ${config.baseCurrency}`);
+    }
+    baseMinor = Math.round(originalMajor * rate * 10 ** config.baseDecimals);
+    source = 'rate';
+  }
+
+  const sign = txn.totalAmount < 0 ? -1 : 1;
+  const booked = { ...txn, totalAmount: sign * baseMinor };
+  for (const field of ['taxAmount', 'vatAmount']) {
+    if (typeof txn[field] === 'number' && txn.totalAmount !== 0) {
+      booked[field] = Math.round((txn[field] * baseMinor) / Math.abs(txn.totalAmount));
+    }
+  }
+
+  return {
+    booked,
+    fx: {
+      currency,
+      amount: toMajorUnits(Math.abs(txn.totalAmount), decimals),
+      rate: rate === null ? null : Number(rate.toFixed(6)),
+      baseCurrency: config.baseCurrency,
+      source
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  convertTransaction,
+  createTableRateProvider,
+  currencyDecimals,
+  loadCurrencyConfig,
+  setRateProvider
+};
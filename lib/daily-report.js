@@ -0,0 +1,372 @@
+/**
+ * Daily sync summary for the accountant, in Arabic and English.
+ *
+ * The report covers the runs started on one calendar day in
+ * `REPORT_TIME_ZONE` (default `Asia/Riyadh`) and is built from the run
+ * history: the entries created, the total spend in the base currency, a
+ * breakdown by Pemo expense category, the last and next run, and the
+ * exceptions the accountant should look at:
+ *   - entries without a merchant, booked as "Pemo Transaction",
+ *   - unusual amounts: at least `REPORT_LARGE_AMOUNT` (default 10000) or
+ *     below `REPORT_SMALL_AMOUNT` (default 1), in base currency units,
+ *   - transactions that failed to export, and runs that failed outright.
+ *
+ * `buildDailyReport` returns the report as JSON; `renderMarkdown` and
+ * `renderHtml` format it in `ar`, `en` or `both` languages. In a
+ * multi-entity deployment each entity has its own report, titled with the
+ * entity's name (see `lib/entities.js`).
+ */
+
+const { currencyDecimals } = require('./currency');
+const { localDate } = require('./dates');
+const { toMajorUnits, toMinorUnits } = require('./money');
+const { getRunHistory } = require('./run-history');
+const { nextRun, syncSchedule } = require('./schedule');
+
+const LABELS = {
+  en: {
+    title: 'Daily sync report',
+    entriesCreated: 'Entries created',
+    total: 'Total spend',
+    byCategory: 'By expense category',
+    transactions: (count) => `${count} transaction${count === 1 ? '' : 's'}`,
+    lastRun: 'Last run',
+    nextRun: 'Next scheduled run',
+    exceptions: 'Exceptions',
+    none: 'None',
+    missingDescriptions: 'Missing description',
+    unusualAmounts: 'Unusual amount',
+    failedTransactions: 'Failed to export',
+    failedRuns: 'Failed runs',
+    other: 'Other',
+    notYet: 'No run yet',
+    unknown: 'Unknown'
+  },
+  ar: {
+    title: 'تقرير المزامنة اليومية',
+    entriesCreated: 'عدد القيود المُنشأة',
+    total: 'إجمالي المصروفات',
+    byCategory: 'أنواع المصروفات',
+    transactions: (count) => `${count} معاملة`,
+    lastRun: 'وقت آخر تشغيل',
+    nextRun: 'موعد التشغيل القادم',
+    exceptions: 'الاستثناءات',
+    none: 'لا يوجد',
+    missingDescriptions: 'وصف غير واضح',
+    unusualAmounts: 'مبلغ غير معتاد',
+    failedTransactions: 'فشل التصدير',
+    failedRuns: 'تشغيل فاشل',
+    other: 'أخرى',
+    notYet: 'لم يتم التشغيل بعد',
+    unknown: 'غير معروف'
+  }
+};
+
+const CURRENCY_NAMES_AR = { SAR: 'ريال' };
+
+/**
+ * Read the report settings from the environment.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {{timeZone: string, largeAmount: number, smallAmount: number,
+ *   schedule: ?string, entity: ?string}}
+ */
+function loadReportConfig(env = process.env) {
+  const number = (value, fallback) =>
+    value !== undefined && value !== '' && Number.isFinite(Number(value)) ? Number(value) : fallback;
+  return {
+    timeZone: env.REPORT_TIME_ZONE || 'Asia/Riyadh',
+    largeAmount: number(env.REPORT_LARGE_AMOUNT, 10000),
+    smallAmount: number(env.REPORT_SMALL_AMOUNT, 1),
+    schedule: syncSchedule(env),
+    entity: env.SYNC_ENTITY_NAME || null
+  };
+}
+
+/**
+ * Build the report of one day from the run history.
+ *
+ * @param {Object[]} runs   Run records, in any order.
+ * @param {Object} options
+ * @param {string} options.date   Day to report, `YYYY-MM-DD`.
+ * @param {Object} options.config Settings from `loadReportConfig`.
+ * @param {Date} [options.now]    Reference time for the next run.
+ * @returns {Object} Report.
+ */
+function buildDailyReport(runs, { date, config, now = new Date() }) {
+  const dayRuns = runs
+    .filter((run) => localDate(run.startedAt, config.timeZone) === date)
+    .sort((a, b) => String(a.startedAt).localeCompare(String(b.startedAt)));
+  const baseCurrency =
+    (dayRuns.find((run) => run.baseCurrency) || {}).baseCurrency ||
+    (runs.find((run) => run.baseCurrency) || {}).baseCurrency ||
+    'SAR';
+  const decimals = currencyDecimals(baseCurrency);
+  const major = (minor) => toMajorUnits(minor, decimals);
+
+  const posted = dayRuns.flatMap((run) => run.postedEntries || []);
+  const postedIds = new Set(posted.map(({ transactionId }) => String(transactionId)));
+  // The transactions of a consolidated entry share its journal entry.
+  const consolidatedIds = new Set(
+    posted.filter((entry) => entry.consolidated).map((entry) => String(entry.journalEntryId))
+  );
+
+  const categories = new Map();
+  let totalMinor = 0;
+  for (const entry of posted) {
+    const amount = entry.amount || 0;
+    totalMinor += amount;
+    const key = entry.category || null;
+    const group = categories.get(key) || { category: key, amount: 0, count: 0 };
+    group.amount += amount;
+    group.count += 1;
+    categories.set(key, group);
+  }
+
+  const large = toMinorUnits(config.largeAmount, decimals);
+  const small = toMinorUnits(config.smallAmount, decimals);
+  const unusualAmounts = [];
+  for (const entry of posted) {
+    const size = Math.abs(entry.amount || 0);
+    if (size >= large || size < small) {
+      unusualAmounts.push({
+        transactionId: entry.transactionId,
+        amount: major(entry.amount || 0),
+        reason: size >= large ? 'large' : 'small'
+      });
+    }
+  }
+
+  // Keep the latest failure of each transaction that never got posted.
+  const failures = new Map();
+  for (const run of dayRuns) {
+    for (const failure of run.failedTransactions || []) {
+      if (!postedIds.has(String(failure.transactionId))) {
+        failures.set(String(failure.transactionId), { ...failure, runId: run.runId });
+      }
+    }
+  }
+
+  const lastRun = dayRuns[dayRuns.length - 1] || null;
+  const next = config.schedule ? nextRun(config.schedule, now) : null;
+
+  return {
+    date,
+    entity: config.entity || null,
+    timeZone: config.timeZone,
+    baseCurrency,
+    runCount: dayRuns.length,
+    lastRunAt: lastRun ? lastRun.finishedAt || lastRun.startedAt : null,
+    nextRunAt: next ? next.toISOString() : null,
+    entriesCreated: posted.filter((entry) => !entry.consolidated).length + consolidatedIds.size,
+    totalAmount: major(totalMinor),
+    byCategory: [...categories.values()]
+      .sort((a, b) => b.amount - a.amount)
+      .map((group) => ({ ...group, amount: major(group.amount) })),
+    exceptions: {
+      missingDescriptions: posted
+        .filter((entry) => !entry.merchant)
+        .map((entry) => ({
+          transactionId: entry.transactionId,
+          journalEntryId: entry.journalEntryId || null,
+          billId: entry.billId || null
+        })),
+      unusualAmounts,
+      failedTransactions: [...failures.values()],
+      failedRuns: dayRuns
+        .filter((run) => run.status === 'failed')
+        .map((run) => ({ runId: run.runId, startedAt: run.startedAt, error: run.error }))
+    }
+  };
+}
+
+/**
+ * Load the runs from the history and build the report of one day.
+ *
+ * @param {string} [date] Day to report, `YYYY-MM-DD`; defaults to today in
+ *   the report time zone.
+ * @param {Object} env    Environment variables, defaults to `process.env`.
+ * @returns {Promise<Object>} Report.
+ */
+async function loadDailyReport(date, env = process.env) {
+  const config = loadReportConfig(env);
+  const runs = await getRunHistory(env).list();
+  return buildDailyReport(runs, { date: date || localDate(new Date(), config.timeZone), config });
+}
+
+/**
+ * Format an amount with thousands separators and the currency name.
+ */
+function formatAmount(amount, report, lang) {
+  const decimals = currencyDecimals(report.baseCurrency);
+  const text = amount.toLocaleString('en-US', {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  });
+  const currency =
+    lang === 'ar' ? CURRENCY_NAMES_AR[report.baseCurrency] || report.baseCurrency : report.baseCurrency;
+  return `${text} ${currency}`;
+}
+
+/**
+ * Format an instant in UTC and in the report time zone.
+ */
+function formatTime(instant, report) {
+  if (!instant) {
+    return null;
+  }
+  const format = (timeZone) =>
+    new Intl.DateTimeFormat('sv-SE', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: false
+    }).format(new Date(instant));
+  return `${format('UTC')} UTC (${format(report.timeZone)} ${report.timeZone})`;
+}
+
+/**
+ * The day of a report, preceded by its entity when there is one.
+ */
+function reportHeading(report) {
+  return report.entity ? `${report.entity} - ${report.date}` : report.date;
+}
+
+/**
+ * Lay out the report as a list of sections for one language.
+ */
+function reportLines(report, lang) {
+  const labels = LABELS[lang];
+  const categories = report.byCategory.map(
+    (group) =>
+      `${group.category || labels.other}: ${formatAmount(group.amount, report, lang)} ` +
+      `(${labels.transactions(group.count)})`
+  );
+  const { exceptions } = report;
+  const exceptionLines = [
+    ...exceptions.missingDescriptions.map(
+      (item) => `${labels.missingDescriptions}: ${item.transactionId}`
+    ),
+    ...exceptions.unusualAmounts.map(
+      (item) =>
+        `${labels.unusualAmounts}: ${item.transactionId} (${formatAmount(item.amount, report, lang)})`
+    ),
+    ...exceptions.failedTransactions.map(
+      (item) => `${labels.failedTransactions}: ${item.transactionId} – ${item.error}`
+    ),
+    ...exceptions.failedRuns.map((item) => `${labels.failedRuns}: ${item.startedAt} – ${item.error}`)
+  ];
+
+  return {
+    labels,
+    title: `📊 ${labels.title} - ${reportHeading(report)}`,
+    summary: [
+      `✅ ${labels.entriesCreated}: ${report.entriesCreated}`,
+      `💰 ${labels.total}: ${formatAmount(report.totalAmount, report, lang)}`
+    ],
+    categories,
+    times: [
+      `⏰ ${labels.lastRun}: ${formatTime(report.lastRunAt, report) || labels.notYet}`,
+      `📅 ${labels.nextRun}: ${formatTime(report.nextRunAt, report) || labels.unknown}`
+    ],
+    exceptions: exceptionLines
+  };
+}
+
+function languagesOf(lang) {
+  return lang === 'both' ? ['ar', 'en'] : [LABELS[lang] ? lang : 'en'];
+}
+
+/**
+ * Render the report as Markdown.
+ *
+ * @param {Object} report Report from `buildDailyReport`.
+ * @param {string} [lang] `ar`, `en` or `both` (default).
+ * @returns {string}
+ */
+function renderMarkdown(report, lang = 'both') {
+  return languagesOf(lang)
+    .map((code) => {
+      const lines = reportLines(report, code);
+      const out = [`## ${lines.title}`, '', ...lines.summary.map((line) => `- ${line}`)];
+      out.push(`- 🏪 ${lines.labels.byCategory}:`);
+      out.push(...(lines.categories.length > 0 ? lines.categories : [lines.labels.none])
+        .map((line) => `  - ${line}`));
+      out.push(...lines.times.map((line) => `- ${line}`), '');
+      out.push(`### ⚠️ ${lines.labels.exceptions}`, '');
+      out.push(...(lines.exceptions.length > 0 ? lines.exceptions : [lines.labels.none])
+        .map((line) => `- ${line}`));
+      return out.join('\n');
+    })
+    .join('\n\n---\n\n');
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render the report as a standalone HTML page (Arabic sections are RTL).
+ *
+ * @param {Object} report Report from `buildDailyReport`.
+ * @param {string} [lang] `ar`, `en` or `both` (default).
+ * @returns {string}
+ */
+function renderHtml(report, lang = 'both') {
+  const list = (items) => `<ul>${items.map((item) => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+  const sections = languagesOf(lang).map((code) => {
+    const lines = reportLines(report, code);
+    return [
+      `<section lang="${code}" dir="${code === 'ar' ? 'rtl' : 'ltr'}">`,
+      `<h2>${escapeHtml(lines.title)}</h2>`,
+      list(lines.summary),
+      `<h3>🏪 ${escapeHtml(lines.labels.byCategory)}</h3>`,
+      list(lines.categories.length > 0 ? lines.categories : [lines.labels.none]),
+      list(lines.times),
+      `<h3>⚠️ ${escapeHtml(lines.labels.exceptions)}</h3>`,
+      list(lines.exceptions.length > 0 ? lines.exceptions : [lines.labels.none]),
+      '</section>'
+    ].join('\n');
+  });
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head><meta charset="utf-8">',
+    `<title>${escapeHtml(`${LABELS.en.title} - ${reportHeading(report)}`)}</title></head>`,
+    '<body>',
+    sections.join('\n<hr>\n'),
+    '</body>',
+    '</html>'
+  ].join('\n');
+}
+
+/**
+ * Package the report for a notifier.
+ *
+ * @param {Object} report Report from `buildDailyReport`.
+ * @returns {{subject: string, report: Object, markdown: string, html: string}}
+ */
+function reportMessage(report) {
+  return {
+    subject: `${LABELS.ar.title} / ${LABELS.en.title} - ${reportHeading(report)}`,
+    report,
+    markdown: renderMarkdown(report),
+    html: renderHtml(report)
+  };
+}
+
+module.exports = {
+  buildDailyReport,
+  loadDailyReport,
+  loadReportConfig,
+  renderHtml,
+  renderMarkdown,
+  reportMessage
+};
@@ -0,0 +1,41 @@
+/**
+ * Calendar days in a time zone, shared by the posting dates, consolidated
+ * entries and the daily report.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Calendar date of an instant in a time zone, as `YYYY-MM-DD`.
+ *
+ * @param {Date|string} instant  Point in time.
+ * @param {string} timeZone      IANA time zone.
+ * @returns {string}
+ * @throws {RangeError} When the time zone is unknown.
+ */
+function localDate(instant, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(new Date(instant));
+}
+
+/**
+ * Calendar day of a Pemo date in a time zone; date-only values are kept.
+ *
+ * @param {Date|string} value Pemo date or timestamp.
+ * @param {string} timeZone   IANA time zone.
+ * @returns {string} `YYYY-MM-DD` day.
+ */
+function calendarDay(value, timeZone) {
+  const text = String(value).trim();
+  return DATE_PATTERN.test(text) ? text : localDate(text, timeZone);
+}
+
+module.exports = {
+  DATE_PATTERN,
+  calendarDay,
+  localDate
+};
@@ -0,0 +1,164 @@
+/**
+ * Cost center and project tagging of journal entry lines.
+ *
+ * The Pemo department, team, cardholder and tags of a transaction are mapped
+ * onto a Qoyod cost center and project with the table in
+ * `QOYOD_DIMENSION_MAPPING` (inline JSON) or `QOYOD_DIMENSION_MAPPING_FILE`:
+ *
+ *   {
+ *     "costCenter": {
+ *       "department": { "Sales": 3 },
+ *       "team":       { "Growth": 4 },
+ *       "cardholder": { "ops@example.com": 5 },
+ *       "tag":        { "event-2024": 6 }
+ *     },
+ *     "project": {
+ *       "tag": { "launch": 12 }
+ *     },
+ *     "defaultCostCenterId": 1,
+ *     "defaultProjectId": null,
+ *     "unmapped": "default"
+ *   }
+ *
+ * For each dimension the sources are tried in the order shown and the first
+ * match wins; keys are matched case-insensitively. When the cost center
+ * cannot be mapped, `unmapped` decides what happens:
+ *   - default: use `defaultCostCenterId` (the default policy).
+ *   - review:  use the default and flag the transaction for review.
+ *   - reject:  do not post the transaction.
+ * An unmapped project simply falls back to `defaultProjectId`.
+ *
+ * A cost center set by a matching rule (see `lib/rules.js`) wins over the
+ * mapping. The resolved ids are set as `cost_center_id` / `project_id` on
+ * the expense lines of the journal entry.
+ */
+
+const { normalizeAccountId } = require('./account-mapping');
+const { loadJsonConfig } = require('./config');
+const { transactionAttributes } = require('./pemo-transaction');
+
+const SOURCES = ['department', 'team', 'cardholder', 'tag'];
+const POLICIES = ['default', 'review', 'reject'];
+
+/**
+ * Index one dimension's mapping table by source and lower-cased key.
+ */
+function indexDimension(table, name) {
+  const index = {};
+  if (table === undefined) {
+    return index;
+  }
+  if (!table || typeof table !== 'object' || Array.isArray(table)) {
+    throw new Error(`Dimension mapping "${name}" must be an object`);
+  }
+  for (const source of Object.keys(table)) {
+    if (!SOURCES.includes(source)) {
+      throw new Error(`Unknown source "${source}" in dimension mapping "${name}"`);
+    }
+    index[source] = {};
+    for (const [key, id] of Object.entries(table[source] || {})) {
+      index[source][key.trim().toLowerCase()] = normalizeAccountId(id);
+    }
+  }
+  return index;
+}
+
+/**
+ * Load the dimension mapping from the environment.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {{enabled: boolean, costCenter: Object, project: Object,
+ *   defaultCostCenterId: ?number, defaultProjectId: ?number,
+ *   unmapped: string}}
+ * @throws {Error} When the mapping is malformed.
+ */
+function loadDimensionConfig(env = process.env) {
+  const raw = loadJsonConfig('QOYOD_DIMENSION_MAPPING', env);
+  const unmapped = raw.unmapped || 'default';
+  if (!POLICIES.includes(unmapped)) {
+    throw new Error(
+      `Dimension mapping "unmapped" must be one of ${POLICIES.join(', ')}, got "${unmapped}"`
+    );
+  }
+  return {
+    enabled: Object.keys(raw).length > 0,
+    costCenter: indexDimension(raw.costCenter, 'costCenter'),
+    project: indexDimension(raw.project, 'project'),
+    defaultCostCenterId: normalizeAccountId(raw.defaultCostCenterId),
+    defaultProjectId: normalizeAccountId(raw.defaultProjectId),
+    unmapped
+  };
+}
+
+/**
+ * Find the first mapped id for a dimension.
+ */
+function matchDimension(index, values) {
+  for (const source of SOURCES) {
+    const table = index[source];
+    if (!table) {
+      continue;
+    }
+    for (const value of values[source]) {
+      const id = table[value.toLowerCase()];
+      if (id) {
+        return { id, matchedBy: `${source}:${value}` };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve the cost center and project of a transaction.
+ *
+ * @param {Object} txn    Pemo transaction.
+ * @param {Object} config Configuration from `loadDimensionConfig`.
+ * @param {?{id: (string|number), matchedBy: string}} [preset] Cost center
+ *   decided elsewhere, e.g. by a rule.
+ * @returns {{costCenterId: ?(string|number), projectId: ?(string|number),
+ *   matchedBy: Object, needsReview: boolean, values: Object}} `values` lists
+ *   the Pemo values that were looked up.
+ * @throws {Error} When the cost center is unmapped and the policy is reject.
+ */
+function resolveDimensions(txn, config, preset = null) {
+  if (!config.enabled) {
+    return {
+      costCenterId: preset ? preset.id : null,
+      projectId: null,
+      matchedBy: preset ? { costCenter: preset.matchedBy } : {},
+      needsReview: false,
+      values: {}
+    };
+  }
+
+  const attributes = transactionAttributes(txn);
+  const values = {
+    department: [attributes.department].filter(Boolean),
+    team: [attributes.team].filter(Boolean),
+    cardholder: [attributes.spenderEmail, attributes.spender].filter(Boolean),
+    tag: attributes.tags
+  };
+
+  const costCenter = preset || matchDimension(config.costCenter, values);
+  const project = matchDimension(config.project, values);
+  if (!costCenter && config.unmapped === 'reject') {
+    throw new Error(`No cost center mapped for ${JSON.stringify(values)}`);
+  }
+
+  return {
+    costCenterId: costCenter ? costCenter.id : config.defaultCostCenterId,
+    projectId: project ? project.id : config.defaultProjectId,
+    matchedBy: {
+      costCenter: costCenter ? costCenter.matchedBy : 'default',
+      project: project ? project.matchedBy : 'default'
+    },
+    needsReview: !costCenter && config.unmapped === 'review',
+    values
+  };
+}
+
+module.exports = {
+  loadDimensionConfig,
+  resolveDimensions
+};
@@ -0,0 +1,224 @@
+/**
+ * Several legal entities, each a Pemo account paired with a Qoyod company,
+ * synced by one deployment.
+ *
+ * The entities are read from `SYNC_ENTITIES` (inline JSON) or
+ * `SYNC_ENTITIES_FILE`:
+ *
+ *   {
+ *     "entities": [
+ *       {
+ *         "id": "ksa",
+ *         "name": "Acme Arabia",
+ *         "pemoApiKeyEnv": "PEMO_API_KEY_KSA",
+ *         "qoyodApiKeyEnv": "QOYOD_API_KEY_KSA",
+ *         "pemoWebhookSecretEnv": "PEMO_WEBHOOK_SECRET_KSA",
+ *         "baseCurrency": "SAR",
+ *         "debitAccountId": 5101,
+ *         "creditAccountId": 1101,
+ *         "accountMapping": { "category": { "Travel": 5102 } },
+ *         "env": {
+ *           "QOYOD_INPUT_VAT_ACCOUNT_ID": 2301,
+ *           "QOYOD_VAT_CONFIG": { "defaultRate": 15 }
+ *         }
+ *       }
+ *     ]
+ *   }
+ *
+ * Keys are never written in the file: `pemoApiKeyEnv`, `qoyodApiKeyEnv` and
+ * `pemoWebhookSecretEnv` name the environment variables that hold them.
+ *
+ * Each entity runs with the deployment's environment, minus every `PEMO_*`
+ * and `QOYOD_*` setting (account ids and mappings belong to one company),
+ * plus its own settings: the fields above stand for `PEMO_API_KEY`,
+ * `QOYOD_API_KEY`, `PEMO_WEBHOOK_SECRET`, `QOYOD_BASE_CURRENCY`,
+ * `QOYOD_DEBIT_ACCOUNT_ID`, `QOYOD_CREDIT_ACCOUNT_ID` and
+ * `QOYOD_ACCOUNT_MAPPING`, and `env` sets any other variable (objects are
+ * passed as JSON). Its export ledger, review queue and run history live in
+ * `entities/<id>/` under the data directory, so no state is shared between
+ * entities.
+ *
+ * Without `SYNC_ENTITIES` the deployment is a single entity configured by
+ * the environment itself, as before.
+ */
+
+const path = require('path');
+const { loadJsonConfig } = require('./config');
+const { dataDir } = require('./json-store');
+
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const COMPANY_PREFIXES = ['PEMO_', 'QOYOD_'];
+const STORE_PATHS = ['EXPORT_LEDGER_PATH', 'REVIEW_QUEUE_PATH', 'RUN_HISTORY_PATH'];
+const REFERENCES = {
+  pemoApiKeyEnv: 'PEMO_API_KEY',
+  qoyodApiKeyEnv: 'QOYOD_API_KEY',
+  pemoWebhookSecretEnv: 'PEMO_WEBHOOK_SECRET'
+};
+const SETTINGS = {
+  baseCurrency: 'QOYOD_BASE_CURRENCY',
+  debitAccountId: 'QOYOD_DEBIT_ACCOUNT_ID',
+  creditAccountId: 'QOYOD_CREDIT_ACCOUNT_ID',
+  accountMapping: 'QOYOD_ACCOUNT_MAPPING'
+};
+const FIELDS = ['id', 'name', 'env', ...Object.keys(REFERENCES), ...Object.keys(SETTINGS)];
+
+/**
+ * Turn a configured value into an environment variable value.
+ */
+function settingValue(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Build the environment one entity runs with.
+ *
+ * @param {Object} entity Entity as configured.
+ * @param {Object} env    Environment of the deployment.
+ * @returns {Object} Environment variables.
+ */
+function entityEnv(entity, env) {
+  const result = {};
+  for (const [key, value] of Object.entries(env)) {
+    if (!COMPANY_PREFIXES.some((prefix) => key.startsWith(prefix)) && !STORE_PATHS.includes(key)) {
+      result[key] = value;
+    }
+  }
+  result.SYNC_DATA_DIR = path.join(dataDir(env), 'entities', entity.id);
+  for (const [key, value] of Object.entries(entity.env || {})) {
+    result[key] = settingValue(value);
+  }
+  for (const [field, key] of Object.entries(REFERENCES)) {
+    if (entity[field] && env[entity[field]]) {
+      result[key] = env[entity[field]];
+    }
+  }
+  for (const [field, key] of Object.entries(SETTINGS)) {
+    if (entity[field] !== undefined && entity[field] !== null) {
+      result[key] = settingValue(entity[field]);
+    }
+  }
+  result.SYNC_ENTITY = entity.id;
+  result.SYNC_ENTITY_NAME = entity.name || entity.id;
+  return result;
+}
+
+/**
+ * Load and validate the entities from the environment.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {Array<{id: string, name: string, env: Object}>} Entities with
+ *   the environment each one runs with; empty when `SYNC_ENTITIES` is not
+ *   set.
+ * @throws {Error} When the configuration is malformed.
+ */
+function loadEntities(env = process.env) {
+  const raw = loadJsonConfig('SYNC_ENTITIES', env);
+  if (raw.entities === undefined) {
+    return [];
+  }
+  if (!Array.isArray(raw.entities) || raw.entities.length === 0) {
+    throw new Error('SYNC_ENTITIES "entities" must be a non-empty list');
+  }
+  const seen = new Set();
+  return raw.entities.map((entity, index) => {
+    const label = entity && typeof entity.id === 'string' ? entity.id : `#${index + 1}`;
+    const fail = (message) => {
+      throw new Error(`SYNC_ENTITIES entity ${label}: ${message}`);
+    };
+    if (!entity || typeof entity !== 'object' || Array.isArray(entity)) {
+      fail('must be an object');
+    }
+    const unknown = Object.keys(entity).filter((key) => !FIELDS.includes(key));
+    if (unknown.length > 0) {
+      fail(`unknown field "${unknown[0]}"`);
+    }
+    if (typeof entity.id !== 'string' || !ID_PATTERN.test(entity.id)) {
+      fail('"id" must be letters, digits, "-" or "_"');
+    }
+    if (seen.has(entity.id.toLowerCase())) {
+      fail('duplicate id');
+    }
+    seen.add(entity.id.toLowerCase());
+    for (const field of ['pemoApiKeyEnv', 'qoyodApiKeyEnv']) {
+      if (typeof entity[field] !== 'string' || !entity[field].trim()) {
+        fail(`"${field}" must name the environment variable holding the key`);
+      }
+    }
+    if (
+      entity.env !== undefined &&
+      (!entity.env || typeof entity.env !== 'object' || Array.isArray(entity.env))
+    ) {
+      fail('"env" must be an object');
+    }
+    if (
+      entity.accountMapping !== undefined &&
+      (!entity.accountMapping || typeof entity.accountMapping !== 'object')
+    ) {
+      fail('"accountMapping" must be an object');
+    }
+    const name = typeof entity.name === 'string' && entity.name.trim()
+      ? entity.name.trim()
+      : entity.id;
+    return { id: entity.id, name, env: entityEnv({ ...entity, name }, env) };
+  });
+}
+
+/**
+ * Pick the entities a request is about.
+ *
+ * Without `SYNC_ENTITIES` the deployment itself is the only entity, with a
+ * null id.
+ *
+ * @param {?string} entityId Requested entity, or empty for all of them.
+ * @param {Object} env       Environment variables, defaults to `process.env`.
+ * @returns {{ok: boolean, status?: number, error?: string,
+ *   entities?: Array<{id: ?string, name: ?string, env: Object}>}}
+ */
+function selectEntities(entityId, env = process.env) {
+  let entities;
+  try {
+    entities = loadEntities(env);
+  } catch (error) {
+    return { ok: false, status: 500, error: error.message };
+  }
+  if (entities.length === 0) {
+    return entityId
+      ? { ok: false, status: 404, error: `Unknown entity "${entityId}": SYNC_ENTITIES is not set` }
+      : { ok: true, entities: [{ id: null, name: null, env }] };
+  }
+  if (!entityId) {
+    return { ok: true, entities };
+  }
+  const entity = entities.find((item) => item.id.toLowerCase() === String(entityId).toLowerCase());
+  return entity
+    ? { ok: true, entities: [entity] }
+    : { ok: false, status: 404, error: `Unknown entity "${entityId}"` };
+}
+
+/**
+ * Pick the one entity a request is about, from its `entity` query
+ * parameter; it is required when several entities are configured.
+ *
+ * @param {Object} req Incoming request.
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {{ok: boolean, status?: number, error?: string,
+ *   entity?: {id: ?string, name: ?string, env: Object}}}
+ */
+function requestEntity(req, env = process.env) {
+  const query = req.query || {};
+  const selection = selectEntities(query.entity, env);
+  if (!selection.ok) {
+    return selection;
+  }
+  if (selection.entities.length > 1) {
+    const ids = selection.entities.map(({ id }) => id).join(', ');
+    return { ok: false, status: 400, error: `entity is required (one of ${ids})` };
+  }
+  return { ok: true, entity: selection.entities[0] };
+}
+
+module.exports = {
+  loadEntities,
+  requestEntity,
+  selectEntities
+};
@@ -0,0 +1,277 @@
+/**
+ * Export ledger: the record of which Pemo transactions were posted to Qoyod.
+ *
+ * The ledger maps each Pemo transaction id to the Qoyod journal entry (or
+ * purchase bill) that was created for it and to its export status:
+ *   - posting:  a run has claimed the transaction and is posting it.
+ *   - posted:   the entry exists in Qoyod, Pemo not yet updated.
+ *   - exported: the transaction was also marked as exported in Pemo.
+ *   - failed:   the last posting attempt failed; it will be retried.
+ *
+ * The sync consults the ledger before posting so a transaction is never
+ * posted twice, even when marking it as exported in Pemo failed on a
+ * previous run. Right before posting, a run claims the transaction; a
+ * second run (a cron sweep and a webhook, or a duplicate webhook delivery)
+ * cannot claim it until the first one has finished, or until the claim is
+ * older than `LEDGER_CLAIM_TTL_MS` (default 300000) and is assumed to
+ * belong to a run that crashed.
+ *
+ * Any object implementing the async methods below can serve as a ledger and
+ * be installed with `setLedger()`:
+ *   - get(transactionId)                 -> entry or null
+ *   - claim(transactionId)               -> true when claimed
+ *   - recordPosted(transactionId, info)  -> entry
+ *   - recordFailed(transactionId, error, details) -> entry, left as it is
+ *                                         when posted or exported, unless
+ *                                         `details.reopen` is set
+ *   - recordExported(transactionIds)     -> void
+ *   - claimBillPayment(transactionId)    -> true when claimed
+ *   - recordBillPayment(transactionId, result) -> entry
+ *   - list({ status })                   -> entry[]
+ *
+ * A purchase bill whose payment failed keeps the payment in
+ * `pendingPayment`; later runs claim and post it again (see
+ * `retryBillPayments()` in `lib/sync.js`).
+ *
+ * The default is a JSON file at `EXPORT_LEDGER_PATH`, or
+ * `export-ledger.json` in the data directory. `EXPORT_LEDGER=memory` keeps
+ * the ledger in memory only. Neither outlives a Vercel instance, so the
+ * sync also looks each transaction up in Qoyod by reference before
+ * posting it (see `lib/sync.js`).
+ */
+
+const path = require('path');
+const { dataDir, readJson, writeJson } = require('./json-store');
+
+const DONE_STATUSES = ['posted', 'exported'];
+const DEFAULT_CLAIM_TTL_MS = 300000;
+
+/**
+ * Whether a ledger entry means the transaction is already in Qoyod.
+ *
+ * @param {?Object} entry Ledger entry.
+ * @returns {boolean}
+ */
+function isPosted(entry) {
+  return Boolean(entry && DONE_STATUSES.includes(entry.status));
+}
+
+/**
+ * Shared implementation on top of a load/save pair.
+ */
+function createLedger(load, save, env) {
+  const claimTtl = Number.parseInt(env.LEDGER_CLAIM_TTL_MS, 10) || DEFAULT_CLAIM_TTL_MS;
+
+  const update = (transactionId, changes) => {
+    const entries = load();
+    const id = String(transactionId);
+    const entry = { ...(entries[id] || { transactionId: id }), ...changes };
+    entries[id] = entry;
+    save(entries);
+    return entry;
+  };
+
+  return {
+    async get(transactionId) {
+      return load()[String(transactionId)] || null;
+    },
+
+    // Load, check and save happen synchronously, so two claims in one
+    // process cannot interleave.
+    async claim(transactionId) {
+      const entry = load()[String(transactionId)];
+      if (isPosted(entry)) {
+        return false;
+      }
+      if (
+        entry &&
+        entry.status === 'posting' &&
+        Date.now() - new Date(entry.claimedAt).getTime() < claimTtl
+      ) {
+        return false;
+      }
+      update(transactionId, { status: 'posting', claimedAt: new Date().toISOString() });
+      return true;
+    },
+
+    async recordPosted(transactionId, info = {}) {
+      return update(transactionId, {
+        ...info,
+        status: 'posted',
+        postedAt: new Date().toISOString(),
+        claimedAt: undefined,
+        error: undefined,
+        retryable: undefined,
+        firstFailedAt: undefined,
+        failures: undefined
+      });
+    },
+
+    // `details.retryable` tells whether the failure may clear by itself;
+    // `firstFailedAt` and `failures` show how long an entry has been stuck.
+    // An entry already in Qoyod stays posted, since failing it would post it
+    // again, unless `details.reopen` says it is known to be missing there.
+    async recordFailed(transactionId, error, details = {}) {
+      const previous = load()[String(transactionId)] || {};
+      if (isPosted(previous) && !details.reopen) {
+        return previous;
+      }
+      const failedAt = new Date().toISOString();
+      return update(transactionId, {
+        status: 'failed',
+        claimedAt: undefined,
+        failedAt,
+        firstFailedAt: previous.status === 'failed' ? previous.firstFailedAt : failedAt,
+        failures: (previous.status === 'failed' ? previous.failures || 0 : 0) + 1,
+        error,
+        retryable: details.retryable === undefined ? null : details.retryable
+      });
+    },
+
+    async recordExported(transactionIds) {
+      const entries = load();
+      const exportedAt = new Date().toISOString();
+      for (const transactionId of transactionIds) {
+        const id = String(transactionId);
+        entries[id] = {
+          ...(entries[id] || { transactionId: id }),
+          status: 'exported',
+          exportedAt
+        };
+      }
+      save(entries);
+    },
+
+    // Same rules as `claim`, for the payment of a bill that is in Qoyod.
+    async claimBillPayment(transactionId) {
+      const entry = load()[String(transactionId)];
+      if (!entry || !entry.pendingPayment) {
+        return false;
+      }
+      if (
+        entry.paymentClaimedAt &&
+        Date.now() - new Date(entry.paymentClaimedAt).getTime() < claimTtl
+      ) {
+        return false;
+      }
+      update(transactionId, { paymentClaimedAt: new Date().toISOString() });
+      return true;
+    },
+
+    // `result` is `{ billPaymentId }` once paid, `{ error }` when it failed again.
+    async recordBillPayment(transactionId, { billPaymentId = null, error = null }) {
+      if (error) {
+        return update(transactionId, { paymentError: error, paymentClaimedAt: undefined });
+      }
+      return update(transactionId, {
+        billPaymentId,
+        paymentError: undefined,
+        pendingPayment: undefined,
+        paymentClaimedAt: undefined,
+        paidAt: new Date().toISOString()
+      });
+    },
+
+    async list({ status } = {}) {
+      const entries = Object.values(load());
+      return status ? entries.filter((entry) => entry.status === status) : entries;
+    }
+  };
+}
+
+/**
+ * Ledger persisted as a JSON file.
+ *
+ * @param {string} filePath Path of the ledger file.
+ * @param {Object} env      Environment variables the claim TTL is read from,
+ *   defaults to `process.env`.
+ * @returns {Object} Ledger.
+ */
+function createFileLedger(filePath, env = process.env) {
+  return createLedger(
+    () => readJson(filePath, {}),
+    (entries) => writeJson(filePath, entries),
+    env
+  );
+}
+
+/**
+ * Ledger kept in memory, for tests and one-off runs.
+ *
+ * @param {Object} env Environment variables the claim TTL is read from,
+ *   defaults to `process.env`.
+ * @returns {Object} Ledger.
+ */
+function createMemoryLedger(env = process.env) {
+  let entries = {};
+  return createLedger(
+    () => entries,
+    (next) => {
+      entries = next;
+    },
+    env
+  );
+}
+
+// Ledgers by entity id (see `lib/entities.js`); '' is the deployment's own.
+const activeLedgers = new Map();
+
+/**
+ * Return the configured ledger, creating the default one on first use.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`;
+ *   each entity (`SYNC_ENTITY`) has a ledger of its own.
+ * @returns {Object} Ledger.
+ */
+function getLedger(env = process.env) {
+  const key = env.SYNC_ENTITY || '';
+  if (!activeLedgers.has(key)) {
+    // The built-in ledgers do not outlive a Vercel instance.
+    if (env.VERCEL) {
+      console.error(
+        env.SYNC_CHECK_REFERENCES === 'false'
+          ? 'WARNING: the export ledger does not survive Vercel cold starts and ' +
+              'SYNC_CHECK_REFERENCES=false turns off the Qoyod lookup, so transactions ' +
+              'can be posted twice. Install a durable ledger with setLedger().'
+          : 'The export ledger does not survive Vercel cold starts; transactions ' +
+              'already in Qoyod are found by their reference instead. Install a ' +
+              'durable ledger with setLedger() to keep the export history.'
+      );
+    }
+    activeLedgers.set(
+      key,
+      env.EXPORT_LEDGER === 'memory'
+        ? createMemoryLedger(env)
+        : createFileLedger(
+          env.EXPORT_LEDGER_PATH || path.join(dataDir(env), 'export-ledger.json'),
+          env
+        )
+    );
+  }
+  return activeLedgers.get(key);
+}
+
+/**
+ * Install a custom ledger implementation (or reset with `null`).
+ *
+ * @param {?Object} ledger    Ledger implementing the interface above.
+ * @param {string} [entityId] Entity the ledger belongs to; resetting
+ *   without one resets the ledgers of every entity.
+ */
+function setLedger(ledger, entityId = '') {
+  if (ledger) {
+    activeLedgers.set(entityId, ledger);
+  } else if (entityId) {
+    activeLedgers.delete(entityId);
+  } else {
+    activeLedgers.clear();
+  }
+}
+
+module.exports = {
+  createFileLedger,
+  createMemoryLedger,
+  getLedger,
+  isPosted,
+  setLedger
+};
@@ -0,0 +1,269 @@
+/**
+ * Shared HTTP client for the Pemo and Qoyod APIs.
+ *
+ * Every request gets a timeout, and failures that are worth repeating are
+ * retried with exponential backoff and full jitter:
+ *   - network errors and timeouts,
+ *   - 408, 429 and 5xx responses; a 429 waits for its `Retry-After`.
+ * Other 4xx responses (validation errors, bad credentials) are permanent
+ * and returned immediately.
+ *
+ * Requests that are not idempotent (POST and PATCH, unless the caller
+ * passes `idempotent: true`) are only retried when the server cannot have
+ * processed them: a 408 or 429, or a connection that was never made. After
+ * a timeout, a dropped connection or a 5xx the server may have created the
+ * record, and repeating a journal entry POST would book it twice; the sync
+ * retries such a post on its next run, after looking up its `PEMO-<id>`
+ * reference in Qoyod.
+ *
+ * Settings:
+ *   - HTTP_TIMEOUT_MS:     Per-request timeout (default 15000).
+ *   - HTTP_MAX_RETRIES:    Retries after the first attempt (default 3).
+ *   - HTTP_RETRY_BASE_MS:  Base backoff delay (default 500).
+ *   - HTTP_RETRY_MAX_MS:   Longest single wait, including `Retry-After`
+ *                          (default 10000).
+ *
+ * Within a sync run the requests also share the run's time budget: the
+ * environment returned by `withDeadline()` carries the deadline, each
+ * attempt's timeout is cut to the time left before it, and no retry is
+ * started that could not finish by then.
+ */
+
+const DEFAULTS = {
+  timeoutMs: 15000,
+  maxRetries: 3,
+  retryBaseMs: 500,
+  retryMaxMs: 10000
+};
+
+/**
+ * Error raised for failed HTTP calls.
+ *
+ * `retryable` tells whether the same call may succeed later (rate limits,
+ * outages, timeouts) or will keep failing until something is fixed
+ * (validation errors, missing permissions).
+ */
+class HttpError extends Error {
+  constructor(message, { status = null, retryable = false, attempts = 1 } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.retryable = retryable;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Parse a non-negative integer setting, falling back to a default.
+ */
+function nonNegativeInt(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+/**
+ * Read the client settings from the environment.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {{timeoutMs: number, maxRetries: number, retryBaseMs: number,
+ *   retryMaxMs: number, deadline: ?number}} `deadline` is set by
+ *   `withDeadline()`.
+ */
+function httpSettings(env = process.env) {
+  return {
+    timeoutMs: nonNegativeInt(env.HTTP_TIMEOUT_MS, DEFAULTS.timeoutMs) || DEFAULTS.timeoutMs,
+    maxRetries: nonNegativeInt(env.HTTP_MAX_RETRIES, DEFAULTS.maxRetries),
+    retryBaseMs: nonNegativeInt(env.HTTP_RETRY_BASE_MS, DEFAULTS.retryBaseMs),
+    retryMaxMs: nonNegativeInt(env.HTTP_RETRY_MAX_MS, DEFAULTS.retryMaxMs),
+    deadline: nonNegativeInt(env.HTTP_DEADLINE, null)
+  };
+}
+
+/**
+ * Environment whose requests must finish by `deadline`.
+ *
+ * @param {Object} env      Environment variables of the run.
+ * @param {number} deadline Epoch milliseconds to stop by.
+ * @returns {Object} Copy of `env` carrying the deadline.
+ */
+function withDeadline(env, deadline) {
+  return { ...env, HTTP_DEADLINE: String(Math.floor(deadline)) };
+}
+
+/**
+ * Whether an HTTP status is worth retrying.
+ *
+ * @param {number} status HTTP status code.
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Connection failures raised before anything reached the server.
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * Whether a failed request may be sent again without doing its work twice.
+ */
+function canResend(method, idempotent, { status = null, error = null }) {
+  if (idempotent || IDEMPOTENT_METHODS.includes(method)) {
+    return true;
+  }
+  if (error) {
+    return Boolean(error.cause) && NOT_SENT_CODES.includes(error.cause.code);
+  }
+  return status === 408 || status === 429;
+}
+
+/**
+ * Whether an error of any kind is worth retrying later.
+ *
+ * @param {Error} error Error thrown while exporting.
+ * @returns {boolean} False for anything that is not a retryable `HttpError`.
+ */
+function isRetryable(error) {
+  return error instanceof HttpError && error.retryable;
+}
+
+/**
+ * Exponential backoff with full jitter.
+ */
+function backoffDelay(attempt, settings) {
+  const ceiling = Math.min(settings.retryMaxMs, settings.retryBaseMs * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Delay requested by a `Retry-After` header (seconds or HTTP date).
+ */
+function retryAfterDelay(header, settings) {
+  if (!header) {
+    return null;
+  }
+  const seconds = Number(header);
+  const delay = Number.isFinite(seconds)
+    ? seconds * 1000
+    : new Date(header).getTime() - Date.now();
+  if (!Number.isFinite(delay)) {
+    return null;
+  }
+  return Math.min(Math.max(delay, 0), settings.retryMaxMs);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Strip the query string from a URL for error messages.
+ */
+function describeUrl(url) {
+  return String(url).split('?')[0];
+}
+
+/**
+ * Send a request, retrying transient failures.
+ *
+ * Resolves with the final `Response`, which may still be unsuccessful
+ * (permanent 4xx, or a retryable status after the last retry); use
+ * `responseError()` to turn it into an `HttpError`.
+ *
+ * @param {string} url       Request URL.
+ * @param {Object} [options] `fetch` options, plus `idempotent: true` for a
+ *   POST or PATCH that may safely be repeated.
+ * @param {Object} [settings] Overrides for `httpSettings()`; pass
+ *   `httpSettings(env)` to use the settings of an entity's environment.
+ * @returns {Promise<Response>}
+ * @throws {HttpError} When the request fails without a response.
+ */
+async function request(url, { idempotent = false, ...options } = {}, settings = {}) {
+  const config = { ...httpSettings(), ...settings };
+  const method = (options.method || 'GET').toUpperCase();
+  const timeLeft = () => (config.deadline ? config.deadline - Date.now() : Infinity);
+  // A retry is only worth it when the wait leaves time for the request.
+  const canRetryAfter = (delay) => timeLeft() - delay > 0;
+
+  for (let attempt = 1; ; attempt += 1) {
+    const timeoutMs = Math.min(config.timeoutMs, timeLeft());
+    if (timeoutMs <= 0) {
+      throw new HttpError(`${method} ${describeUrl(url)} not sent: the time budget is used up`, {
+        retryable: true,
+        attempts: attempt
+      });
+    }
+    let response;
+    try {
+      response = await fetch(url, { ...options, signal: AbortSignal.timeout(timeoutMs) });
+    } catch (error) {
+      const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+      const failure = new HttpError(
+        timedOut
+          ? `${method} ${describeUrl(url)} timed out after ${timeoutMs}ms`
+          : `${method} ${describeUrl(url)} failed: ${error.message}`,
+        { retryable: true, attempts: attempt }
+      );
+      const delay = backoffDelay(attempt, config);
+      if (
+        attempt > config.maxRetries ||
+        !canResend(method, idempotent, { error }) ||
+        !canRetryAfter(delay)
+      ) {
+        throw failure;
+      }
+      await sleep(delay);
+      continue;
+    }
+
+    if (
+      response.ok ||
+      !isRetryableStatus(response.status) ||
+      !canResend(method, idempotent, { status: response.status }) ||
+      attempt > config.maxRetries
+    ) {
+      response.attempts = attempt;
+      return response;
+    }
+
+    const retryAfter =
+      response.status === 429 ? retryAfterDelay(response.headers.get('retry-after'), config) : null;
+    const delay = retryAfter !== null ? retryAfter : backoffDelay(attempt, config);
+    if (!canRetryAfter(delay)) {
+      response.attempts = attempt;
+      return response;
+    }
+    await response.text().catch(() => '');
+    await sleep(delay);
+  }
+}
+
+/**
+ * Build an `HttpError` from an unsuccessful response.
+ *
+ * @param {Response} response Unsuccessful response.
+ * @param {string} message    What was being attempted.
+ * @returns {Promise<HttpError>}
+ */
+async function responseError(response, message) {
+  const text = await response.text().catch(() => '');
+  return new HttpError(
+    `${message}: ${response.status} ${response.statusText}: ${text}`,
+    {
+      status: response.status,
+      retryable: isRetryableStatus(response.status),
+      attempts: response.attempts || 1
+    }
+  );
+}
+
+module.exports = {
+  HttpError,
+  httpSettings,
+  isRetryable,
+  isRetryableStatus,
+  request,
+  responseError,
+  withDeadline
+};
@@ -0,0 +1,178 @@
+/**
+ * Builds Qoyod journal entry payloads from Pemo transactions.
+ *
+ * Each entry debits the expense account chosen by the account mapping and
+ * credits the cash/bank (card clearing) account. When VAT is split out, the
+ * expense line carries the net amount and a second debit line books the VAT
+ * to the input VAT account. The expense line also carries the cost center
+ * and project of the transaction, if any.
+ *
+ * Amounts are in minor units of the Qoyod base currency. Transactions in a
+ * foreign currency are converted beforehand (see `lib/currency.js`) and the
+ * original amount and rate are appended to the description.
+ *
+ * The entry is dated with the posting date of `lib/posting-date.js`; an
+ * entry moved out of a closed period keeps its original date in the
+ * description.
+ *
+ * Every entry carries the `PEMO-<id>` reference of its transaction, both as
+ * `reference` and at the end of the entry description, so reconciliation
+ * can find it even where Qoyod only shows the description.
+ *
+ * Before a payload is handed to Qoyod it must pass `assertBalanced`, which
+ * compares the debit and credit totals in minor units so that rounding can
+ * never sneak an unbalanced entry into the books.
+ */
+
+const { DEFAULT_DECIMALS, toMajorUnits, toMinorUnits } = require('./money');
+const { exportReference, transactionAttributes } = require('./pemo-transaction');
+
+/**
+ * Build a single journal entry line.
+ *
+ * @param {string|number} accountId Qoyod account id.
+ * @param {number} minor            Amount in minor units.
+ * @param {string} description      Line description.
+ * @param {number} decimals         Decimals of the base currency.
+ * @returns {Object} Line in the shape expected by Qoyod.
+ */
+function buildLine(accountId, minor, description, decimals) {
+  return {
+    account_id: accountId,
+    amount: toMajorUnits(minor, decimals),
+    description
+  };
+}
+
+/**
+ * Transform a Pemo transaction into a Qoyod journal entry payload.
+ *
+ * Refunds are booked as reversing entries: the expense (and VAT) lines move
+ * to the credit side and the bank/card account is debited. When the refund
+ * reverses a transaction known to the export ledger, the original Qoyod
+ * entry is referenced in the description.
+ *
+ * @param {Object} txn                     Validated Pemo transaction.
+ * @param {Object} context
+ * @param {Object} context.accounts        Accounts from `resolveAccounts`.
+ * @param {Object} [context.vat]           VAT split from `resolveVat`; without
+ *   it the whole amount is booked as expense.
+ * @param {string} [context.kind]          `expense` (default) or `refund`.
+ * @param {?(string|number)} [context.reversesJournalEntryId] Qoyod entry the
+ *   refund reverses.
+ * @param {?Object} [context.fx]           Conversion from `convertTransaction`.
+ * @param {Object} [context.dimensions]    Cost center and project from
+ *   `resolveDimensions`, set on the expense lines.
+ * @param {?string} [context.description]  Description to use instead of the
+ *   merchant name, e.g. rendered by a rule.
+ * @param {?string} [context.date]         `YYYY-MM-DD` posting date from
+ *   `resolvePostingDate`; defaults to the UTC day of the transaction.
+ * @param {?string} [context.originalDate] Date the entry was moved from out
+ *   of a closed period, noted in the description.
+ * @param {number} [context.decimals]      Decimals of the base currency.
+ * @returns {Object} Payload for `POST /journal_entries`.
+ */
+function buildJournalEntry(txn, {
+  accounts,
+  vat,
+  kind = 'expense',
+  reversesJournalEntryId = null,
+  fx = null,
+  dimensions = null,
+  description: text = null,
+  date = null,
+  originalDate = null,
+  decimals = DEFAULT_DECIMALS
+}) {
+  const merchant = text || transactionAttributes(txn).merchant || 'Pemo Transaction';
+  const issueDate = date || new Date(txn.date).toISOString().split('T')[0];
+  const totalMinor = Math.abs(txn.totalAmount);
+  const isRefund = kind === 'refund';
+
+  let description = isRefund ? `Refund: ${merchant}` : merchant;
+  if (isRefund && reversesJournalEntryId !== null) {
+    description += ` (reverses Qoyod entry ${reversesJournalEntryId})`;
+  }
+  if (fx) {
+    description += ` [${fx.currency} ${fx.amount} @ ${fx.rate} ${fx.baseCurrency}]`;
+  }
+  if (originalDate) {
+    description += ` (dated ${originalDate})`;
+  }
+
+  const expenseLines = [];
+  if (vat && vat.vat > 0) {
+    expenseLines.push(buildLine(accounts.debitAccountId, vat.net, description, decimals));
+    expenseLines.push(
+      buildLine(vat.accountId, vat.vat, `${description} - VAT ${vat.rate}%`, decimals)
+    );
+  } else {
+    expenseLines.push(buildLine(accounts.debitAccountId, totalMinor, description, decimals));
+  }
+  if (dimensions) {
+    const expenseLine = expenseLines[0];
+    if (dimensions.costCenterId) {
+      expenseLine.cost_center_id = dimensions.costCenterId;
+    }
+    if (dimensions.projectId) {
+      expenseLine.project_id = dimensions.projectId;
+    }
+  }
+  const bankLines = [buildLine(accounts.creditAccountId, totalMinor, description, decimals)];
+
+  const reference = exportReference(txn);
+  return {
+    journal_entry: {
+      reference,
+      description: `${description} [${reference}]`,
+      date: issueDate,
+      debit_amounts: isRefund ? bankLines : expenseLines,
+      credit_amounts: isRefund ? expenseLines : bankLines
+    }
+  };
+}
+
+/**
+ * Sum a list of journal lines in minor units, validating each line.
+ */
+function sumLines(lines, side, decimals) {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw new Error(`Journal entry has no ${side} lines`);
+  }
+  return lines.reduce((total, line) => {
+    if (line.account_id === null || line.account_id === undefined || line.account_id === '') {
+      throw new Error(`Journal entry ${side} line is missing an account id`);
+    }
+    const minor = toMinorUnits(line.amount, decimals);
+    if (!Number.isFinite(minor) || minor <= 0) {
+      throw new Error(
+        `Journal entry ${side} line for account ${line.account_id} has invalid amount ${line.amount}`
+      );
+    }
+    return total + minor;
+  }, 0);
+}
+
+/**
+ * Ensure a journal entry payload balances to the last minor unit.
+ *
+ * @param {Object} payload  Payload returned by `buildJournalEntry`.
+ * @param {number} decimals Decimals of the base currency.
+ * @throws {Error} When a line is invalid or debits and credits differ.
+ */
+function assertBalanced(payload, decimals = DEFAULT_DECIMALS) {
+  const entry = payload.journal_entry;
+  const debits = sumLines(entry.debit_amounts, 'debit', decimals);
+  const credits = sumLines(entry.credit_amounts, 'credit', decimals);
+  if (debits !== credits) {
+    throw new Error(
+      `Journal entry is not balanced: debits ${toMajorUnits(debits, decimals)} != ` +
+        `credits ${toMajorUnits(credits, decimals)}`
+    );
+  }
+}
+
+module.exports = {
+  assertBalanced,
+  buildJournalEntry
+};
@@ -0,0 +1,67 @@
+/**
+ * Tiny JSON file persistence used by the local storage adapters.
+ *
+ * Files live under `SYNC_DATA_DIR`. When it is not set, `.data/` in the
+ * project root is used locally and the OS temp directory on Vercel, where
+ * the deployment itself is read-only. Note that `/tmp` on Vercel does not
+ * survive cold starts; production deployments that need durable state
+ * should plug in their own adapter (see `lib/export-ledger.js`).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Directory that holds the local data files.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {string} Absolute directory path.
+ */
+function dataDir(env = process.env) {
+  if (env.SYNC_DATA_DIR) {
+    return path.resolve(env.SYNC_DATA_DIR);
+  }
+  return env.VERCEL
+    ? path.join(os.tmpdir(), 'pemo-qoyod-sync')
+    : path.join(process.cwd(), '.data');
+}
+
+/**
+ * Read a JSON file, returning `fallback` when it does not exist yet.
+ *
+ * @param {string} filePath Absolute file path.
+ * @param {*} fallback      Value returned for a missing file.
+ * @returns {*} Parsed contents.
+ */
+function readJson(filePath, fallback) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+  return JSON.parse(text);
+}
+
+/**
+ * Write a JSON file atomically (write to a temp file, then rename).
+ *
+ * @param {string} filePath Absolute file path.
+ * @param {*} data          Value to serialize.
+ */
+function writeJson(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+module.exports = {
+  dataDir,
+  readJson,
+  writeJson
+};
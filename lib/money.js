@@ -0,0 +1,37 @@
+/**
+ * Helpers for working with monetary amounts.
+ *
+ * Amounts are kept as integers in minor units (halalas for SAR) for as long
+ * as possible so that sums and balance checks are exact. They are only
+ * converted to decimal numbers when a Qoyod payload is built.
+ */
+
+const DEFAULT_DECIMALS = 2;
+
+/**
+ * Convert an integer amount in minor units to a decimal number.
+ *
+ * @param {number} minor    Amount in minor units, e.g. 4550.
+ * @param {number} decimals Number of decimal places of the currency.
+ * @returns {number} The decimal amount, e.g. 45.5.
+ */
+function toMajorUnits(minor, decimals = DEFAULT_DECIMALS) {
+  return Number((minor / 10 ** decimals).toFixed(decimals));
+}
+
+/**
+ * Convert a decimal amount back to integer minor units.
+ *
+ * @param {number} major    Decimal amount, e.g. 45.5.
+ * @param {number} decimals Number of decimal places of the currency.
+ * @returns {number} The amount in minor units, e.g. 4550.
+ */
+function toMinorUnits(major, decimals = DEFAULT_DECIMALS) {
+  return Math.round(Number(major) * 10 ** decimals);
+}
+
+module.exports = {
+  DEFAULT_DECIMALS,
+  toMajorUnits,
+  toMinorUnits
+};
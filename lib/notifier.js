@@ -0,0 +1,162 @@
+/**
+ * Delivery of the daily report after each run.
+ *
+ * A notifier is any object with an async `send(message)` method, where
+ * `message` is `{ subject, report, markdown, html }` (see
+ * `reportMessage()` in `lib/daily-report.js`); install one with
+ * `setNotifier()`. Two are built in and enabled from the environment:
+ *   - Webhook: `REPORT_WEBHOOK_URL` receives the message as a JSON POST.
+ *     `REPORT_WEBHOOK_SECRET`, when set, is sent as a bearer token.
+ *   - Email: `SMTP_HOST`, `SMTP_PORT` (default 587), `SMTP_SECURE`
+ *     (`true` for implicit TLS), `SMTP_USER`, `SMTP_PASS`,
+ *     `REPORT_EMAIL_FROM` and `REPORT_EMAIL_TO` (comma-separated).
+ * When both are configured the report goes to both.
+ */
+
+const nodemailer = require('nodemailer');
+const { httpSettings, request, responseError } = require('./http-client');
+
+/**
+ * Notifier that POSTs the report to a webhook.
+ *
+ * @param {string} url        Webhook URL.
+ * @param {?string} [secret]  Bearer token sent with the request.
+ * @param {Object} env        Environment variables the HTTP settings are
+ *   read from, defaults to `process.env`.
+ * @returns {Object} Notifier.
+ */
+function createWebhookNotifier(url, secret = null, env = process.env) {
+  return {
+    async send(message) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (secret) {
+        headers.Authorization = `Bearer ${secret}`;
+      }
+      const response = await request(
+        url,
+        { method: 'POST', headers, body: JSON.stringify(message) },
+        httpSettings(env)
+      );
+      if (!response.ok) {
+        throw await responseError(response, 'Report webhook failed');
+      }
+    }
+  };
+}
+
+/**
+ * Notifier that emails the report over SMTP.
+ *
+ * @param {Object} options
+ * @param {string} options.host        SMTP server.
+ * @param {number} options.port        SMTP port.
+ * @param {boolean} options.secure     Implicit TLS.
+ * @param {?string} options.user       SMTP user name.
+ * @param {?string} options.pass       SMTP password.
+ * @param {string} options.from        Sender address.
+ * @param {string[]} options.to        Recipients.
+ * @returns {Object} Notifier.
+ */
+function createEmailNotifier({ host, port, secure, user, pass, from, to }) {
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+  return {
+    async send(message) {
+      await transport.sendMail({
+        from,
+        to: to.join(', '),
+        subject: message.subject,
+        text: message.markdown,
+        html: message.html
+      });
+    }
+  };
+}
+
+/**
+ * Notifier that forwards to several notifiers, failing if any fails.
+ */
+function combineNotifiers(notifiers) {
+  return {
+    async send(message) {
+      const results = await Promise.allSettled(notifiers.map((notifier) => notifier.send(message)));
+      const errors = results.filter(({ status }) => status === 'rejected');
+      if (errors.length > 0) {
+        throw new Error(errors.map(({ reason }) => reason.message).join('; '));
+      }
+    }
+  };
+}
+
+// Notifiers by entity id (see `lib/entities.js`); '' is the deployment's own.
+const activeNotifiers = new Map();
+
+/**
+ * Return the configured notifier, or null when reports are not delivered.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`;
+ *   each entity (`SYNC_ENTITY`) reports to its own recipients.
+ * @returns {?Object} Notifier.
+ * @throws {Error} When email is half configured.
+ */
+function getNotifier(env = process.env) {
+  const key = env.SYNC_ENTITY || '';
+  if (activeNotifiers.has(key)) {
+    return activeNotifiers.get(key);
+  }
+
+  const notifiers = [];
+  if (env.REPORT_WEBHOOK_URL) {
+    notifiers.push(createWebhookNotifier(env.REPORT_WEBHOOK_URL, env.REPORT_WEBHOOK_SECRET, env));
+  }
+  if (env.SMTP_HOST || env.REPORT_EMAIL_TO) {
+    if (!env.SMTP_HOST || !env.REPORT_EMAIL_TO || !env.REPORT_EMAIL_FROM) {
+      throw new Error('Email reports need SMTP_HOST, REPORT_EMAIL_FROM and REPORT_EMAIL_TO');
+    }
+    notifiers.push(
+      createEmailNotifier({
+        host: env.SMTP_HOST,
+        port: Number.parseInt(env.SMTP_PORT, 10) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER || null,
+        pass: env.SMTP_PASS || null,
+        from: env.REPORT_EMAIL_FROM,
+        to: env.REPORT_EMAIL_TO.split(',').map((address) => address.trim()).filter(Boolean)
+      })
+    );
+  }
+
+  const notifier =
+    notifiers.length === 0 ? null : notifiers.length === 1 ? notifiers[0] : combineNotifiers(notifiers);
+  activeNotifiers.set(key, notifier);
+  return notifier;
+}
+
+/**
+ * Install a custom notifier (`null` disables delivery, `undefined` resets
+ * to the environment configuration).
+ *
+ * @param {?Object} notifier  Notifier implementing `send(message)`.
+ * @param {string} [entityId] Entity the notifier belongs to; resetting
+ *   without one resets the notifiers of every entity.
+ */
+function setNotifier(notifier, entityId = '') {
+  if (notifier !== undefined) {
+    activeNotifiers.set(entityId, notifier);
+  } else if (entityId) {
+    activeNotifiers.delete(entityId);
+  } else {
+    activeNotifiers.clear();
+  }
+}
+
+module.exports = {
+  createEmailNotifier,
+  createWebhookNotifier,
+  getNotifier,
+  setNotifier
+};
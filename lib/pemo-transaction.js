@@ -0,0 +1,125 @@
+/**
+ * Accessors for the loosely-typed fields of a Pemo transaction.
+ *
+ * Depending on the endpoint and account settings, Pemo returns some fields
+ * either as plain strings or as nested objects (for example `merchant` may be
+ * `"Uber"` or `{ name: "Uber" }`, and the spender may be exposed as
+ * `spender`, `cardholder` or `user`). These helpers flatten those variants so
+ * that the rest of the sync can work with simple strings.
+ */
+
+/**
+ * Extract a display string from a string or object value.
+ *
+ * @param {*} value Raw field value from Pemo.
+ * @returns {string|null} Trimmed text, or null when nothing usable is found.
+ */
+function textOf(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value === 'string' || typeof value === 'number') {
+    const text = String(value).trim();
+    return text.length > 0 ? text : null;
+  }
+  if (typeof value === 'object') {
+    return textOf(value.name || value.title || value.email || value.label);
+  }
+  return null;
+}
+
+/**
+ * Extract the tags of a transaction as a list of strings.
+ *
+ * @param {*} tags Raw `tags` field: strings or objects with a name/value.
+ * @returns {string[]} Tag texts.
+ */
+function tagsOf(tags) {
+  if (!Array.isArray(tags)) {
+    return [];
+  }
+  return tags
+    .map((tag) => (tag && typeof tag === 'object' && tag.value !== undefined
+      ? textOf(tag.value)
+      : textOf(tag)))
+    .filter(Boolean);
+}
+
+/**
+ * Return the normalized attributes of a Pemo transaction used for mapping.
+ *
+ * @param {Object} txn Raw Pemo transaction.
+ * @returns {{category: ?string, merchant: ?string, mcc: ?string,
+ *   department: ?string, team: ?string, spender: ?string,
+ *   spenderEmail: ?string, notes: ?string, tags: string[]}}
+ */
+function transactionAttributes(txn) {
+  const person = txn.spender || txn.cardholder || txn.user || null;
+  const merchant = txn.merchant && typeof txn.merchant === 'object' ? txn.merchant : {};
+  const spenderEmail =
+    textOf(txn.spenderEmail) ||
+    (person && typeof person === 'object' ? textOf(person.email) : null);
+
+  return {
+    category: textOf(txn.category || txn.expenseCategory),
+    merchant: textOf(txn.merchant || txn.merchantName),
+    mcc: textOf(txn.mcc || txn.merchantCategoryCode || merchant.mcc),
+    department: textOf(
+      txn.department || (person && typeof person === 'object' ? person.department : null)
+    ),
+    team: textOf(txn.team || (person && typeof person === 'object' ? person.team : null)),
+    spender: textOf(person),
+    spenderEmail,
+    notes: textOf(txn.notes || txn.note || txn.memo),
+    tags: tagsOf(txn.tags)
+  };
+}
+
+const REFERENCE_PREFIX = 'PEMO-';
+const REFERENCE_PATTERN = /\bPEMO-([A-Za-z0-9_-]+)/;
+
+/**
+ * Stable reference of a transaction, embedded in every Qoyod record the
+ * sync creates so the record can be traced back to Pemo.
+ *
+ * @param {Object} txn Pemo transaction.
+ * @returns {string} `PEMO-<id>`.
+ */
+function exportReference(txn) {
+  return `${REFERENCE_PREFIX}${txn.id}`;
+}
+
+/**
+ * Find the Pemo transaction id referenced in a Qoyod reference or
+ * description.
+ *
+ * @param {*} text Reference or description text.
+ * @returns {?string} Transaction id, or null when there is no reference.
+ */
+function parseExportReference(text) {
+  const match = typeof text === 'string' ? REFERENCE_PATTERN.exec(text) : null;
+  return match ? match[1] : null;
+}
+
+/**
+ * Find every Pemo transaction id referenced in a Qoyod reference or
+ * description, as in the consolidated entries listing several.
+ *
+ * @param {*} text Reference or description text.
+ * @returns {string[]} Transaction ids, without repeats.
+ */
+function parseExportReferences(text) {
+  if (typeof text !== 'string') {
+    return [];
+  }
+  const pattern = new RegExp(REFERENCE_PATTERN.source, 'g');
+  return [...new Set([...text.matchAll(pattern)].map((match) => match[1]))];
+}
+
+module.exports = {
+  exportReference,
+  parseExportReference,
+  parseExportReferences,
+  textOf,
+  transactionAttributes
+};
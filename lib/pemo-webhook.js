@@ -0,0 +1,162 @@
+/**
+ * Handling of Pemo webhook events.
+ *
+ * When Pemo reports that a transaction was approved or became ready to
+ * export, that single transaction is posted right away through the same
+ * pipeline as the scheduled sync, which keeps running as a sweeper for
+ * anything a webhook missed.
+ *
+ * The event only says which transaction changed: its current state is
+ * always fetched from Pemo, so a late or out-of-order delivery acts on the
+ * latest data rather than on the payload. Repeated deliveries are harmless:
+ * the export ledger refuses to post a transaction twice, and a delivery
+ * that arrives while the same transaction is being posted is reported as
+ * `inProgress` (see `claim()` in `lib/export-ledger.js`). Deliveries
+ * handled by another serverless instance do not share its ledger; before
+ * posting, the transaction's `PEMO-<id>` reference is looked up in Qoyod,
+ * and one found there is reported as `alreadyExported`. Only deliveries
+ * handled at the very same moment on two instances can still both post,
+ * unless a ledger shared between instances is installed.
+ *
+ * Unlike the scheduled sync, a delivery does not check the configured
+ * Qoyod ids first (see `lib/config-check.js`); the next scheduled run does.
+ *
+ * `PEMO_WEBHOOK_EVENTS` lists the event types that trigger a post
+ * (comma-separated, default `transaction.approved,transaction.readyToExport`);
+ * other events are acknowledged and ignored.
+ */
+
+const { getLedger } = require('./export-ledger');
+const { fetchTransaction } = require('./pemo');
+const { runSync } = require('./sync');
+
+const DEFAULT_EVENTS = ['transaction.approved', 'transaction.readyToExport'];
+
+/**
+ * Read the event types that trigger a post.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {string[]}
+ */
+function webhookEvents(env = process.env) {
+  const configured = (env.PEMO_WEBHOOK_EVENTS || '')
+    .split(',')
+    .map((type) => type.trim())
+    .filter(Boolean);
+  return configured.length > 0 ? configured : DEFAULT_EVENTS;
+}
+
+/**
+ * Extract the event type and transaction id of a webhook payload.
+ *
+ * @param {Object} body Parsed webhook payload.
+ * @returns {{type: ?string, transactionId: ?string}}
+ */
+function parseEvent(body) {
+  const event = body && typeof body === 'object' ? body : {};
+  const data = event.data && typeof event.data === 'object' ? event.data : {};
+  const transaction = data.transaction || event.transaction || {};
+  const id = transaction.id || data.transactionId || event.transactionId || data.id;
+  return {
+    type: event.event || event.type || event.eventType || null,
+    transactionId: id === undefined || id === null || id === '' ? null : String(id)
+  };
+}
+
+/**
+ * Summarize what a run did with the webhook's transaction.
+ */
+function runOutcome(result, transactionId) {
+  const has = (list) =>
+    (list || []).some((item) => String(item.transactionId || item) === transactionId);
+  if (has(result.exportedTransactionIds)) {
+    // Found in Qoyod, posted by a delivery another instance handled.
+    const found = (result.postedEntries || []).some(
+      (entry) => String(entry.transactionId) === transactionId && entry.foundInQoyod
+    );
+    return found ? 'alreadyExported' : 'posted';
+  }
+  if (has(result.resumedTransactionIds)) {
+    return 'resumed';
+  }
+  if (has(result.inProgressTransactionIds)) {
+    return 'inProgress';
+  }
+  if (has(result.heldForReview)) {
+    return 'heldForReview';
+  }
+  if (has(result.failedTransactions)) {
+    return 'failed';
+  }
+  if (has(result.skippedTransactions)) {
+    return 'skipped';
+  }
+  if (has(result.waitingForConsolidation) || has(result.deferredTransactionIds)) {
+    // Posted with its day or statement by the scheduled sweep.
+    return 'deferred';
+  }
+  return result.remaining && result.remaining.count > 0 ? 'deferred' : 'ignored';
+}
+
+/**
+ * Handle one verified webhook event.
+ *
+ * @param {Object} body Parsed webhook payload.
+ * @param {Object} env  Environment variables of the entity the event belongs
+ *   to, defaults to `process.env`.
+ * @returns {Promise<Object>} `{ type, transactionId, outcome, ... }`, where
+ *   `outcome` is `ignored`, `alreadyExported`, `posted`, `resumed`,
+ *   `inProgress`, `heldForReview`, `skipped`, `failed` or `deferred` (left
+ *   for the sweeper).
+ * @throws {Error} When Pemo cannot be read or the run fails as a whole.
+ */
+async function handleWebhookEvent(body, env = process.env) {
+  const { type, transactionId } = parseEvent(body);
+  if (!webhookEvents(env).includes(type)) {
+    return { type, transactionId, outcome: 'ignored', reason: 'Event type not handled' };
+  }
+  if (!transactionId) {
+    return { type, transactionId, outcome: 'ignored', reason: 'Event names no transaction' };
+  }
+
+  const entry = await getLedger(env).get(transactionId);
+  if (entry && entry.status === 'exported') {
+    return { type, transactionId, outcome: 'alreadyExported' };
+  }
+
+  const txn = await fetchTransaction(transactionId, env);
+  if (!txn) {
+    return { type, transactionId, outcome: 'ignored', reason: 'Transaction not found in Pemo' };
+  }
+  // Without an export status the pipeline's own checks decide.
+  if (txn.exportStatus && txn.exportStatus !== 'readyToExport') {
+    return {
+      type,
+      transactionId,
+      outcome: txn.exportStatus === 'exported' ? 'alreadyExported' : 'ignored',
+      reason: `Export status is ${txn.exportStatus}`
+    };
+  }
+
+  const result = await runSync({
+    trigger: 'webhook',
+    actor: 'pemo',
+    transactions: [txn],
+    notify: false,
+    checkConfig: false,
+    env
+  });
+  return {
+    type,
+    transactionId,
+    outcome: runOutcome(result, transactionId),
+    runId: result.runId,
+    result
+  };
+}
+
+module.exports = {
+  handleWebhookEvent,
+  parseEvent,
+  webhookEvents
+};
@@ -0,0 +1,282 @@
+/**
+ * Minimal client for the Pemo external API.
+ *
+ * Fetching walks every page of `/v1/transactions` until Pemo reports that
+ * there is nothing left, or until the per-run caps are reached:
+ *   - PEMO_PAGE_SIZE:        Transactions requested per page (default 100).
+ *   - PEMO_MAX_PAGES:        Maximum pages read per run (default 50).
+ *   - PEMO_MAX_TRANSACTIONS: Maximum transactions returned per run
+ *                            (default 1000).
+ *
+ * Pemo paginates either with an opaque cursor (`nextCursor`) or with
+ * `page`/`limit`; both styles are supported. Within a sync run the walk
+ * also stops before a page that would not fit in the run's time budget
+ * (see `withDeadline()` in `lib/http-client.js`). Anything beyond the caps
+ * stays `readyToExport` in Pemo and is picked up by the next run.
+ *
+ * Requests go through the shared HTTP client, so they time out and retry
+ * transient failures (see `lib/http-client.js`). `PEMO_BASE_URL` points the
+ * client at another API host, such as the fake server of the test suite.
+ *
+ * Every call takes the environment it reads the API key and settings from
+ * as its last argument, so each entity of a multi-entity deployment talks
+ * to its own Pemo account (see `lib/entities.js`).
+ */
+
+const { httpSettings, request, responseError } = require('./http-client');
+
+const DEFAULT_BASE_URL = 'https://external-api.pemo.io/v1';
+
+const DEFAULT_PAGE_SIZE = 100;
+const DEFAULT_MAX_PAGES = 50;
+const DEFAULT_MAX_TRANSACTIONS = 1000;
+
+/**
+ * Base URL of the Pemo API, without a trailing slash.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {string}
+ */
+function pemoBaseUrl(env = process.env) {
+  return (env.PEMO_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Parse a positive integer setting, falling back to a default.
+ */
+function positiveInt(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Read the pagination limits from the environment.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {{pageSize: number, maxPages: number, maxTransactions: number}}
+ */
+function paginationLimits(env = process.env) {
+  return {
+    pageSize: positiveInt(env.PEMO_PAGE_SIZE, DEFAULT_PAGE_SIZE),
+    maxPages: positiveInt(env.PEMO_MAX_PAGES, DEFAULT_MAX_PAGES),
+    maxTransactions: positiveInt(env.PEMO_MAX_TRANSACTIONS, DEFAULT_MAX_TRANSACTIONS)
+  };
+}
+
+/**
+ * Work out how to request the page after `body`, or null when exhausted.
+ *
+ * @param {Object} body      Parsed response of the current page.
+ * @param {number} page      Number of the current page (1-based).
+ * @param {number} pageSize  Requested page size.
+ * @param {number} received  Transactions received on the current page.
+ * @returns {?{cursor: string}|{page: number}} Next page parameters.
+ */
+function nextPageParams(body, page, pageSize, received) {
+  const meta = body.pagination || body.meta || {};
+  if ('nextCursor' in body || 'nextCursor' in meta) {
+    const cursor = body.nextCursor || meta.nextCursor;
+    return cursor ? { cursor } : null;
+  }
+  if (received === 0) {
+    return null;
+  }
+  const totalPages = body.totalPages || meta.totalPages;
+  if (totalPages !== undefined) {
+    return page < totalPages ? { page: page + 1 } : null;
+  }
+  const hasMore = body.hasMore !== undefined ? body.hasMore : meta.hasMore;
+  if (hasMore !== undefined) {
+    return hasMore ? { page: page + 1 } : null;
+  }
+  return received >= pageSize ? { page: page + 1 } : null;
+}
+
+/**
+ * Fetch every transaction matching `filters`, following pagination.
+ *
+ * @param {Object} filters Query filters sent to Pemo, e.g.
+ *   `{ exportStatus: 'exported', startDate: '2024-01-01' }`; empty values
+ *   are left out.
+ * @param {Object} [options] Overrides for `paginationLimits()`.
+ * @param {Object} env       Environment variables, defaults to `process.env`.
+ * @returns {Promise<{transactions: Object[], pagesRead: number,
+ *   capped: boolean}>} The transactions, the number of pages read and
+ *   whether a cap stopped the walk before Pemo was exhausted.
+ */
+async function fetchTransactions(filters, options = {}, env = process.env) {
+  const limits = { ...paginationLimits(env), ...options };
+  const { deadline } = httpSettings(env);
+  const startedAt = Date.now();
+  const transactions = [];
+  let params = { page: 1 };
+  let page = 1;
+  let pagesRead = 0;
+  let capped = false;
+  const seenCursors = new Set();
+
+  while (params) {
+    if (pagesRead >= limits.maxPages) {
+      capped = true;
+      break;
+    }
+    // Leave the pages that would not fit in the time budget for later.
+    const perPage = pagesRead > 0 ? (Date.now() - startedAt) / pagesRead : 0;
+    if (pagesRead > 0 && deadline && Date.now() + perPage >= deadline) {
+      capped = true;
+      break;
+    }
+
+    const query = new URLSearchParams({ limit: String(limits.pageSize) });
+    for (const [key, value] of Object.entries(filters)) {
+      if (value !== undefined && value !== null && value !== '') {
+        query.set(key, String(value));
+      }
+    }
+    if (params.cursor) {
+      query.set('cursor', params.cursor);
+    } else {
+      query.set('page', String(params.page));
+      page = params.page;
+    }
+
+    const response = await request(
+      `${pemoBaseUrl(env)}/transactions?${query}`,
+      { headers: { apiKey: env.PEMO_API_KEY } },
+      httpSettings(env)
+    );
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to fetch Pemo transactions');
+    }
+    const body = await response.json();
+    pagesRead += 1;
+
+    const pageTransactions = Array.isArray(body.transactions) ? body.transactions : [];
+    const room = limits.maxTransactions - transactions.length;
+    transactions.push(...pageTransactions.slice(0, room));
+
+    params = nextPageParams(body, page, limits.pageSize, pageTransactions.length);
+    if (params && params.cursor) {
+      if (seenCursors.has(params.cursor)) {
+        params = null;
+      } else {
+        seenCursors.add(params.cursor);
+      }
+    }
+
+    if (pageTransactions.length > room || (params && transactions.length >= limits.maxTransactions)) {
+      capped = true;
+      break;
+    }
+  }
+
+  return { transactions, pagesRead, capped };
+}
+
+/**
+ * Fetch every transaction that is ready to export, following pagination.
+ *
+ * @param {Object} [options] Overrides for `paginationLimits()`.
+ * @param {Object} env       Environment variables, defaults to `process.env`.
+ * @returns {Promise<{transactions: Object[], pagesRead: number,
+ *   capped: boolean}>} See `fetchTransactions`.
+ */
+async function fetchReadyTransactions(options = {}, env = process.env) {
+  return fetchTransactions({ exportStatus: 'readyToExport' }, options, env);
+}
+
+/**
+ * Fetch one transaction by id, in its current state.
+ *
+ * @param {string} transactionId Pemo transaction id.
+ * @param {Object} env           Environment variables, defaults to
+ *   `process.env`.
+ * @returns {Promise<?Object>} The transaction, or null when Pemo does not
+ *   know it.
+ * @throws {HttpError} When Pemo cannot be read.
+ */
+async function fetchTransaction(transactionId, env = process.env) {
+  const response = await request(
+    `${pemoBaseUrl(env)}/transactions/${encodeURIComponent(transactionId)}`,
+    { headers: { apiKey: env.PEMO_API_KEY } },
+    httpSettings(env)
+  );
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw await responseError(response, `Failed to fetch Pemo transaction ${transactionId}`);
+  }
+  const body = await response.json();
+  return body && body.transaction ? body.transaction : body;
+}
+
+/**
+ * Mark transactions as exported in Pemo.
+ *
+ * @param {string[]} transactionIds Pemo transaction ids.
+ * @param {Object} env              Environment variables, defaults to
+ *   `process.env`.
+ * @throws {HttpError} When Pemo rejects the update.
+ */
+async function markAsExported(transactionIds, env = process.env) {
+  const response = await request(
+    `${pemoBaseUrl(env)}/transactions`,
+    {
+      method: 'PATCH',
+      // Marking a transaction that is already exported changes nothing.
+      idempotent: true,
+      headers: {
+        apiKey: env.PEMO_API_KEY,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        operation: 'markAsExported',
+        transactionIds
+      })
+    },
+    httpSettings(env)
+  );
+  if (!response.ok) {
+    throw await responseError(response, 'Failed to mark Pemo transactions as exported');
+  }
+}
+
+/**
+ * Download a receipt file attached to a Pemo transaction.
+ *
+ * Receipt URLs are usually pre-signed; the API key is only sent when the
+ * file is served by the Pemo API itself.
+ *
+ * @param {string} url     Download URL of the receipt.
+ * @param {number} maxBytes Largest accepted file size.
+ * @param {Object} env      Environment variables, defaults to `process.env`.
+ * @returns {Promise<{data: Buffer, contentType: ?string}>}
+ * @throws {Error} When the download fails or the file is too large.
+ */
+async function downloadReceipt(url, maxBytes, env = process.env) {
+  const headers = url.startsWith(pemoBaseUrl(env)) ? { apiKey: env.PEMO_API_KEY } : {};
+  const response = await request(url, { headers }, httpSettings(env));
+  if (!response.ok) {
+    throw await responseError(response, 'Failed to download receipt');
+  }
+  const declaredSize = Number(response.headers.get('content-length'));
+  if (declaredSize > maxBytes) {
+    throw new Error(`Receipt is ${declaredSize} bytes, above the ${maxBytes} byte limit`);
+  }
+  const data = Buffer.from(await response.arrayBuffer());
+  if (data.length > maxBytes) {
+    throw new Error(`Receipt is ${data.length} bytes, above the ${maxBytes} byte limit`);
+  }
+  return { data, contentType: response.headers.get('content-type') || null };
+}
+
+module.exports = {
+  downloadReceipt,
+  fetchReadyTransactions,
+  fetchTransaction,
+  fetchTransactions,
+  markAsExported,
+  paginationLimits,
+  pemoBaseUrl
+};
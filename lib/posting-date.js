@@ -0,0 +1,106 @@
+/**
+ * Posting date of the Qoyod entries and handling of closed periods.
+ *
+ * `QOYOD_POSTING_DATE` picks the date each entry is booked on:
+ *   - transaction: when the card was used, Pemo's `date` (the default).
+ *   - settlement:  when Pemo settled the transaction (`settlementDate` or
+ *                  `settledAt`); the transaction date until it is settled.
+ *   - export:      the day the sync posts the entry.
+ * The date is the calendar day in `QOYOD_POSTING_TIME_ZONE` (an IANA zone
+ * such as `Asia/Riyadh`, default `UTC`), so late-evening spend lands on the
+ * local day. Dates Pemo gives without a time are used as they are.
+ *
+ * `QOYOD_LOCK_DATE` (`YYYY-MM-DD`) closes the books up to and including that
+ * day. `QOYOD_LOCKED_PERIOD` decides what happens to an entry whose posting
+ * date falls in the closed period:
+ *   - move:   post it on the first open day, the day after the lock date,
+ *             with the original date kept in the description (the
+ *             default).
+ *   - review: hold it in the review queue with the reason `lockedPeriod`;
+ *             once approved it is moved like above.
+ */
+
+const { DATE_PATTERN, calendarDay, localDate } = require('./dates');
+
+const BASES = ['transaction', 'settlement', 'export'];
+const POLICIES = ['move', 'review'];
+
+/**
+ * Whether a `YYYY-MM-DD` string is a real calendar day.
+ */
+function isCalendarDay(text) {
+  return (
+    DATE_PATTERN.test(text) && new Date(`${text}T00:00:00Z`).toISOString().startsWith(text)
+  );
+}
+
+/**
+ * Load the posting-date settings from the environment.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {{basis: string, timeZone: string, lockDate: ?string,
+ *   lockedPeriod: string}}
+ * @throws {Error} When a setting is not one of the accepted values.
+ */
+function loadPostingConfig(env = process.env) {
+  const basis = env.QOYOD_POSTING_DATE || 'transaction';
+  if (!BASES.includes(basis)) {
+    throw new Error(`QOYOD_POSTING_DATE must be one of ${BASES.join(', ')}, got "${basis}"`);
+  }
+  const timeZone = env.QOYOD_POSTING_TIME_ZONE || 'UTC';
+  try {
+    localDate(new Date(), timeZone);
+  } catch (error) {
+    throw new Error(`QOYOD_POSTING_TIME_ZONE "${timeZone}" is not a known time zone`);
+  }
+  const lockDate = env.QOYOD_LOCK_DATE || null;
+  if (lockDate && !isCalendarDay(lockDate)) {
+    throw new Error(`QOYOD_LOCK_DATE must be a YYYY-MM-DD date, got "${lockDate}"`);
+  }
+  const lockedPeriod = env.QOYOD_LOCKED_PERIOD || 'move';
+  if (!POLICIES.includes(lockedPeriod)) {
+    throw new Error(
+      `QOYOD_LOCKED_PERIOD must be one of ${POLICIES.join(', ')}, got "${lockedPeriod}"`
+    );
+  }
+  return { basis, timeZone, lockDate, lockedPeriod };
+}
+
+/**
+ * The day after a `YYYY-MM-DD` date.
+ */
+function nextDay(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + 1);
+  return day.toISOString().split('T')[0];
+}
+
+/**
+ * Work out the date a transaction is booked on.
+ *
+ * @param {Object} txn    Validated Pemo transaction.
+ * @param {Object} config Settings from `loadPostingConfig`.
+ * @param {Date} [now]    Time of the export, for the `export` basis.
+ * @returns {{date: string, originalDate: ?string, locked: boolean}}
+ *   `date` is the `YYYY-MM-DD` day to post on. When the policy date falls
+ *   in the closed period, `locked` is true, `date` is the first open day and
+ *   `originalDate` the policy date.
+ */
+function resolvePostingDate(txn, config, now = new Date()) {
+  let date;
+  if (config.basis === 'export') {
+    date = localDate(now, config.timeZone);
+  } else {
+    const settled = config.basis === 'settlement' ? txn.settlementDate || txn.settledAt : null;
+    date = calendarDay(settled || txn.date, config.timeZone);
+  }
+  if (config.lockDate && date <= config.lockDate) {
+    return { date: nextDay(config.lockDate), originalDate: date, locked: true };
+  }
+  return { date, originalDate: null, locked: false };
+}
+
+module.exports = {
+  loadPostingConfig,
+  resolvePostingDate
+};
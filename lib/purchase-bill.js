@@ -0,0 +1,227 @@
+/**
+ * Export of Pemo spend as Qoyod purchase bills instead of journal entries.
+ *
+ * Vendor-heavy spend (SaaS subscriptions, suppliers) is better tracked as a
+ * purchase bill against a vendor contact, settled by a bill payment from the
+ * card account. Which transactions become bills is configured in
+ * `QOYOD_BILL_CONFIG` (inline JSON) or `QOYOD_BILL_CONFIG_FILE`:
+ *
+ *   {
+ *     "useBillsFor": {
+ *       "category": ["Software"],
+ *       "merchant": ["AWS", "Google Workspace"]
+ *     },
+ *     "products": { "Software": 12 },
+ *     "defaultProductId": 10,
+ *     "inventoryId": 1,
+ *     "paymentAccountId": 1101
+ *   }
+ *
+ * Matching is case-insensitive. Everything else, and every refund, stays a
+ * journal entry. The bill line uses the Qoyod product mapped from the Pemo
+ * category (`defaultProductId` otherwise), so the expense account is the one
+ * configured on that product in Qoyod. The vendor contact is looked up by
+ * the merchant name and created when it does not exist yet. The payment is
+ * drawn from `paymentAccountId`, defaulting to the journal credit account.
+ *
+ * Qoyod computes the tax of a bill line from its price and tax percent, so
+ * the line carries the configured VAT rate, never the fractional rate a
+ * Pemo tax amount works out to, and a net price whose tax adds up to the
+ * card amount. A bill that cannot add up to it is refused before anything
+ * is posted, as its payment would not settle it.
+ */
+
+const { normalizeAccountId } = require('./account-mapping');
+const { loadJsonConfig } = require('./config');
+const { DEFAULT_DECIMALS, toMajorUnits } = require('./money');
+const { exportReference, transactionAttributes } = require('./pemo-transaction');
+
+/**
+ * Lower-case a list of names from the configuration.
+ */
+function nameSet(list, name) {
+  if (list === undefined) {
+    return new Set();
+  }
+  if (!Array.isArray(list)) {
+    throw new Error(`QOYOD_BILL_CONFIG useBillsFor.${name} must be an array`);
+  }
+  return new Set(list.map((value) => String(value).trim().toLowerCase()));
+}
+
+/**
+ * Load the purchase bill configuration from the environment.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {{enabled: boolean, categories: Set<string>, merchants: Set<string>,
+ *   products: Object, defaultProductId: ?number, inventoryId: ?number,
+ *   paymentAccountId: ?(string|number)}}
+ * @throws {Error} When the configuration is malformed or bills are enabled
+ *   without any product to book them on.
+ */
+function loadBillConfig(env = process.env) {
+  const raw = loadJsonConfig('QOYOD_BILL_CONFIG', env);
+  const useBillsFor = raw.useBillsFor || {};
+  const products = {};
+  for (const [category, productId] of Object.entries(raw.products || {})) {
+    products[category.trim().toLowerCase()] = normalizeAccountId(productId);
+  }
+
+  const config = {
+    categories: nameSet(useBillsFor.category, 'category'),
+    merchants: nameSet(useBillsFor.merchant, 'merchant'),
+    products,
+    defaultProductId: normalizeAccountId(raw.defaultProductId),
+    inventoryId: normalizeAccountId(raw.inventoryId),
+    paymentAccountId: normalizeAccountId(
+      raw.paymentAccountId !== undefined ? raw.paymentAccountId : env.QOYOD_CREDIT_ACCOUNT_ID
+    )
+  };
+  config.enabled = config.categories.size > 0 || config.merchants.size > 0;
+  if (config.enabled && !config.defaultProductId && Object.keys(products).length === 0) {
+    throw new Error('QOYOD_BILL_CONFIG needs "products" or "defaultProductId" to create bills');
+  }
+  return config;
+}
+
+/**
+ * Decide whether a transaction is exported as a bill or a journal entry.
+ *
+ * @param {Object} txn    Pemo transaction.
+ * @param {string} kind   Classification (`expense` or `refund`).
+ * @param {Object} config Configuration from `loadBillConfig`.
+ * @returns {string} `bill` or `journal_entry`.
+ */
+function exportTypeFor(txn, kind, config) {
+  if (!config.enabled || kind !== 'expense') {
+    return 'journal_entry';
+  }
+  const { category, merchant } = transactionAttributes(txn);
+  if (merchant && config.merchants.has(merchant.toLowerCase())) {
+    return 'bill';
+  }
+  if (category && config.categories.has(category.toLowerCase())) {
+    return 'bill';
+  }
+  return 'journal_entry';
+}
+
+/**
+ * Net price of a bill line whose tax at `rate`, rounded as Qoyod does,
+ * brings the bill to `total`.
+ *
+ * @param {number} total Card amount in minor units.
+ * @param {Object} vat   VAT split from `resolveVat`.
+ * @param {number} rate  Tax percent of the line.
+ * @returns {number} Net price in minor units.
+ * @throws {Error} When no net price adds up to the total.
+ */
+function billNet(total, vat, rate) {
+  if (!(rate > 0)) {
+    return total;
+  }
+  const taxOf = (net) => Math.round((net * rate) / 100);
+  const inclusive = total - Math.round((total * rate) / (100 + rate));
+  const net = [vat.net, inclusive, inclusive - 1, inclusive + 1].find(
+    (candidate) => candidate + taxOf(candidate) === total
+  );
+  if (net === undefined) {
+    throw new Error(`A bill at ${rate}% VAT cannot add up to the card amount ${total}`);
+  }
+  return net;
+}
+
+/**
+ * Build the purchase bill and payment payloads for a transaction.
+ *
+ * The vendor is not known until posting time, so `bill.contact_id` is left
+ * null and the vendor name is returned alongside.
+ *
+ * @param {Object} txn               Transaction in the base currency.
+ * @param {Object} context
+ * @param {Object} context.vat       VAT split from `resolveVat`.
+ * @param {?Object} [context.fx]     Conversion from `convertTransaction`.
+ * @param {?string} [context.description] Line description to use instead of
+ *   the merchant and category, e.g. rendered by a rule.
+ * @param {?string} [context.date]  Posting date from `resolvePostingDate`;
+ *   defaults to the UTC day of the transaction.
+ * @param {?string} [context.originalDate] Date the bill was moved from out
+ *   of a closed period, noted in the description.
+ * @param {number} [context.decimals] Decimals of the base currency.
+ * @param {Object} config            Configuration from `loadBillConfig`.
+ * @returns {{vendorName: string, bill: Object, payment: Object}}
+ * @throws {Error} When no product is configured for the category, or the
+ *   bill would not add up to the card amount.
+ */
+function buildPurchaseBill(
+  txn,
+  {
+    vat,
+    fx = null,
+    description: text = null,
+    date = null,
+    originalDate = null,
+    decimals = DEFAULT_DECIMALS
+  },
+  config
+) {
+  const { category, merchant } = transactionAttributes(txn);
+  const vendorName = merchant || 'Pemo Vendor';
+  const productId =
+    (category && config.products[category.toLowerCase()]) || config.defaultProductId;
+  if (!productId) {
+    throw new Error(`No Qoyod product configured for category ${category || '(none)'}`);
+  }
+  if (!config.paymentAccountId) {
+    throw new Error('No payment account configured for purchase bills');
+  }
+
+  const total = Math.abs(txn.totalAmount);
+  const taxPercent = vat.vat > 0 ? vat.nominalRate : 0;
+  const net = billNet(total, vat, taxPercent);
+
+  const issueDate = date || new Date(txn.date).toISOString().split('T')[0];
+  const reference = exportReference(txn);
+  let description = text || (category ? `${vendorName} - ${category}` : vendorName);
+  if (fx) {
+    description += ` [${fx.currency} ${fx.amount} @ ${fx.rate} ${fx.baseCurrency}]`;
+  }
+  if (originalDate) {
+    description += ` (dated ${originalDate})`;
+  }
+
+  const bill = {
+    contact_id: null,
+    reference,
+    issue_date: issueDate,
+    due_date: issueDate,
+    status: 'Approved',
+    line_items: [
+      {
+        product_id: productId,
+        description,
+        quantity: 1,
+        unit_price: toMajorUnits(net, decimals),
+        tax_percent: taxPercent
+      }
+    ]
+  };
+  if (config.inventoryId) {
+    bill.inventory_id = config.inventoryId;
+  }
+
+  const payment = {
+    reference,
+    account_id: config.paymentAccountId,
+    date: issueDate,
+    amount: toMajorUnits(total, decimals)
+  };
+
+  return { vendorName, bill: { bill }, payment: { bill_payment: payment } };
+}
+
+module.exports = {
+  buildPurchaseBill,
+  exportTypeFor,
+  loadBillConfig
+};
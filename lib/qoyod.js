@@ -0,0 +1,294 @@
+/**
+ * Minimal client for the Qoyod API (v2.0).
+ *
+ * Requests go through the shared HTTP client; failures surface as
+ * `HttpError`s that tell whether retrying may help. `QOYOD_BASE_URL` points
+ * the client at another API host, such as the fake server of the test
+ * suite.
+ *
+ * Every call takes the environment it reads the API key from as its last
+ * argument, so each entity of a multi-entity deployment posts to its own
+ * Qoyod company (see `lib/entities.js`).
+ */
+
+const { httpSettings, request, responseError } = require('./http-client');
+
+const DEFAULT_BASE_URL = 'https://www.qoyod.com/api/2.0';
+
+/**
+ * Base URL of the Qoyod API, without a trailing slash.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {string}
+ */
+function qoyodBaseUrl(env = process.env) {
+  return (env.QOYOD_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Send a request to Qoyod and return the parsed response body.
+ *
+ * @param {string} path    Path below the API base URL.
+ * @param {Object} options `fetch` options; a plain object `body` is sent as
+ *   JSON.
+ * @param {Object} env     Environment variables, defaults to `process.env`.
+ * @returns {Promise<Object>} Parsed JSON body (empty object when none).
+ * @throws {HttpError} When Qoyod rejects the request.
+ */
+async function qoyodRequest(path, { method = 'GET', body } = {}, env = process.env) {
+  const headers = { 'API-KEY': env.QOYOD_API_KEY };
+  let payload = body;
+  if (body !== undefined && !(body instanceof FormData)) {
+    headers['Content-Type'] = 'application/json';
+    payload = JSON.stringify(body);
+  }
+
+  const response = await request(
+    `${qoyodBaseUrl(env)}${path}`,
+    { method, headers, body: payload },
+    httpSettings(env)
+  );
+  if (!response.ok) {
+    throw await responseError(response, `Qoyod ${method} ${path.split('?')[0]} failed`);
+  }
+  const parsed = await response.json().catch(() => ({}));
+  return parsed || {};
+}
+
+/**
+ * Read the id of the record returned under `key`, or at the top level.
+ */
+function recordId(body, key) {
+  const record = body[key] || body;
+  return record.id !== undefined ? record.id : null;
+}
+
+/**
+ * Create a journal entry in Qoyod.
+ *
+ * @param {Object} payload Payload built by `buildJournalEntry`.
+ * @param {Object} env     Environment variables, defaults to `process.env`.
+ * @returns {Promise<?(string|number)>} Id of the created journal entry, or
+ *   null when Qoyod does not return one.
+ * @throws {Error} When Qoyod rejects the request.
+ */
+async function createJournalEntry(payload, env = process.env) {
+  const body = await qoyodRequest('/journal_entries', { method: 'POST', body: payload }, env);
+  return recordId(body, 'journal_entry');
+}
+
+/**
+ * Find a vendor contact by name, creating it when it does not exist.
+ *
+ * @param {string} name Vendor name, usually the Pemo merchant.
+ * @param {Object} env  Environment variables, defaults to `process.env`.
+ * @returns {Promise<string|number>} Id of the vendor contact.
+ * @throws {Error} When Qoyod rejects the lookup or the creation.
+ */
+async function findOrCreateVendor(name, env = process.env) {
+  const query = new URLSearchParams({ 'q[name_eq]': name });
+  const found = await qoyodRequest(`/vendors?${query}`, {}, env);
+  const list = found.contacts || found.vendors || [];
+  const match = list.find(
+    (contact) => String(contact.name || '').trim().toLowerCase() === name.trim().toLowerCase()
+  );
+  if (match) {
+    return match.id;
+  }
+
+  const created = await qoyodRequest(
+    '/vendors',
+    { method: 'POST', body: { contact: { name, status: 'Active' } } },
+    env
+  );
+  const id = recordId(created, 'contact');
+  if (id === null) {
+    throw new Error(`Qoyod did not return an id for new vendor ${name}`);
+  }
+  return id;
+}
+
+/**
+ * Create a purchase bill.
+ *
+ * @param {Object} payload Payload built by `buildPurchaseBill`.
+ * @param {Object} env     Environment variables, defaults to `process.env`.
+ * @returns {Promise<?(string|number)>} Id of the created bill.
+ */
+async function createBill(payload, env = process.env) {
+  const body = await qoyodRequest('/bills', { method: 'POST', body: payload }, env);
+  return recordId(body, 'bill');
+}
+
+/**
+ * Record the payment of a purchase bill.
+ *
+ * @param {Object} payload Payment payload built by `buildPurchaseBill`, with
+ *   `bill_id` filled in.
+ * @param {Object} env     Environment variables, defaults to `process.env`.
+ * @returns {Promise<?(string|number)>} Id of the created payment.
+ */
+async function createBillPayment(payload, env = process.env) {
+  const body = await qoyodRequest('/bill_payments', { method: 'POST', body: payload }, env);
+  return recordId(body, 'bill_payment');
+}
+
+/**
+ * Upload a file and attach it to a Qoyod record.
+ *
+ * @param {string} attachableType        Qoyod record type, e.g. `JournalEntry`
+ *   or `Bill`.
+ * @param {string|number} attachableId   Id of the record.
+ * @param {{data: Buffer, fileName: string, contentType: string}} file
+ * @param {Object} env                   Environment variables, defaults to
+ *   `process.env`.
+ * @throws {Error} When Qoyod rejects the upload.
+ */
+async function uploadAttachment(attachableType, attachableId, file, env = process.env) {
+  const form = new FormData();
+  form.append('attachment[attachable_type]', attachableType);
+  form.append('attachment[attachable_id]', String(attachableId));
+  form.append(
+    'attachment[file]',
+    new Blob([file.data], { type: file.contentType }),
+    file.fileName
+  );
+  await qoyodRequest('/attachments', { method: 'POST', body: form }, env);
+}
+
+const MAX_LIST_PAGES = 100;
+
+/**
+ * Read every record of a list endpoint, page by page.
+ *
+ * Stops at the first empty page, or when a page repeats records already
+ * seen (Qoyod ignoring the page parameter). At most `MAX_LIST_PAGES` pages
+ * are read; `capped` tells when the last of them still had new records, so
+ * the list may be incomplete.
+ *
+ * @param {string} path    List path, e.g. `/journal_entries`.
+ * @param {string} key     Key of the list in the response body.
+ * @param {Object} filters Query parameters added to every page request.
+ * @param {Object} env     Environment variables, defaults to `process.env`.
+ * @returns {Promise<{records: Object[], capped: boolean}>}
+ * @throws {HttpError} When Qoyod rejects a request.
+ */
+async function listRecords(path, key, filters, env = process.env) {
+  const records = [];
+  const seen = new Set();
+  for (let page = 1; page <= MAX_LIST_PAGES; page += 1) {
+    const query = new URLSearchParams({ ...filters, page: String(page) });
+    const body = await qoyodRequest(`${path}?${query}`, {}, env);
+    const list = Array.isArray(body[key]) ? body[key] : [];
+    const fresh = list.filter((record) => !seen.has(String(record.id)));
+    if (fresh.length === 0) {
+      return { records, capped: false };
+    }
+    for (const record of fresh) {
+      seen.add(String(record.id));
+      records.push(record);
+    }
+  }
+  console.error(`Qoyod ${path} has more than ${MAX_LIST_PAGES} pages; the rest was not read`);
+  return { records, capped: true };
+}
+
+/**
+ * Query parameters selecting the records whose date attribute falls within
+ * a range.
+ */
+function dateFilters(dateField, { from, to }) {
+  return { [`q[${dateField}_gteq]`]: from, [`q[${dateField}_lteq]`]: to };
+}
+
+/**
+ * List the journal entries dated within a range.
+ *
+ * @param {{from: string, to: string}} range Inclusive `YYYY-MM-DD` dates.
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {Promise<{records: Object[], capped: boolean}>} Journal entries,
+ *   see `listRecords`.
+ */
+async function listJournalEntries(range, env = process.env) {
+  return listRecords('/journal_entries', 'journal_entries', dateFilters('date', range), env);
+}
+
+/**
+ * List the purchase bills issued within a range.
+ *
+ * @param {{from: string, to: string}} range Inclusive `YYYY-MM-DD` dates.
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {Promise<{records: Object[], capped: boolean}>} Bills, see
+ *   `listRecords`.
+ */
+async function listBills(range, env = process.env) {
+  return listRecords('/bills', 'bills', dateFilters('issue_date', range), env);
+}
+
+/**
+ * Find the journal entries and purchase bills whose reference contains a
+ * text, such as the `PEMO-<id>` reference of a transaction.
+ *
+ * References are unique per transaction, so only the first page is read.
+ *
+ * @param {string} reference Text the reference must contain.
+ * @param {Object} [options]
+ * @param {boolean} [options.bills] Also search the purchase bills.
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {Promise<{journalEntries: Object[], bills: Object[]}>}
+ * @throws {HttpError} When Qoyod rejects a request.
+ */
+async function findByReference(reference, { bills = true } = {}, env = process.env) {
+  const query = new URLSearchParams({ 'q[reference_cont]': reference });
+  const entries = await qoyodRequest(`/journal_entries?${query}`, {}, env);
+  const found = { journalEntries: entries.journal_entries || [], bills: [] };
+  if (bills) {
+    found.bills = (await qoyodRequest(`/bills?${query}`, {}, env)).bills || [];
+  }
+  return found;
+}
+
+/**
+ * List the chart of accounts.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {Promise<Object[]>} Accounts, with their `type` and `status`.
+ */
+async function listAccounts(env = process.env) {
+  return (await listRecords('/accounts', 'accounts', {}, env)).records;
+}
+
+/**
+ * List the cost centers.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {Promise<Object[]>} Cost centers.
+ */
+async function listCostCenters(env = process.env) {
+  return (await listRecords('/cost_centers', 'cost_centers', {}, env)).records;
+}
+
+/**
+ * List the tax rates.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {Promise<Object[]>} Taxes, with their `percentage`.
+ */
+async function listTaxRates(env = process.env) {
+  return (await listRecords('/taxes', 'taxes', {}, env)).records;
+}
+
+module.exports = {
+  createBill,
+  createBillPayment,
+  createJournalEntry,
+  findByReference,
+  findOrCreateVendor,
+  listAccounts,
+  listBills,
+  listCostCenters,
+  listJournalEntries,
+  listTaxRates,
+  qoyodBaseUrl,
+  uploadAttachment
+};
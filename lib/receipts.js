@@ -0,0 +1,145 @@
+/**
+ * Copies the receipts of Pemo transactions onto their Qoyod records.
+ *
+ * Pemo lists the files attached to a transaction in `receipts` (or
+ * `attachments`), each with a download URL, a file name, a content type and
+ * usually a size. After a journal entry or bill is created, every receipt
+ * within the limits below is downloaded from Pemo and uploaded to Qoyod:
+ *   - QOYOD_ATTACH_RECEIPTS:   Set to `false` to turn receipt copying off.
+ *   - RECEIPT_MAX_BYTES:       Largest file copied (default 10 MB).
+ *   - RECEIPT_ALLOWED_TYPES:   Comma-separated content types (default PDF,
+ *                              JPEG, PNG, HEIC and WebP).
+ *
+ * Expenses without any receipt are reported by the sync as
+ * `missingReceipts`; receipts that were rejected or failed to copy are
+ * reported as `receiptIssues`. Neither stops the entry from being posted,
+ * unless the `missingReceipt` review rule holds it (see
+ * `lib/review-queue.js`).
+ */
+
+const { downloadReceipt } = require('./pemo');
+const { uploadAttachment } = require('./qoyod');
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_ALLOWED_TYPES = [
+  'application/pdf',
+  'image/jpeg',
+  'image/png',
+  'image/heic',
+  'image/webp'
+];
+
+/**
+ * Load the receipt settings from the environment.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {{enabled: boolean, maxBytes: number, allowedTypes: string[]}}
+ */
+function loadReceiptConfig(env = process.env) {
+  const maxBytes = Number.parseInt(env.RECEIPT_MAX_BYTES, 10);
+  return {
+    enabled: env.QOYOD_ATTACH_RECEIPTS !== 'false',
+    maxBytes: Number.isInteger(maxBytes) && maxBytes > 0 ? maxBytes : DEFAULT_MAX_BYTES,
+    allowedTypes: env.RECEIPT_ALLOWED_TYPES
+      ? env.RECEIPT_ALLOWED_TYPES.split(',')
+        .map((type) => type.trim().toLowerCase())
+        .filter(Boolean)
+      : DEFAULT_ALLOWED_TYPES
+  };
+}
+
+/**
+ * List the receipts attached to a Pemo transaction.
+ *
+ * @param {Object} txn Pemo transaction.
+ * @returns {Array<{url: string, fileName: string, contentType: ?string,
+ *   size: ?number}>}
+ */
+function transactionReceipts(txn) {
+  const list = Array.isArray(txn.receipts)
+    ? txn.receipts
+    : Array.isArray(txn.attachments)
+      ? txn.attachments
+      : [];
+
+  return list
+    .map((receipt, index) => {
+      const item = typeof receipt === 'string' ? { url: receipt } : receipt || {};
+      const url = item.url || item.downloadUrl || item.fileUrl || null;
+      return {
+        url,
+        fileName:
+          item.fileName || item.name || (url && url.split('?')[0].split('/').pop()) ||
+          `receipt-${txn.id}-${index + 1}`,
+        contentType: (item.contentType || item.mimeType || '').toLowerCase() || null,
+        size: typeof item.size === 'number' ? item.size : null
+      };
+    })
+    .filter((receipt) => receipt.url);
+}
+
+/**
+ * Explain why a receipt cannot be copied before downloading it.
+ */
+function rejectReason(receipt, config) {
+  if (receipt.size !== null && receipt.size > config.maxBytes) {
+    return `${receipt.size} bytes is above the ${config.maxBytes} byte limit`;
+  }
+  if (receipt.contentType && !config.allowedTypes.includes(receipt.contentType)) {
+    return `Content type ${receipt.contentType} is not allowed`;
+  }
+  return null;
+}
+
+/**
+ * Copy every acceptable receipt of a transaction onto a Qoyod record.
+ *
+ * @param {Object} txn    Pemo transaction.
+ * @param {{type: string, id: (string|number)}} target Qoyod record, e.g.
+ *   `{ type: 'JournalEntry', id: 42 }`.
+ * @param {Object} config Settings from `loadReceiptConfig`.
+ * @param {Object} env    Environment variables, defaults to `process.env`.
+ * @returns {Promise<{attached: number, issues: Array<{fileName: string,
+ *   error: string}>}>}
+ */
+async function attachReceipts(txn, target, config, env = process.env) {
+  const issues = [];
+  let attached = 0;
+
+  for (const receipt of transactionReceipts(txn)) {
+    const reason = rejectReason(receipt, config);
+    if (reason) {
+      issues.push({ fileName: receipt.fileName, error: reason });
+      continue;
+    }
+
+    try {
+      const { data, contentType } = await downloadReceipt(receipt.url, config.maxBytes, env);
+      const type = (receipt.contentType || contentType || '').split(';')[0].trim().toLowerCase();
+      if (!config.allowedTypes.includes(type)) {
+        issues.push({
+          fileName: receipt.fileName,
+          error: `Content type ${type || 'unknown'} is not allowed`
+        });
+        continue;
+      }
+      await uploadAttachment(
+        target.type,
+        target.id,
+        { data, fileName: receipt.fileName, contentType: type },
+        env
+      );
+      attached += 1;
+    } catch (error) {
+      issues.push({ fileName: receipt.fileName, error: error.message });
+    }
+  }
+
+  return { attached, issues };
+}
+
+module.exports = {
+  attachReceipts,
+  loadReceiptConfig,
+  transactionReceipts
+};
@@ -0,0 +1,350 @@
+/**
+ * Reconciliation of Pemo exported transactions with the Qoyod records the
+ * sync created.
+ *
+ * For a date range, the transactions Pemo reports as exported are matched
+ * to Qoyod journal entries and purchase bills by the `PEMO-<id>` reference
+ * the sync embeds in each record (see `exportReference()`). Records created
+ * before references existed are matched through the Qoyod ids in the
+ * export ledger. A consolidated entry (see `lib/consolidation.js`) lists the
+ * references of all its transactions and matches each of them; its amount
+ * covers several transactions, so only its date is compared. Records are
+ * looked up on the day the sync booked them, which the posting-date policy
+ * may have moved away from the transaction date (see
+ * `lib/posting-date.js`). The result lists:
+ *   - missing:    exported in Pemo, but no Qoyod record found.
+ *   - duplicates: more than one Qoyod record for the same transaction.
+ *   - mismatches: one record, but its amount or date differs from what
+ *                 the sync booked.
+ *   - unknownReferences: Qoyod records referencing a transaction that Pemo
+ *                 does not list as exported in the range.
+ *
+ * With `fix`, the missing transactions are posted again through the normal
+ * sync path. Duplicates and mismatches are only reported: removing or
+ * correcting booked entries is left to the accountant. The fix is refused
+ * (`fixRefused`) when the Qoyod listing may be incomplete: cut off after
+ * its last page, or without the reference and description the matching
+ * relies on. Every transaction would then look missing and be posted twice.
+ * It is also refused while the range holds Qoyod records without any
+ * `PEMO-<id>` reference that the ledger does not account for
+ * (`unreferencedRecords`), unless `force` is set: they may be the missing
+ * transactions, posted before references existed.
+ */
+
+const { loadCurrencyConfig } = require('./currency');
+const { getLedger } = require('./export-ledger');
+const { toMajorUnits, toMinorUnits } = require('./money');
+const { fetchTransactions } = require('./pemo');
+const { parseExportReferences } = require('./pemo-transaction');
+const { loadPostingConfig, resolvePostingDate } = require('./posting-date');
+const { listBills, listJournalEntries } = require('./qoyod');
+const { runSync, skipReason } = require('./sync');
+const { classifyTransaction } = require('./transaction-type');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_MAX_DAYS = 93;
+const MAX_PAGES = 500;
+const MAX_TRANSACTIONS = 10000;
+
+/**
+ * Validate a reconciliation range.
+ *
+ * @param {string} from      First day, `YYYY-MM-DD`.
+ * @param {string} to        Last day, `YYYY-MM-DD`.
+ * @param {number} [maxDays] Longest accepted range, defaults to
+ *   `RECONCILE_MAX_DAYS` (93).
+ * @throws {Error} When the range is malformed or too long.
+ */
+function assertRange(
+  from,
+  to,
+  maxDays = Number.parseInt(process.env.RECONCILE_MAX_DAYS, 10) || DEFAULT_MAX_DAYS
+) {
+  if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '')) {
+    throw new Error('from and to must be dates in YYYY-MM-DD format');
+  }
+  const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+  if (!(days >= 1)) {
+    throw new Error('from must not be after to');
+  }
+  if (days > maxDays) {
+    throw new Error(`Reconcile at most ${maxDays} days at a time`);
+  }
+}
+
+/**
+ * Sum the amounts of a list of Qoyod lines, in minor units.
+ */
+function sumAmounts(lines, decimals) {
+  return lines.reduce((sum, line) => sum + toMinorUnits(Number(line.amount) || 0, decimals), 0);
+}
+
+/**
+ * Normalize a Qoyod journal entry or bill for matching.
+ */
+function qoyodRecord(type, record, decimals) {
+  let amount = null;
+  if (type === 'journal_entry' && Array.isArray(record.debit_amounts)) {
+    amount = sumAmounts(record.debit_amounts, decimals);
+  } else {
+    const total = record.total !== undefined ? record.total : record.amount;
+    amount = total !== undefined && Number.isFinite(Number(total))
+      ? toMinorUnits(Math.abs(Number(total)), decimals)
+      : null;
+  }
+  const fromReference = parseExportReferences(record.reference);
+  return {
+    type,
+    id: record.id,
+    unreadable: record.reference === undefined && record.description === undefined,
+    date: String(record.date || record.issue_date || '').slice(0, 10) || null,
+    amount,
+    transactionIds:
+      fromReference.length > 0 ? fromReference : parseExportReferences(record.description)
+  };
+}
+
+/**
+ * What the sync booked for a transaction: from the ledger when known,
+ * otherwise what the posting-date policy gives (no date for the export
+ * basis, which depends on when the entry was posted).
+ */
+function expectedBooking(txn, ledgerEntry, baseCurrency, posting) {
+  if (ledgerEntry && ledgerEntry.amount !== undefined && ledgerEntry.date) {
+    return { amount: Math.abs(ledgerEntry.amount), date: ledgerEntry.date };
+  }
+  const sameCurrency = !txn.currency || String(txn.currency).toUpperCase() === baseCurrency;
+  return {
+    amount: sameCurrency ? Math.abs(txn.totalAmount) : null,
+    date: posting.basis === 'export'
+      ? null
+      : resolvePostingDate(txn, { ...posting, lockDate: null }).date
+  };
+}
+
+/**
+ * Reconcile one date range.
+ *
+ * @param {Object} options
+ * @param {string} options.from   First day, `YYYY-MM-DD` (transaction date).
+ * @param {string} options.to     Last day, `YYYY-MM-DD`.
+ * @param {boolean} [options.fix] Post the missing transactions again.
+ * @param {boolean} [options.force] Fix even though the range holds
+ *   unreferenced Qoyod records.
+ * @param {?string} [options.actor] Who asked for the fix, for the run history.
+ * @param {Object} [options.env]   Environment variables of the entity to
+ *   reconcile (default `process.env`).
+ * @returns {Promise<Object>} Reconciliation report.
+ * @throws {Error} When the range is invalid or Pemo or Qoyod cannot be read.
+ */
+async function reconcile({
+  from,
+  to,
+  fix = false,
+  force = false,
+  actor = null,
+  env = process.env
+}) {
+  assertRange(from, to);
+  const { baseCurrency, baseDecimals: decimals } = loadCurrencyConfig(env);
+  const ledger = getLedger(env);
+
+  const { transactions, capped } = await fetchTransactions(
+    { exportStatus: 'exported', startDate: from, endDate: to },
+    { maxTransactions: MAX_TRANSACTIONS, maxPages: MAX_PAGES },
+    env
+  );
+  const exported = transactions.filter((txn) => {
+    if (skipReason(txn) || classifyTransaction(txn).kind === 'excluded') {
+      return false;
+    }
+    const date = new Date(txn.date).toISOString().split('T')[0];
+    return date >= from && date <= to;
+  });
+
+  const posting = loadPostingConfig(env);
+  const expectations = new Map();
+  for (const txn of exported) {
+    const ledgerEntry = await ledger.get(String(txn.id));
+    expectations.set(String(txn.id), {
+      ledgerEntry,
+      expected: expectedBooking(txn, ledgerEntry, baseCurrency, posting)
+    });
+  }
+  // Entries booked on another day than their transaction (posting-date
+  // policy, closed periods) are looked up where they were booked.
+  const days = [from, to, ...[...expectations.values()].map(({ expected }) => expected.date)]
+    .filter(Boolean)
+    .sort();
+  const range = { from: days[0], to: days[days.length - 1] };
+  const inRange = (record) => Boolean(record.date) && record.date >= from && record.date <= to;
+
+  const journalEntries = await listJournalEntries(range, env);
+  const bills = await listBills(range, env);
+  const records = [
+    ...journalEntries.records.map((r) => qoyodRecord('journal_entry', r, decimals)),
+    ...bills.records.map((r) => qoyodRecord('bill', r, decimals))
+  ];
+  const byReference = new Map();
+  for (const record of records) {
+    for (const transactionId of record.transactionIds) {
+      const list = byReference.get(transactionId) || [];
+      list.push(record);
+      byReference.set(transactionId, list);
+    }
+  }
+
+  const missing = [];
+  const duplicates = [];
+  const mismatches = [];
+  const legacyMatches = new Set();
+  const pemoIds = new Set();
+  let pemoTotal = 0;
+  let matched = 0;
+
+  for (const txn of exported) {
+    const transactionId = String(txn.id);
+    pemoIds.add(transactionId);
+    const { ledgerEntry, expected } = expectations.get(transactionId);
+    pemoTotal += expected.amount || 0;
+
+    let found = byReference.get(transactionId) || [];
+    if (found.length === 0 && ledgerEntry) {
+      // Entries posted before references existed: match the ledger's ids.
+      const legacyId = String(ledgerEntry.journalEntryId || ledgerEntry.billId || '');
+      found = records.filter(
+        (record) => record.transactionIds.length === 0 && String(record.id) === legacyId
+      );
+      found.forEach((record) => legacyMatches.add(record));
+    }
+
+    if (found.length === 0) {
+      missing.push({
+        transactionId,
+        date: expected.date,
+        amount: expected.amount === null ? null : toMajorUnits(expected.amount, decimals)
+      });
+      continue;
+    }
+    if (found.length > 1) {
+      duplicates.push({
+        transactionId,
+        records: found.map(({ type, id, date, amount }) => ({
+          type,
+          id,
+          date,
+          amount: amount === null ? null : toMajorUnits(amount, decimals)
+        }))
+      });
+      continue;
+    }
+
+    matched += 1;
+    const [record] = found;
+    const ownAmount = record.transactionIds.length <= 1 && record.amount !== null;
+    if (expected.amount !== null && ownAmount && expected.amount !== record.amount) {
+      mismatches.push({
+        transactionId,
+        type: record.type,
+        id: record.id,
+        field: 'amount',
+        expected: toMajorUnits(expected.amount, decimals),
+        actual: toMajorUnits(record.amount, decimals)
+      });
+    }
+    if (record.date && expected.date && expected.date !== record.date) {
+      mismatches.push({
+        transactionId,
+        type: record.type,
+        id: record.id,
+        field: 'date',
+        expected: expected.date,
+        actual: record.date
+      });
+    }
+  }
+
+  const referenced = records.filter(
+    (record) =>
+      record.transactionIds.length > 0 &&
+      (inRange(record) || record.transactionIds.some((id) => pemoIds.has(id)))
+  );
+  // Entries booked by hand, or by the sync before references existed.
+  const unreferenced = records.filter(
+    (record) =>
+      record.transactionIds.length === 0 &&
+      !record.unreadable &&
+      inRange(record) &&
+      !legacyMatches.has(record)
+  );
+  const result = {
+    from,
+    to,
+    baseCurrency,
+    pemo: {
+      count: exported.length,
+      total: toMajorUnits(pemoTotal, decimals),
+      capped
+    },
+    qoyod: {
+      count: referenced.length,
+      capped: journalEntries.capped || bills.capped,
+      total: toMajorUnits(
+        referenced.reduce((sum, record) => sum + (record.amount || 0), 0),
+        decimals
+      )
+    },
+    matched,
+    missing,
+    duplicates,
+    mismatches,
+    unknownReferences: referenced.flatMap(({ type, id, date, transactionIds }) =>
+      transactionIds
+        .filter((transactionId) => !pemoIds.has(transactionId))
+        .map((transactionId) => ({ type, id, date, transactionId }))
+    ),
+    unreferencedRecords: unreferenced.map(({ type, id, date, amount }) => ({
+      type,
+      id,
+      date,
+      amount: amount === null ? null : toMajorUnits(amount, decimals)
+    })),
+    fix: null,
+    fixRefused: null
+  };
+
+  const unreadable = records.filter((record) => record.unreadable).length;
+  if (fix && missing.length > 0 && result.qoyod.capped) {
+    result.fixRefused = 'The Qoyod listing was cut off; reconcile a shorter range';
+  } else if (fix && missing.length > 0 && unreadable > 0) {
+    result.fixRefused =
+      `${unreadable} Qoyod record(s) came without a reference or description to match`;
+  } else if (fix && missing.length > 0 && unreferenced.length > 0 && !force) {
+    result.fixRefused =
+      `${unreferenced.length} Qoyod record(s) in the range have no PEMO reference and may ` +
+      'be the missing transactions; check them, then fix with force';
+  } else if (fix && missing.length > 0) {
+    const missingIds = new Set(missing.map(({ transactionId }) => transactionId));
+    // The ledger still shows these as exported; reset them so the normal
+    // path posts them instead of skipping them as done.
+    for (const transactionId of missingIds) {
+      await ledger.recordFailed(transactionId, 'Missing in Qoyod (found by reconciliation)', {
+        retryable: true,
+        reopen: true
+      });
+    }
+    result.fix = await runSync({
+      trigger: 'reconcile',
+      actor,
+      transactions: exported.filter((txn) => missingIds.has(String(txn.id))),
+      env
+    });
+  }
+
+  return result;
+}
+
+module.exports = {
+  assertRange,
+  reconcile
+};
@@ -0,0 +1,283 @@
+/**
+ * Review queue: transactions held back for the accountant before posting.
+ *
+ * Review rules are read from `QOYOD_REVIEW_RULES` (inline JSON) or
+ * `QOYOD_REVIEW_RULES_FILE`, and every rule is optional:
+ *
+ *   {
+ *     "largeAmount": 10000,
+ *     "smallAmount": 1,
+ *     "missingMerchant": true,
+ *     "missingReceipt": true,
+ *     "unmappedCategory": true
+ *   }
+ *
+ * A transaction is held when its amount in the base currency is at least
+ * `largeAmount` or below `smallAmount` (odd fractions), when Pemo has no
+ * merchant for it (it would be booked as "Pemo Transaction"), when an
+ * expense has no receipt, or when no rule or mapping chose its expense
+ * account. With `QOYOD_LOCKED_PERIOD=review`, entries dated in a closed
+ * period are held as well (`lockedPeriod`, see `lib/posting-date.js`).
+ * Held transactions are not posted and not marked in Pemo, so every run
+ * sees them again.
+ *
+ * Each queue item has a status:
+ *   - pending:  waiting for a decision.
+ *   - approved: posted by the next run, with the item's `overrides`
+ *               (`debitAccountId`, `vat`, `costCenterId`, `description`, as
+ *               in a rule's `set`, see `lib/rules.js`).
+ *   - rejected: never posted; the sync skips the transaction.
+ *   - posted:   approved and posted.
+ *
+ * Any object implementing the async methods below can serve as the queue
+ * and be installed with `setReviewQueue()`:
+ *   - get(transactionId)                  -> item or null
+ *   - hold(transactionId, details)        -> item
+ *   - decide(transactionId, decision)     -> item
+ *   - recordPosted(transactionIds)        -> void
+ *   - list({ status })                    -> items, oldest first
+ *
+ * The default is a JSON file at `REVIEW_QUEUE_PATH`, or `review-queue.json`
+ * in the data directory. `REVIEW_QUEUE=memory` keeps the queue in memory
+ * only. Neither outlives a Vercel instance, so deployments there need a
+ * durable queue; a warning is logged when the built-in one is used.
+ */
+
+const path = require('path');
+const { loadJsonConfig } = require('./config');
+const { dataDir, readJson, writeJson } = require('./json-store');
+const { toMinorUnits } = require('./money');
+const { transactionAttributes } = require('./pemo-transaction');
+const { transactionReceipts } = require('./receipts');
+
+const AMOUNT_RULES = ['largeAmount', 'smallAmount'];
+const FLAG_RULES = ['missingMerchant', 'missingReceipt', 'unmappedCategory'];
+const STATUSES = ['pending', 'approved', 'rejected', 'posted'];
+
+/**
+ * Load and validate the review rules from the environment.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {{enabled: boolean, largeAmount: ?number, smallAmount: ?number,
+ *   missingMerchant: boolean, missingReceipt: boolean,
+ *   unmappedCategory: boolean}} Amounts in major units of the base currency.
+ * @throws {Error} When the rules are malformed.
+ */
+function loadReviewConfig(env = process.env) {
+  const raw = loadJsonConfig('QOYOD_REVIEW_RULES', env);
+  const config = { enabled: false };
+  for (const key of Object.keys(raw)) {
+    if (!AMOUNT_RULES.includes(key) && !FLAG_RULES.includes(key)) {
+      throw new Error(`Unknown review rule "${key}"`);
+    }
+  }
+  for (const key of AMOUNT_RULES) {
+    const value = raw[key];
+    if (value !== undefined && value !== null && (typeof value !== 'number' || !(value > 0))) {
+      throw new Error(`Review rule "${key}" must be a positive number`);
+    }
+    config[key] = value === undefined ? null : value;
+  }
+  for (const key of FLAG_RULES) {
+    if (raw[key] !== undefined && typeof raw[key] !== 'boolean') {
+      throw new Error(`Review rule "${key}" must be true or false`);
+    }
+    config[key] = raw[key] === true;
+  }
+  config.enabled = [...AMOUNT_RULES, ...FLAG_RULES].some((key) => config[key]);
+  return config;
+}
+
+/**
+ * List the review rules a prepared entry trips.
+ *
+ * @param {Object} entry    Entry returned by `prepareEntries`.
+ * @param {Object} config   Configuration from `loadReviewConfig`.
+ * @param {number} decimals Decimals of the base currency.
+ * @returns {string[]} Names of the rules, e.g. `largeAmount`; empty when
+ *   the entry can be posted.
+ */
+function reviewReasons(entry, config, decimals) {
+  if (!config.enabled) {
+    return [];
+  }
+  const reasons = [];
+  const size = Math.abs(entry.booked.totalAmount);
+  if (config.largeAmount && size >= toMinorUnits(config.largeAmount, decimals)) {
+    reasons.push('largeAmount');
+  }
+  if (config.smallAmount && size < toMinorUnits(config.smallAmount, decimals)) {
+    reasons.push('smallAmount');
+  }
+  if (config.missingMerchant && !transactionAttributes(entry.txn).merchant) {
+    reasons.push('missingMerchant');
+  }
+  if (
+    config.missingReceipt &&
+    entry.kind === 'expense' &&
+    transactionReceipts(entry.txn).length === 0
+  ) {
+    reasons.push('missingReceipt');
+  }
+  if (
+    config.unmappedCategory &&
+    entry.exportAs !== 'bill' &&
+    entry.accounts.matchedBy === 'default'
+  ) {
+    reasons.push('unmappedCategory');
+  }
+  return reasons;
+}
+
+/**
+ * Shared implementation on top of a load/save pair.
+ */
+function createReviewQueue(load, save) {
+  const update = (transactionId, changes) => {
+    const items = load();
+    const id = String(transactionId);
+    const item = { ...(items[id] || { transactionId: id }), ...changes };
+    items[id] = item;
+    save(items);
+    return item;
+  };
+
+  return {
+    async get(transactionId) {
+      return load()[String(transactionId)] || null;
+    },
+
+    // Holding again refreshes a pending item; decided items stay as they are.
+    async hold(transactionId, { reasons, summary }) {
+      const previous = load()[String(transactionId)];
+      if (previous && previous.status !== 'pending') {
+        return previous;
+      }
+      const now = new Date().toISOString();
+      return update(transactionId, {
+        status: 'pending',
+        reasons,
+        summary,
+        queuedAt: previous ? previous.queuedAt : now,
+        lastSeenAt: now
+      });
+    },
+
+    async decide(transactionId, { status, overrides = null, note = null, actor = null }) {
+      return update(transactionId, {
+        status,
+        overrides,
+        note,
+        decidedBy: actor,
+        decidedAt: new Date().toISOString()
+      });
+    },
+
+    async recordPosted(transactionIds) {
+      const items = load();
+      const postedAt = new Date().toISOString();
+      for (const transactionId of transactionIds) {
+        const id = String(transactionId);
+        if (items[id]) {
+          items[id] = { ...items[id], status: 'posted', postedAt };
+        }
+      }
+      save(items);
+    },
+
+    async list({ status } = {}) {
+      const items = Object.values(load()).sort((a, b) =>
+        String(a.queuedAt).localeCompare(String(b.queuedAt))
+      );
+      return status ? items.filter((item) => item.status === status) : items;
+    }
+  };
+}
+
+/**
+ * Review queue persisted as a JSON file.
+ *
+ * @param {string} filePath Path of the queue file.
+ * @returns {Object} Review queue.
+ */
+function createFileReviewQueue(filePath) {
+  return createReviewQueue(
+    () => readJson(filePath, {}),
+    (items) => writeJson(filePath, items)
+  );
+}
+
+/**
+ * Review queue kept in memory, for tests and one-off runs.
+ *
+ * @returns {Object} Review queue.
+ */
+function createMemoryReviewQueue() {
+  let items = {};
+  return createReviewQueue(
+    () => items,
+    (next) => {
+      items = next;
+    }
+  );
+}
+
+// Queues by entity id (see `lib/entities.js`); '' is the deployment's own.
+const activeQueues = new Map();
+
+/**
+ * Return the configured review queue, creating the default one on first use.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`;
+ *   each entity (`SYNC_ENTITY`) has a queue of its own.
+ * @returns {Object} Review queue.
+ */
+function getReviewQueue(env = process.env) {
+  const key = env.SYNC_ENTITY || '';
+  if (!activeQueues.has(key)) {
+    // Held items and decisions vanish with the Vercel instance.
+    if (env.VERCEL) {
+      console.error(
+        'WARNING: the review queue does not survive Vercel cold starts, so held ' +
+          'transactions and decisions can be lost. Install a durable queue with ' +
+          'setReviewQueue().'
+      );
+    }
+    activeQueues.set(
+      key,
+      env.REVIEW_QUEUE === 'memory'
+        ? createMemoryReviewQueue()
+        : createFileReviewQueue(
+          env.REVIEW_QUEUE_PATH || path.join(dataDir(env), 'review-queue.json')
+        )
+    );
+  }
+  return activeQueues.get(key);
+}
+
+/**
+ * Install a custom review queue (or reset with `null`).
+ *
+ * @param {?Object} queue     Review queue implementing the interface above.
+ * @param {string} [entityId] Entity the queue belongs to; resetting without
+ *   one resets the queues of every entity.
+ */
+function setReviewQueue(queue, entityId = '') {
+  if (queue) {
+    activeQueues.set(entityId, queue);
+  } else if (entityId) {
+    activeQueues.delete(entityId);
+  } else {
+    activeQueues.clear();
+  }
+}
+
+module.exports = {
+  STATUSES,
+  createFileReviewQueue,
+  createMemoryReviewQueue,
+  getReviewQueue,
+  loadReviewConfig,
+  reviewReasons,
+  setReviewQueue
+};
@@ -0,0 +1,329 @@
+/**
+ * Declarative rules that map Pemo transactions to accounts, VAT, cost
+ * centers and descriptions.
+ *
+ * The rules are read from `QOYOD_RULES` (inline JSON) or from the file named
+ * by `QOYOD_RULES_FILE`, which may be JSON or, with a `.yaml`/`.yml`
+ * extension, YAML:
+ *
+ *   {
+ *     "rules": [
+ *       {
+ *         "name": "Cloud hosting",
+ *         "match": {
+ *           "merchant": "^(aws|google cloud)",
+ *           "mcc": ["4816", "7372"],
+ *           "category": "Software",
+ *           "amount": { "min": 100, "max": 5000 },
+ *           "cardholder": "ops@example.com",
+ *           "department": ["Engineering", "Data"],
+ *           "currency": "USD"
+ *         },
+ *         "set": {
+ *           "debitAccountId": 5105,
+ *           "vat": "zero",
+ *           "costCenterId": 3,
+ *           "description": "{merchant} – {cardholder} – {notes}"
+ *         }
+ *       }
+ *     ]
+ *   }
+ *
+ * Rules are tried in order and the first rule whose conditions all hold
+ * wins; a rule without conditions matches everything. `merchant` is a
+ * case-insensitive regular expression, `amount` is a range in major units of
+ * the transaction currency (sign ignored), and the other conditions take a
+ * value or a list of values compared case-insensitively (`cardholder`
+ * matches the email or the name).
+ *
+ * What a rule sets takes precedence over the account mapping, the VAT
+ * configuration and the dimension mapping; whatever it leaves out is
+ * resolved by those as usual. `vat` is a treatment as in `lib/vat.js` and
+ * needs `QOYOD_INPUT_VAT_ACCOUNT_ID`. The description template may use
+ * {merchant}, {cardholder}, {category}, {department}, {mcc}, {notes},
+ * {currency}, {amount}, {date} and {id}; empty values are dropped along with
+ * their separators.
+ *
+ * The whole file is validated when the configuration is loaded, so a typo
+ * fails the run before anything is fetched or posted.
+ */
+
+const fs = require('fs');
+const YAML = require('yaml');
+const { normalizeAccountId } = require('./account-mapping');
+const { loadJsonConfig } = require('./config');
+const { DEFAULT_CURRENCY, currencyDecimals } = require('./currency');
+const { toMajorUnits } = require('./money');
+const { transactionAttributes } = require('./pemo-transaction');
+const { parseTreatment } = require('./vat');
+
+const LIST_CONDITIONS = ['mcc', 'category', 'cardholder', 'department', 'currency'];
+const CONDITIONS = ['merchant', 'amount', ...LIST_CONDITIONS];
+const ACTIONS = ['debitAccountId', 'vat', 'costCenterId', 'description'];
+const PLACEHOLDERS = [
+  'merchant',
+  'cardholder',
+  'category',
+  'department',
+  'mcc',
+  'notes',
+  'currency',
+  'amount',
+  'date',
+  'id'
+];
+const SEPARATORS = '–—|,:;/-';
+
+/**
+ * Read the raw rules document, as JSON or YAML.
+ */
+function readRules(env) {
+  const file = env.QOYOD_RULES_FILE;
+  if (env.QOYOD_RULES || !file || !/\.ya?ml$/i.test(file)) {
+    return loadJsonConfig('QOYOD_RULES', env);
+  }
+  let raw;
+  try {
+    raw = YAML.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read QOYOD_RULES_FILE ${file}: ${error.message}`);
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('QOYOD_RULES must be an object');
+  }
+  return raw;
+}
+
+/**
+ * Normalize a condition given as one value or a list of values.
+ */
+function valueSet(value, fail) {
+  const values = Array.isArray(value) ? value : [value];
+  if (values.length === 0 || values.some((item) => !['string', 'number'].includes(typeof item))) {
+    fail('must be a string, a number or a list of them');
+  }
+  return new Set(values.map((item) => String(item).trim().toLowerCase()));
+}
+
+/**
+ * Validate and compile the conditions of one rule.
+ */
+function compileMatch(match, fail) {
+  if (match === undefined) {
+    return {};
+  }
+  if (!match || typeof match !== 'object' || Array.isArray(match)) {
+    fail('"match" must be an object');
+  }
+  const compiled = {};
+  for (const [key, value] of Object.entries(match)) {
+    if (!CONDITIONS.includes(key)) {
+      fail(`unknown condition "${key}"`);
+    }
+    if (key === 'merchant') {
+      try {
+        compiled.merchant = new RegExp(String(value), 'i');
+      } catch (error) {
+        fail(`invalid merchant pattern: ${error.message}`);
+      }
+    } else if (key === 'amount') {
+      const range = value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+      const { min = -Infinity, max = Infinity, ...rest } = range || {};
+      if (
+        !range ||
+        Object.keys(rest).length > 0 ||
+        typeof min !== 'number' ||
+        typeof max !== 'number' ||
+        Number.isNaN(min) ||
+        Number.isNaN(max) ||
+        min > max
+      ) {
+        fail('"amount" must be { "min": number, "max": number } with min <= max');
+      }
+      compiled.amount = { min, max };
+    } else {
+      compiled[key] = valueSet(value, (message) => fail(`condition "${key}" ${message}`));
+    }
+  }
+  return compiled;
+}
+
+/**
+ * Validate the actions of one rule.
+ */
+function compileSet(set, vatEnabled, fail) {
+  if (!set || typeof set !== 'object' || Array.isArray(set) || Object.keys(set).length === 0) {
+    fail('"set" must be an object with at least one action');
+  }
+  const compiled = {};
+  for (const [key, value] of Object.entries(set)) {
+    if (!ACTIONS.includes(key)) {
+      fail(`unknown action "${key}"`);
+    }
+    if (key === 'vat') {
+      if (!vatEnabled) {
+        fail('setting "vat" requires QOYOD_INPUT_VAT_ACCOUNT_ID');
+      }
+      try {
+        compiled.vat = parseTreatment(value);
+      } catch (error) {
+        fail(error.message);
+      }
+    } else if (key === 'description') {
+      if (typeof value !== 'string' || !value.trim()) {
+        fail('"description" must be a non-empty string');
+      }
+      for (const [, name] of value.matchAll(/\{(\w+)\}/g)) {
+        if (!PLACEHOLDERS.includes(name)) {
+          fail(`unknown placeholder {${name}} in description`);
+        }
+      }
+      compiled.description = value;
+    } else {
+      compiled[key] = normalizeAccountId(value);
+      if (compiled[key] === null) {
+        fail(`"${key}" must not be empty`);
+      }
+    }
+  }
+  return compiled;
+}
+
+/**
+ * Validate actions given outside a rule, such as the overrides of a review
+ * approval.
+ *
+ * @param {Object} set Actions, as in a rule's `set`.
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {Object} Compiled actions.
+ * @throws {Error} When an action is unknown or invalid.
+ */
+function compileActions(set, env = process.env) {
+  const vatEnabled = Boolean(normalizeAccountId(env.QOYOD_INPUT_VAT_ACCOUNT_ID));
+  return compileSet(set, vatEnabled, (message) => {
+    throw new Error(message);
+  });
+}
+
+/**
+ * Load and validate the rules from the environment.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {Object[]} Compiled rules, in order; empty when none are set.
+ * @throws {Error} When the rules cannot be read or a rule is invalid.
+ */
+function loadRules(env = process.env) {
+  const raw = readRules(env);
+  if (raw.rules === undefined) {
+    return [];
+  }
+  if (!Array.isArray(raw.rules)) {
+    throw new Error('QOYOD_RULES "rules" must be a list');
+  }
+  const vatEnabled = Boolean(normalizeAccountId(env.QOYOD_INPUT_VAT_ACCOUNT_ID));
+  return raw.rules.map((rule, index) => {
+    const name = rule && typeof rule.name === 'string' && rule.name.trim()
+      ? rule.name.trim()
+      : `#${index + 1}`;
+    const fail = (message) => {
+      throw new Error(`QOYOD_RULES rule ${name}: ${message}`);
+    };
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      fail('must be an object');
+    }
+    const unknown = Object.keys(rule).filter((key) => !['name', 'match', 'set'].includes(key));
+    if (unknown.length > 0) {
+      fail(`unknown field "${unknown[0]}"`);
+    }
+    return {
+      index,
+      name,
+      match: compileMatch(rule.match, fail),
+      set: compileSet(rule.set, vatEnabled, fail)
+    };
+  });
+}
+
+/**
+ * Values of a transaction that rules look at.
+ */
+function ruleValues(txn) {
+  const attributes = transactionAttributes(txn);
+  const currency = typeof txn.currency === 'string' && txn.currency.trim()
+    ? txn.currency.trim().toUpperCase()
+    : DEFAULT_CURRENCY;
+  return {
+    ...attributes,
+    cardholder: attributes.spenderEmail || attributes.spender,
+    currency,
+    amount: toMajorUnits(Math.abs(txn.totalAmount), currencyDecimals(currency)),
+    date: new Date(txn.date).toISOString().split('T')[0],
+    id: String(txn.id)
+  };
+}
+
+/**
+ * Whether all conditions of a rule hold for a transaction.
+ */
+function ruleMatches(match, values) {
+  const has = (set, ...candidates) =>
+    candidates.some((candidate) => candidate && set.has(String(candidate).toLowerCase()));
+
+  if (match.merchant && !match.merchant.test(values.merchant || '')) {
+    return false;
+  }
+  if (match.amount && !(values.amount >= match.amount.min && values.amount <= match.amount.max)) {
+    return false;
+  }
+  if (match.cardholder && !has(match.cardholder, values.spenderEmail, values.spender)) {
+    return false;
+  }
+  return LIST_CONDITIONS.filter((key) => key !== 'cardholder' && match[key]).every((key) =>
+    has(match[key], values[key])
+  );
+}
+
+/**
+ * Find the first rule matching a transaction.
+ *
+ * @param {Object} txn     Validated Pemo transaction.
+ * @param {Object[]} rules Rules from `loadRules`.
+ * @returns {?{index: number, name: string, set: Object}} The rule, or null.
+ */
+function matchRule(txn, rules) {
+  if (rules.length === 0) {
+    return null;
+  }
+  const values = ruleValues(txn);
+  const rule = rules.find(({ match }) => ruleMatches(match, values));
+  return rule ? { index: rule.index, name: rule.name, set: rule.set } : null;
+}
+
+/**
+ * Render a description template for a transaction.
+ *
+ * @param {string} template Template with `{placeholder}`s.
+ * @param {Object} txn      Validated Pemo transaction.
+ * @returns {?string} Description, or null when it comes out empty.
+ */
+function renderDescription(template, txn) {
+  const values = ruleValues(txn);
+  const separator = `[\\s${SEPARATORS}]`;
+  const text = template
+    .replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = values[name];
+      return value === null || value === undefined ? '' : String(value);
+    })
+    // Drop the separators left around empty values.
+    .replace(new RegExp(`\\s*([${SEPARATORS}])(?:\\s*[${SEPARATORS}])+\\s*`, 'g'), ' $1 ')
+    .replace(new RegExp(`^${separator}+|${separator}+$`, 'g'), '')
+    .replace(/\s+/g, ' ');
+  return text || null;
+}
+
+module.exports = {
+  compileActions,
+  loadRules,
+  matchRule,
+  renderDescription
+};
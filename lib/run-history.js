@@ -0,0 +1,129 @@
+/**
+ * Run history: one record per sync run, for the status endpoint.
+ *
+ * A run record holds when the run started and finished, how many
+ * transactions were fetched, posted, skipped and failed, the error of each
+ * failed transaction and the Qoyod ids of what was posted. Dry runs are
+ * not recorded.
+ *
+ * Any object implementing the async methods below can serve as the store
+ * and be installed with `setRunHistory()`:
+ *   - record(run)        -> run
+ *   - list({ limit })    -> runs, newest first
+ *   - get(runId)         -> run or null
+ *
+ * The default is a JSON file at `RUN_HISTORY_PATH`, or `run-history.json`
+ * in the data directory, keeping the latest `RUN_HISTORY_LIMIT` runs
+ * (default 1000). `RUN_HISTORY=memory` keeps the history in memory only.
+ */
+
+const path = require('path');
+const { dataDir, readJson, writeJson } = require('./json-store');
+
+const DEFAULT_LIMIT = 1000;
+
+/**
+ * Shared implementation on top of a load/save pair.
+ */
+function createRunHistory(load, save, limit) {
+  return {
+    async record(run) {
+      const runs = load();
+      runs.push(run);
+      save(runs.slice(-limit));
+      return run;
+    },
+
+    async list({ limit: count } = {}) {
+      const runs = load().slice().reverse();
+      return count ? runs.slice(0, count) : runs;
+    },
+
+    async get(runId) {
+      return load().find((run) => run.runId === runId) || null;
+    }
+  };
+}
+
+/**
+ * Run history persisted as a JSON file.
+ *
+ * @param {string} filePath Path of the history file.
+ * @param {number} [limit]  Number of runs kept.
+ * @returns {Object} Run history.
+ */
+function createFileRunHistory(filePath, limit = DEFAULT_LIMIT) {
+  return createRunHistory(
+    () => readJson(filePath, []),
+    (runs) => writeJson(filePath, runs),
+    limit
+  );
+}
+
+/**
+ * Run history kept in memory, for tests and one-off runs.
+ *
+ * @param {number} [limit] Number of runs kept.
+ * @returns {Object} Run history.
+ */
+function createMemoryRunHistory(limit = DEFAULT_LIMIT) {
+  let runs = [];
+  return createRunHistory(
+    () => runs,
+    (next) => {
+      runs = next;
+    },
+    limit
+  );
+}
+
+// Histories by entity id (see `lib/entities.js`); '' is the deployment's own.
+const activeHistories = new Map();
+
+/**
+ * Return the configured run history, creating the default one on first use.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`;
+ *   each entity (`SYNC_ENTITY`) has a history of its own.
+ * @returns {Object} Run history.
+ */
+function getRunHistory(env = process.env) {
+  const key = env.SYNC_ENTITY || '';
+  if (!activeHistories.has(key)) {
+    const limit = Number.parseInt(env.RUN_HISTORY_LIMIT, 10) || DEFAULT_LIMIT;
+    activeHistories.set(
+      key,
+      env.RUN_HISTORY === 'memory'
+        ? createMemoryRunHistory(limit)
+        : createFileRunHistory(
+          env.RUN_HISTORY_PATH || path.join(dataDir(env), 'run-history.json'),
+          limit
+        )
+    );
+  }
+  return activeHistories.get(key);
+}
+
+/**
+ * Install a custom run history implementation (or reset with `null`).
+ *
+ * @param {?Object} history   Store implementing the interface above.
+ * @param {string} [entityId] Entity the history belongs to; resetting
+ *   without one resets the histories of every entity.
+ */
+function setRunHistory(history, entityId = '') {
+  if (history) {
+    activeHistories.set(entityId, history);
+  } else if (entityId) {
+    activeHistories.delete(entityId);
+  } else {
+    activeHistories.clear();
+  }
+}
+
+module.exports = {
+  createFileRunHistory,
+  createMemoryRunHistory,
+  getRunHistory,
+  setRunHistory
+};
@@ -0,0 +1,93 @@
+/**
+ * The cron schedule of the sync, for showing when the next run happens.
+ *
+ * The schedule is read from `SYNC_SCHEDULE`, or from the cron entry for
+ * `/api/sync-invoices` in `vercel.json`. Vercel evaluates cron expressions
+ * in UTC; only the minute and hour fields are interpreted here (`*`,
+ * numbers, ranges, lists and steps such as `0-23/6`), which covers the
+ * daily and hourly schedules the sync uses. Other expressions yield no
+ * next run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Read the cron expression of the sync job.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {?string} Cron expression, or null when none is configured.
+ */
+function syncSchedule(env = process.env) {
+  if (env.SYNC_SCHEDULE) {
+    return env.SYNC_SCHEDULE;
+  }
+  try {
+    const vercel = JSON.parse(
+      fs.readFileSync(path.join(__dirname, '..', 'vercel.json'), 'utf8')
+    );
+    const job = (vercel.crons || []).find((cron) => cron.path === '/api/sync-invoices');
+    return job ? job.schedule : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Expand one cron field into the sorted list of values it allows.
+ */
+function expandField(field, max) {
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let [start, end] = range === '*' ? [0, max] : range.split('-').map(Number);
+    if (end === undefined) {
+      end = stepText === undefined ? start : max;
+    }
+    if (![start, end, step].every(Number.isInteger) || step < 1 || start < 0 || end > max) {
+      return null;
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Compute the next run of a cron expression after `from`.
+ *
+ * @param {string} expression Five-field cron expression (UTC).
+ * @param {Date} [from]       Reference time, defaults to now.
+ * @returns {?Date} Next run, or null when the expression is not supported.
+ */
+function nextRun(expression, from = new Date()) {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5 || fields.slice(2).some((field) => field !== '*')) {
+    return null;
+  }
+  const minutes = expandField(fields[0], 59);
+  const hours = expandField(fields[1], 23);
+  if (!minutes || !hours) {
+    return null;
+  }
+
+  const day = Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate());
+  for (let offset = 0; offset < 2; offset += 1) {
+    for (const hour of hours) {
+      for (const minute of minutes) {
+        const candidate = new Date(day + offset * 86400000 + (hour * 60 + minute) * 60000);
+        if (candidate > from) {
+          return candidate;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  nextRun,
+  syncSchedule
+};
@@ -0,0 +1,1211 @@
+/**
+ * The Pemo → Qoyod sync pipeline, independent of the HTTP layer.
+ *
+ * `runSync()` performs one export run:
+ *   1. Fetches the transactions that are ready to export from Pemo.
+ *   2. Validates and classifies each transaction, applies the first
+ *      matching rule (`lib/rules.js`), converts it to the base currency and
+ *      builds a balanced journal entry; refunds become reversing entries and
+ *      pending or declined items are skipped. Entries tripping a review rule
+ *      are held in the review queue (`lib/review-queue.js`) until the
+ *      accountant approves them.
+ *   3. Posts the entries to Qoyod, recording them in the export ledger.
+ *      Transactions selected for purchase bills are posted as a bill and
+ *      bill payment against the merchant's vendor contact instead. Entries
+ *      are posted a few at a time within the run's time budget (see
+ *      `lib/work-pool.js`); whatever does not fit is left for the next run.
+ *      With `QOYOD_ENTRY_GRANULARITY` set to `daily` or `statement`,
+ *      journal entries are consolidated per day or per card statement
+ *      (`lib/consolidation.js`); the transactions of a consolidated entry
+ *      are recorded, and marked, only when the whole entry was posted.
+ *   4. Copies the Pemo receipts of each posted transaction onto its entry.
+ *   5. Marks the posted transactions as exported in Pemo.
+ *
+ * Before step 1, the Qoyod accounts, cost centers and tax rates the
+ * configuration refers to are checked against Qoyod (`lib/config-check.js`);
+ * a mismatch stops the run with a report of every problem.
+ *
+ * Before posting an entry, Qoyod is searched for its `PEMO-<id>` reference
+ * (unless `SYNC_CHECK_REFERENCES=false`): a serverless instance that
+ * starts cold has an empty local ledger, and a record an earlier run
+ * created is then recorded instead of being posted again.
+ *
+ * Every run other than a dry run is recorded in the run history
+ * (`lib/run-history.js`), after which the daily report is sent through the
+ * configured notifier (`lib/notifier.js`).
+ *
+ * With `dryRun` the pipeline stops after step 2 and returns the payloads it
+ * would have posted, the transactions it would skip and the totals per
+ * account, without writing to Qoyod, Pemo or the ledger.
+ *
+ * A run reads all its settings, credentials and stores from the `env` it
+ * is given; `runEntitySyncs()` runs each entity of a multi-entity
+ * deployment with its own (see `lib/entities.js`).
+ */
+
+const crypto = require('crypto');
+const { loadAccountMapping, resolveAccounts } = require('./account-mapping');
+const { assertConfigMatches, checkConfig, configCheckEnabled } = require('./config-check');
+const {
+  buildConsolidatedEntry,
+  groupEntries,
+  loadConsolidationConfig
+} = require('./consolidation');
+const { convertTransaction, loadCurrencyConfig } = require('./currency');
+const { loadDailyReport, reportMessage } = require('./daily-report');
+const { loadDimensionConfig, resolveDimensions } = require('./dimensions');
+const { getLedger, isPosted } = require('./export-ledger');
+const { isRetryable, withDeadline } = require('./http-client');
+const { assertBalanced, buildJournalEntry } = require('./journal-entry');
+const { DEFAULT_DECIMALS, toMajorUnits, toMinorUnits } = require('./money');
+const { getNotifier } = require('./notifier');
+const { fetchReadyTransactions, markAsExported } = require('./pemo');
+const {
+  exportReference,
+  parseExportReferences,
+  transactionAttributes
+} = require('./pemo-transaction');
+const { loadPostingConfig, resolvePostingDate } = require('./posting-date');
+const { buildPurchaseBill, exportTypeFor, loadBillConfig } = require('./purchase-bill');
+const {
+  createBill,
+  createBillPayment,
+  createJournalEntry,
+  findByReference,
+  findOrCreateVendor
+} = require('./qoyod');
+const { attachReceipts, loadReceiptConfig, transactionReceipts } = require('./receipts');
+const { getReviewQueue, loadReviewConfig, reviewReasons } = require('./review-queue');
+const { compileActions, loadRules, matchRule, renderDescription } = require('./rules');
+const { getRunHistory } = require('./run-history');
+const { classifyTransaction } = require('./transaction-type');
+const { loadVatConfig, resolveVat } = require('./vat');
+const { poolSettings, runWithinBudget } = require('./work-pool');
+
+const REQUIRED_SETTINGS = [
+  'PEMO_API_KEY',
+  'QOYOD_API_KEY',
+  'QOYOD_DEBIT_ACCOUNT_ID',
+  'QOYOD_CREDIT_ACCOUNT_ID'
+];
+
+/**
+ * List the required settings a run is missing.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {string[]} Names of the missing variables.
+ */
+function missingSettings(env = process.env) {
+  return REQUIRED_SETTINGS.filter((key) => !env[key]);
+}
+
+/**
+ * Load every piece of configuration the pipeline needs.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {{rules: Object[], review: Object, accountMapping: Object,
+ *   vatConfig: Object, currency: Object, receipts: Object, bills: Object,
+ *   dimensions: Object, posting: Object, consolidation: Object}}
+ */
+function loadSyncConfig(env = process.env) {
+  return {
+    rules: loadRules(env),
+    review: loadReviewConfig(env),
+    accountMapping: loadAccountMapping(env),
+    vatConfig: loadVatConfig(env),
+    currency: loadCurrencyConfig(env),
+    receipts: loadReceiptConfig(env),
+    bills: loadBillConfig(env),
+    dimensions: loadDimensionConfig(env),
+    posting: loadPostingConfig(env),
+    consolidation: loadConsolidationConfig(env)
+  };
+}
+
+/**
+ * Check the configuration of a run against Qoyod without running it.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {Promise<Object>} Report of `checkConfig` (`lib/config-check.js`).
+ * @throws {Error} When required settings are missing, the configuration is
+ *   malformed or Qoyod cannot be read.
+ */
+async function validateConfig(env = process.env) {
+  const missing = missingSettings(env);
+  if (missing.length > 0) {
+    throw new Error(`Missing required settings: ${missing.join(', ')}`);
+  }
+  return checkConfig(loadSyncConfig(env), env);
+}
+
+/**
+ * Explain why a transaction cannot be exported, or return null if it can.
+ *
+ * @param {Object} txn Raw Pemo transaction.
+ * @returns {?string} Skip reason.
+ */
+function skipReason(txn) {
+  if (!txn || typeof txn !== 'object') {
+    return 'Transaction is empty';
+  }
+  if (!txn.id) {
+    return 'Missing id';
+  }
+  if (typeof txn.totalAmount !== 'number' || !Number.isFinite(txn.totalAmount)) {
+    return 'totalAmount is not a number';
+  }
+  if (txn.totalAmount === 0) {
+    // Card verifications and similar have nothing to book.
+    return 'Zero amount';
+  }
+  if (!txn.date || Number.isNaN(new Date(txn.date).getTime())) {
+    return `Invalid date: ${txn.date === undefined ? 'missing' : txn.date}`;
+  }
+  return null;
+}
+
+/**
+ * Pick the accounts of a refund: the expense account of the original
+ * transaction when the ledger knows it, the mapping otherwise.
+ */
+function refundAccounts(mapped, original) {
+  if (original && original.debitAccountId) {
+    return {
+      ...mapped,
+      debitAccountId: original.debitAccountId,
+      matchedBy: `original:${original.transactionId}`
+    };
+  }
+  return mapped;
+}
+
+/**
+ * Combine what the matching rule and an approved review set, each with its
+ * source; the reviewer's overrides win.
+ */
+function entryActions(rule, review, env) {
+  const actions = {};
+  for (const [key, value] of Object.entries(rule ? rule.set : {})) {
+    actions[key] = { value, source: `rule:${rule.name}` };
+  }
+  if (review && review.overrides && Object.keys(review.overrides).length > 0) {
+    for (const [key, value] of Object.entries(compileActions(review.overrides, env))) {
+      actions[key] = { value, source: `review:${review.decidedBy || 'unknown'}` };
+    }
+  }
+  return actions;
+}
+
+/**
+ * Build the journal entry for every exportable transaction.
+ *
+ * @param {Object[]} transactions Raw Pemo transactions.
+ * @param {Object} config         Configuration from `loadSyncConfig`.
+ * @param {Object} ledger         Export ledger, used to link refunds to the
+ *   entry of the original transaction.
+ * @param {?Object} [reviewQueue] Review queue: rejected transactions are
+ *   skipped and approved ones get the reviewer's overrides.
+ * @param {Object} env            Environment variables, defaults to
+ *   `process.env`.
+ * @returns {Promise<{entries: Object[], skipped: Object[], failed: Object[]}>}
+ *   Entries ready to post (`reviewReasons` lists the review rules an entry
+ *   trips), transactions skipped by validation, classification or review,
+ *   and transactions whose entry could not be built or does not balance.
+ */
+async function prepareEntries(
+  transactions,
+  config,
+  ledger,
+  reviewQueue = null,
+  env = process.env
+) {
+  const entries = [];
+  const skipped = [];
+  const failed = [];
+  const now = new Date();
+
+  for (const txn of transactions) {
+    const reason = skipReason(txn);
+    if (reason) {
+      skipped.push({ transactionId: (txn && txn.id) || null, reason });
+      continue;
+    }
+
+    const classification = classifyTransaction(txn);
+    if (classification.kind === 'excluded') {
+      skipped.push({ transactionId: txn.id, reason: classification.reason });
+      continue;
+    }
+
+    const review = reviewQueue ? await reviewQueue.get(txn.id) : null;
+    if (review && review.status === 'rejected') {
+      skipped.push({
+        transactionId: txn.id,
+        reason: review.note ? `Rejected in review: ${review.note}` : 'Rejected in review'
+      });
+      continue;
+    }
+    const approved = Boolean(review && review.status === 'approved');
+
+    const rule = matchRule(txn, config.rules);
+    let actions;
+    try {
+      actions = entryActions(rule, approved ? review : null, env);
+    } catch (error) {
+      failed.push({
+        transactionId: txn.id,
+        error: `Invalid review overrides: ${error.message}`,
+        retryable: false
+      });
+      continue;
+    }
+    let accounts = resolveAccounts(txn, config.accountMapping);
+    const setAccount = () => ({
+      ...accounts,
+      debitAccountId: actions.debitAccountId.value,
+      matchedBy: actions.debitAccountId.source
+    });
+    if (actions.debitAccountId) {
+      accounts = setAccount();
+    }
+    let reversesJournalEntryId = null;
+    if (classification.kind === 'refund' && classification.originalTransactionId) {
+      const original = await ledger.get(classification.originalTransactionId);
+      accounts = refundAccounts(accounts, original);
+      reversesJournalEntryId = original ? original.journalEntryId : null;
+      // A reviewer's account still wins over the original's.
+      if (actions.debitAccountId && actions.debitAccountId.source.startsWith('review:')) {
+        accounts = setAccount();
+      }
+    }
+
+    const decimals = config.currency.baseDecimals;
+    const exportAs = exportTypeFor(txn, classification.kind, config.bills);
+    let booked;
+    let fx;
+    let vat;
+    let dimensions;
+    let posting;
+    let payload;
+    const description = actions.description
+      ? renderDescription(actions.description.value, txn)
+      : null;
+    try {
+      dimensions = resolveDimensions(
+        txn,
+        config.dimensions,
+        actions.costCenterId
+          ? { id: actions.costCenterId.value, matchedBy: actions.costCenterId.source }
+          : null
+      );
+      posting = resolvePostingDate(txn, config.posting, now);
+      const { date, originalDate } = posting;
+      ({ booked, fx } = await convertTransaction(txn, config.currency));
+      vat = resolveVat(
+        booked,
+        Math.abs(booked.totalAmount),
+        config.vatConfig,
+        actions.vat ? { ...actions.vat.value, source: actions.vat.source } : null
+      );
+      if (exportAs === 'bill') {
+        payload = buildPurchaseBill(
+          booked,
+          { vat, fx, description, date, originalDate, decimals },
+          config.bills
+        );
+      } else {
+        payload = buildJournalEntry(booked, {
+          accounts,
+          vat,
+          kind: classification.kind,
+          reversesJournalEntryId,
+          fx,
+          dimensions,
+          description,
+          date,
+          originalDate,
+          decimals
+        });
+        assertBalanced(payload, decimals);
+      }
+    } catch (error) {
+      failed.push({ transactionId: txn.id, error: error.message, retryable: isRetryable(error) });
+      continue;
+    }
+    const entry = {
+      transactionId: txn.id,
+      txn,
+      booked,
+      fx,
+      kind: classification.kind,
+      exportAs,
+      accounts,
+      vat,
+      dimensions,
+      posting,
+      rule: rule ? { index: rule.index, name: rule.name } : null,
+      approvedBy: approved ? review.decidedBy || null : null,
+      reversesJournalEntryId,
+      payload
+    };
+    entry.reviewReasons = approved ? [] : reviewReasons(entry, config.review, decimals);
+    if (!approved && posting.locked && config.posting.lockedPeriod === 'review') {
+      entry.reviewReasons.push('lockedPeriod');
+    }
+    entries.push(entry);
+  }
+
+  return { entries, skipped, failed };
+}
+
+/**
+ * Total the debit and credit amounts per Qoyod account.
+ *
+ * Only journal entries are counted; purchase bills are booked on the
+ * accounts of their Qoyod products.
+ *
+ * @param {Object[]} entries  Entries returned by `prepareEntries`.
+ * @param {number} decimals  Decimals of the base currency.
+ * @returns {Object<string, {debit: number, credit: number}>} Totals keyed by
+ *   account id.
+ */
+function accountTotals(entries, decimals = DEFAULT_DECIMALS) {
+  const totals = {};
+  const add = (lines, side) => {
+    for (const line of lines) {
+      const key = String(line.account_id);
+      totals[key] = totals[key] || { debit: 0, credit: 0 };
+      totals[key][side] += toMinorUnits(line.amount, decimals);
+    }
+  };
+  for (const { payload } of entries) {
+    if (!payload.journal_entry) {
+      continue;
+    }
+    add(payload.journal_entry.debit_amounts, 'debit');
+    add(payload.journal_entry.credit_amounts, 'credit');
+  }
+  for (const total of Object.values(totals)) {
+    total.debit = toMajorUnits(total.debit, decimals);
+    total.credit = toMajorUnits(total.credit, decimals);
+  }
+  return totals;
+}
+
+/**
+ * Whether entries are looked up in Qoyod by reference before posting.
+ */
+function referenceCheckEnabled(env) {
+  return env.SYNC_CHECK_REFERENCES !== 'false';
+}
+
+/**
+ * Find the Qoyod record an earlier run created for an entry.
+ *
+ * @param {Object} entry  Entry returned by `prepareEntries`.
+ * @param {Object} config Configuration from `loadSyncConfig`.
+ * @param {Object} env    Environment variables of the run.
+ * @returns {Promise<?Object>} Ledger fields of the record, or null when
+ *   Qoyod has none or the check is off.
+ * @throws {HttpError} When Qoyod cannot be searched.
+ */
+async function findPostedRecord(entry, config, env) {
+  if (!referenceCheckEnabled(env)) {
+    return null;
+  }
+  const found = await findByReference(
+    exportReference(entry.txn),
+    { bills: config.bills.enabled },
+    env
+  );
+  // `reference_cont` also matches longer ids sharing the prefix.
+  const mentions = (record) =>
+    parseExportReferences(record.reference).includes(String(entry.transactionId));
+  const journalEntry = found.journalEntries.find(mentions);
+  if (journalEntry) {
+    const record = { exportType: 'journal_entry', journalEntryId: journalEntry.id };
+    return parseExportReferences(journalEntry.reference).length > 1
+      ? { ...record, consolidated: true }
+      : record;
+  }
+  const bill = found.bills.find(mentions);
+  return bill ? { exportType: 'bill', billId: bill.id } : null;
+}
+
+/**
+ * Post one prepared entry to Qoyod.
+ *
+ * @param {Object} entry       Entry returned by `prepareEntries`.
+ * @param {Map} vendorIds      Vendor id lookups of this run, by name.
+ * @param {Object} env         Environment variables of the run.
+ * @returns {Promise<{record: Object, attachTo: ?Object,
+ *   pendingPayment: ?Object}>} Ledger fields describing what was created,
+ *   the record receipts are attached to, and the bill payment left to post
+ *   when it failed.
+ * @throws {Error} When Qoyod rejects the journal entry, vendor or bill.
+ */
+async function postEntry(entry, vendorIds, env) {
+  if (entry.exportAs !== 'bill') {
+    const journalEntryId = await createJournalEntry(entry.payload, env);
+    return {
+      record: { exportType: 'journal_entry', journalEntryId },
+      attachTo: journalEntryId === null ? null : { type: 'JournalEntry', id: journalEntryId }
+    };
+  }
+
+  const { vendorName, bill, payment } = entry.payload;
+  const key = vendorName.toLowerCase();
+  // Cache the lookup itself so parallel bills for one merchant share it
+  // instead of each creating the vendor.
+  if (!vendorIds.has(key)) {
+    const lookup = findOrCreateVendor(vendorName, env);
+    lookup.catch(() => vendorIds.delete(key));
+    vendorIds.set(key, lookup);
+  }
+  const vendorId = await vendorIds.get(key);
+  const billId = await createBill({ bill: { ...bill.bill, contact_id: vendorId } }, env);
+
+  // The bill exists from here on, so a failed payment is reported rather
+  // than thrown: retrying would create a second bill. The payment is kept
+  // for `retryBillPayments` instead.
+  const billPayment = { bill_payment: { ...payment.bill_payment, bill_id: billId } };
+  let billPaymentId = null;
+  let paymentError = null;
+  try {
+    billPaymentId = await createBillPayment(billPayment, env);
+  } catch (error) {
+    paymentError = error.message;
+  }
+
+  return {
+    record: { exportType: 'bill', vendorId, billId, billPaymentId, paymentError },
+    attachTo: billId === null ? null : { type: 'Bill', id: billId },
+    pendingPayment: paymentError ? billPayment : null
+  };
+}
+
+/**
+ * Record a posted entry in the ledger and summarize it for the run result.
+ *
+ * @param {Object} entry   Entry returned by `prepareEntries`.
+ * @param {Object} record  Ledger fields describing what was created.
+ * @param {Object} payload Payload that was posted, for its date.
+ * @param {Object} context `{ config, ledger }` of the run, and the
+ *   `pendingPayment` of a bill whose payment failed.
+ * @returns {Promise<Object>} Item for `postedEntries`.
+ */
+async function recordPostedEntry(
+  entry,
+  record,
+  payload,
+  { config, ledger, pendingPayment = null }
+) {
+  const { transactionId, txn, booked, fx, kind, accounts, reversesJournalEntryId } = entry;
+  await ledger.recordPosted(transactionId, {
+    ...record,
+    ...(pendingPayment ? { pendingPayment } : {}),
+    kind,
+    date: payload.journal_entry ? payload.journal_entry.date : payload.bill.bill.issue_date,
+    amount: booked.totalAmount,
+    currency: fx ? fx.currency : config.currency.baseCurrency,
+    originalAmount: txn.totalAmount,
+    debitAccountId: entry.exportAs === 'bill' ? null : accounts.debitAccountId,
+    reversesJournalEntryId
+  });
+  const { category, merchant } = transactionAttributes(txn);
+  return {
+    transactionId,
+    ...record,
+    kind,
+    rule: entry.rule,
+    approvedBy: entry.approvedBy,
+    // Signed amount in the base currency: refunds count negatively.
+    amount: kind === 'refund' ? -Math.abs(booked.totalAmount) : Math.abs(booked.totalAmount),
+    category,
+    merchant
+  };
+}
+
+/**
+ * Copy the Pemo receipts of a posted entry onto its Qoyod record.
+ *
+ * @param {Object} entry     Entry returned by `prepareEntries`.
+ * @param {?Object} attachTo Qoyod record, or null when Qoyod returned no id.
+ * @param {Object} config    Configuration from `loadSyncConfig`.
+ * @param {Object} env       Environment variables of the run.
+ * @returns {Promise<Object[]>} Receipt issues.
+ */
+async function copyReceipts(entry, attachTo, config, env) {
+  const { transactionId, txn } = entry;
+  if (!config.receipts.enabled || transactionReceipts(txn).length === 0) {
+    return [];
+  }
+  if (!attachTo) {
+    return [{ transactionId, error: 'Qoyod did not return a record id to attach receipts to' }];
+  }
+  const { issues } = await attachReceipts(txn, attachTo, config.receipts, env);
+  return issues.map((issue) => ({ transactionId, ...issue }));
+}
+
+/**
+ * Claim one entry, post it, record it in the ledger and copy its receipts.
+ *
+ * Failures are returned rather than thrown so one transaction cannot stop
+ * the others. When another run holds the claim, nothing is posted and
+ * `inProgress` is set.
+ *
+ * @param {Object} entry   Entry returned by `prepareEntries`.
+ * @param {Object} context
+ * @param {Object} context.config    Configuration from `loadSyncConfig`.
+ * @param {Object} context.ledger    Export ledger.
+ * @param {Map} context.vendorIds    Vendor id lookups of this run.
+ * @param {Object} context.env       Environment variables of the run.
+ * @returns {Promise<{posted: ?Object, failure: ?Object, inProgress: boolean,
+ *   receiptIssues: Object[], billPaymentIssue: ?Object}>} `posted` holds the
+ *   ids of the Qoyod records that were created.
+ */
+async function exportEntry(entry, { config, ledger, vendorIds, env }) {
+  const { transactionId } = entry;
+  const outcome = {
+    posted: null,
+    failure: null,
+    inProgress: false,
+    receiptIssues: [],
+    billPaymentIssue: null
+  };
+  if (!(await ledger.claim(transactionId))) {
+    outcome.inProgress = true;
+    return outcome;
+  }
+  let found;
+  let posted;
+  try {
+    found = await findPostedRecord(entry, config, env);
+    posted = found
+      ? { record: { ...found, foundInQoyod: true } }
+      : await postEntry(entry, vendorIds, env);
+  } catch (error) {
+    console.error(
+      `Failed to export transaction ${transactionId} to Qoyod: ${error.message}`
+    );
+    outcome.failure = { transactionId, error: error.message, retryable: isRetryable(error) };
+    await ledger.recordFailed(transactionId, error.message, {
+      retryable: outcome.failure.retryable
+    });
+    return outcome;
+  }
+
+  outcome.posted = await recordPostedEntry(entry, posted.record, entry.payload, {
+    config,
+    ledger,
+    pendingPayment: posted.pendingPayment
+  });
+  if (found) {
+    // Posted, with its receipts, by a run whose ledger this one cannot see.
+    console.error(`Transaction ${transactionId} is already in Qoyod; not posting it again`);
+    return outcome;
+  }
+  if (posted.record.paymentError) {
+    console.error(
+      `Bill ${posted.record.billId} for transaction ${transactionId} was created ` +
+        `but its payment failed: ${posted.record.paymentError}`
+    );
+    outcome.billPaymentIssue = {
+      transactionId,
+      billId: posted.record.billId,
+      error: posted.record.paymentError
+    };
+  }
+  outcome.receiptIssues = await copyReceipts(entry, posted.attachTo, config, env);
+  return outcome;
+}
+
+/**
+ * Claim the entries of a consolidated group, post them as one journal
+ * entry, record each in the ledger and copy their receipts onto it.
+ *
+ * Entries another run holds are left out. When the entry cannot be built
+ * or Qoyod rejects it, every claimed entry fails, so none of them is
+ * marked as exported.
+ *
+ * @param {Object} group   Group from `groupEntries`.
+ * @param {Object} context `{ config, ledger, env }` of the run.
+ * @returns {Promise<{posted: Object[], failures: Object[],
+ *   inProgress: string[], receiptIssues: Object[]}>}
+ */
+async function exportGroup(group, { config, ledger, env }) {
+  const outcome = { posted: [], failures: [], inProgress: [], receiptIssues: [] };
+  const claimed = [];
+  for (const entry of group.entries) {
+    if (await ledger.claim(entry.transactionId)) {
+      claimed.push(entry);
+    } else {
+      outcome.inProgress.push(entry.transactionId);
+    }
+  }
+  if (claimed.length === 0) {
+    return outcome;
+  }
+
+  // Entries an earlier run already posted are recorded, not consolidated.
+  const alreadyPosted = [];
+  const toPost = [];
+  let payload;
+  let journalEntryId;
+  try {
+    for (const entry of claimed) {
+      const found = await findPostedRecord(entry, config, env);
+      if (found) {
+        alreadyPosted.push({ entry, found });
+      } else {
+        toPost.push(entry);
+      }
+    }
+    if (toPost.length > 0) {
+      payload = buildConsolidatedEntry({ ...group, entries: toPost }, config.currency.baseDecimals);
+      journalEntryId = await createJournalEntry(payload, env);
+    }
+  } catch (error) {
+    console.error(`Failed to export ${group.title} to Qoyod: ${error.message}`);
+    const retryable = isRetryable(error);
+    for (const { transactionId } of claimed) {
+      outcome.failures.push({ transactionId, error: error.message, retryable });
+      await ledger.recordFailed(transactionId, error.message, { retryable });
+    }
+    return outcome;
+  }
+
+  for (const { entry, found } of alreadyPosted) {
+    const record = { ...found, foundInQoyod: true };
+    outcome.posted.push(await recordPostedEntry(entry, record, entry.payload, { config, ledger }));
+  }
+  if (toPost.length === 0) {
+    return outcome;
+  }
+  const record = { exportType: 'journal_entry', journalEntryId, consolidated: true };
+  const attachTo = journalEntryId === null ? null : { type: 'JournalEntry', id: journalEntryId };
+  for (const entry of toPost) {
+    outcome.posted.push(await recordPostedEntry(entry, record, payload, { config, ledger }));
+    outcome.receiptIssues.push(...(await copyReceipts(entry, attachTo, config, env)));
+  }
+  return outcome;
+}
+
+/**
+ * What the accountant needs to decide on a held entry.
+ */
+function reviewSummary(entry, config) {
+  const { category, merchant, spender, spenderEmail } = transactionAttributes(entry.txn);
+  return {
+    date: new Date(entry.txn.date).toISOString().split('T')[0],
+    postingDate: entry.posting.date,
+    merchant,
+    category,
+    cardholder: spenderEmail || spender,
+    kind: entry.kind,
+    amount: toMajorUnits(Math.abs(entry.booked.totalAmount), config.currency.baseDecimals),
+    currency: config.currency.baseCurrency,
+    debitAccountId: entry.exportAs === 'bill' ? null : entry.accounts.debitAccountId,
+    matchedBy: entry.accounts.matchedBy
+  };
+}
+
+/**
+ * Post the payments that failed after their purchase bill was created.
+ *
+ * The bill is in Qoyod and the transaction is marked as exported in Pemo,
+ * so only the payment kept in the ledger is posted again. Each payment is
+ * claimed first, so two runs cannot both pay one bill.
+ *
+ * @param {Object} ledger Export ledger.
+ * @param {Object} env    Environment variables of the run.
+ * @returns {Promise<{paid: Object[], issues: Object[]}>} Payments posted
+ *   now, and those that failed again (as in `billPaymentIssues`).
+ */
+async function retryBillPayments(ledger, env) {
+  const paid = [];
+  const issues = [];
+  const unpaid = (await ledger.list()).filter((entry) => entry.pendingPayment);
+  for (const { transactionId, billId, pendingPayment } of unpaid) {
+    if (!(await ledger.claimBillPayment(transactionId))) {
+      continue;
+    }
+    try {
+      const billPaymentId = await createBillPayment(pendingPayment, env);
+      await ledger.recordBillPayment(transactionId, { billPaymentId });
+      paid.push({ transactionId, billId, billPaymentId });
+    } catch (error) {
+      console.error(
+        `Payment of bill ${billId} for transaction ${transactionId} failed again: ` +
+          error.message
+      );
+      await ledger.recordBillPayment(transactionId, { error: error.message });
+      issues.push({ transactionId, billId, error: error.message });
+    }
+  }
+  return { paid, issues };
+}
+
+/**
+ * Perform the export itself; `runSync` adds the run history around it.
+ */
+async function exportTransactions({
+  dryRun,
+  transactions: given,
+  timeBudgetMs,
+  checkConfig = true,
+  env
+}) {
+  const deadline = Date.now() + (timeBudgetMs || poolSettings(env).timeBudgetMs);
+  // Requests up to the posting share the budget; marking what was posted
+  // uses the reserve the budget leaves before the function's max duration.
+  const budgeted = Number.isFinite(deadline) ? withDeadline(env, deadline) : env;
+  const config = loadSyncConfig(env);
+  if (checkConfig && configCheckEnabled(env)) {
+    await assertConfigMatches(config, budgeted);
+  }
+  const ledger = getLedger(env);
+
+  // Scheduled runs first settle the bills whose payment failed earlier.
+  const retried =
+    given || dryRun ? { paid: [], issues: [] } : await retryBillPayments(ledger, budgeted);
+
+  const { transactions, pagesRead, capped } = given
+    ? { transactions: given, pagesRead: 0, capped: false }
+    : await fetchReadyTransactions({}, budgeted);
+  const pagination = { pagesRead, capped };
+
+  if (transactions.length === 0) {
+    return {
+      dryRun,
+      fetchedCount: 0,
+      message: 'No transactions to export',
+      retriedBillPayments: retried.paid,
+      billPaymentIssues: retried.issues,
+      pagination
+    };
+  }
+
+  // Transactions already posted by an earlier run whose mark step did not
+  // complete: only the Pemo update is left to do, even when the entry could
+  // no longer be built (a rate or mapping that has gone since).
+  const resumedIds = [];
+  const unposted = [];
+  for (const txn of transactions) {
+    if (txn && txn.id && isPosted(await ledger.get(txn.id))) {
+      resumedIds.push(txn.id);
+    } else {
+      unposted.push(txn);
+    }
+  }
+
+  const reviewQueue = getReviewQueue(env);
+  const { entries, skipped, failed } = await prepareEntries(
+    unposted,
+    config,
+    ledger,
+    reviewQueue,
+    env
+  );
+  for (const { transactionId, error } of failed) {
+    console.error(`Refusing to export transaction ${transactionId}: ${error}`);
+  }
+
+  // Entries tripping a review rule wait in the review queue instead of
+  // being posted.
+  const pending = [];
+  const held = [];
+  for (const entry of entries) {
+    if (entry.reviewReasons.length > 0) {
+      held.push(entry);
+    } else {
+      pending.push(entry);
+    }
+  }
+  const heldForReview = held.map(({ transactionId, reviewReasons: reasons }) => ({
+    transactionId,
+    reasons
+  }));
+
+  const dimensionReview = pending
+    .filter(({ dimensions }) => dimensions.needsReview)
+    .map(({ transactionId, dimensions }) => ({ transactionId, values: dimensions.values }));
+
+  const missingReceipts = pending
+    .filter(({ kind, txn }) => kind === 'expense' && transactionReceipts(txn).length === 0)
+    .map(({ transactionId }) => transactionId);
+
+  // Entries consolidated per day or statement are posted as one journal
+  // entry per group; those whose day or statement is not complete yet wait.
+  // A run over given transactions (a webhook, a reconcile fix, a backfill)
+  // does not see the rest of a day or statement, so it defers its journal
+  // entries to the scheduled sweep rather than post a partial group.
+  const partialSet = Boolean(given) && config.consolidation.enabled;
+  const deferred = partialSet ? pending.filter(({ exportAs }) => exportAs !== 'bill') : [];
+  const { single, groups, waiting } = groupEntries(
+    partialSet ? pending.filter(({ exportAs }) => exportAs === 'bill') : pending,
+    config
+  );
+  const waitingIds = waiting.map(({ transactionId }) => transactionId);
+  const deferredIds = deferred.map(({ transactionId }) => transactionId);
+
+  if (dryRun) {
+    const journals = single.filter(({ exportAs }) => exportAs !== 'bill');
+    const bills = single.filter(({ exportAs }) => exportAs === 'bill');
+    const consolidated = groups.map((group) => ({
+      transactionIds: group.entries.map(({ transactionId }) => transactionId),
+      payload: buildConsolidatedEntry(group, config.currency.baseDecimals)
+    }));
+    return {
+      dryRun,
+      fetchedCount: transactions.length,
+      baseCurrency: config.currency.baseCurrency,
+      journalEntries: journals.map((entry) => ({
+        transactionId: entry.transactionId,
+        kind: entry.kind,
+        rule: entry.rule,
+        matchedBy: entry.accounts.matchedBy,
+        vat: { treatment: entry.vat.treatment, rate: entry.vat.rate, source: entry.vat.source },
+        fx: entry.fx,
+        dimensions: {
+          costCenterId: entry.dimensions.costCenterId,
+          projectId: entry.dimensions.projectId,
+          matchedBy: entry.dimensions.matchedBy
+        },
+        payload: entry.payload
+      })),
+      purchaseBills: bills.map(({ transactionId, rule, vat, fx, payload }) => ({
+        transactionId,
+        rule,
+        vendorName: payload.vendorName,
+        vat: { treatment: vat.treatment, rate: vat.rate, source: vat.source },
+        fx,
+        bill: payload.bill,
+        payment: payload.payment
+      })),
+      consolidatedEntries: consolidated,
+      accountTotals: accountTotals(
+        [...journals, ...consolidated],
+        config.currency.baseDecimals
+      ),
+      waitingForConsolidation: waitingIds,
+      deferredTransactionIds: deferredIds,
+      dimensionReview,
+      missingReceipts,
+      heldForReview,
+      resumedTransactionIds: resumedIds,
+      skippedTransactions: skipped,
+      failedTransactions: failed,
+      pagination
+    };
+  }
+
+  for (const entry of held) {
+    await reviewQueue.hold(entry.transactionId, {
+      reasons: entry.reviewReasons,
+      summary: reviewSummary(entry, config)
+    });
+  }
+
+  for (const { transactionId, error, retryable } of failed) {
+    await ledger.recordFailed(transactionId, error, { retryable });
+  }
+
+  const vendorIds = new Map();
+  const { concurrency } = poolSettings(env);
+  const work = [...single, ...groups];
+  const { results, remaining: remainingWork } = await runWithinBudget(
+    work,
+    (item) =>
+      item.entries
+        ? exportGroup(item, { config, ledger, env: budgeted })
+        : exportEntry(item, { config, ledger, vendorIds, env: budgeted }),
+    { concurrency, deadline }
+  );
+  const remaining = remainingWork.flatMap((item) => item.entries || [item]);
+
+  const exportedIds = [];
+  const inProgressIds = [];
+  const postedEntries = [];
+  const receiptIssues = [];
+  const billPaymentIssues = [...retried.issues];
+  results.forEach(({ value, error }, index) => {
+    if (error) {
+      // Only the ledger itself can fail outside exportEntry's own handling.
+      for (const { transactionId } of work[index].entries || [work[index]]) {
+        failed.push({ transactionId, error: error.message, retryable: isRetryable(error) });
+      }
+      return;
+    }
+    if (work[index].entries) {
+      failed.push(...value.failures);
+      inProgressIds.push(...value.inProgress);
+      exportedIds.push(...value.posted.map(({ transactionId }) => transactionId));
+      postedEntries.push(...value.posted);
+      receiptIssues.push(...value.receiptIssues);
+      return;
+    }
+    if (value.failure) {
+      failed.push(value.failure);
+      return;
+    }
+    if (value.inProgress) {
+      // Posted (or being posted) by a concurrent run, which also marks it.
+      inProgressIds.push(work[index].transactionId);
+      return;
+    }
+    exportedIds.push(work[index].transactionId);
+    postedEntries.push(value.posted);
+    receiptIssues.push(...value.receiptIssues);
+    if (value.billPaymentIssue) {
+      billPaymentIssues.push(value.billPaymentIssue);
+    }
+  });
+  if (remaining.length > 0) {
+    console.error(
+      `Time budget reached: ${remaining.length} transaction(s) left for the next run`
+    );
+  }
+
+  if (exportedIds.length > 0) {
+    try {
+      await reviewQueue.recordPosted(exportedIds);
+    } catch (error) {
+      console.error(`Could not update the review queue: ${error.message}`);
+    }
+  }
+
+  // Mark as exported, including transactions resumed from the ledger.
+  const idsToMark = [...resumedIds, ...exportedIds];
+  let markError = null;
+  if (idsToMark.length > 0) {
+    try {
+      await markAsExported(idsToMark, env);
+      await ledger.recordExported(idsToMark);
+    } catch (error) {
+      console.error(error.message);
+      markError = error.message;
+    }
+  }
+
+  return {
+    dryRun,
+    fetchedCount: transactions.length,
+    baseCurrency: config.currency.baseCurrency,
+    exportedCount: exportedIds.length,
+    exportedTransactionIds: exportedIds,
+    postedEntries,
+    resumedTransactionIds: resumedIds,
+    inProgressTransactionIds: inProgressIds,
+    waitingForConsolidation: waitingIds,
+    deferredTransactionIds: deferredIds,
+    heldForReview,
+    skippedTransactions: skipped,
+    failedTransactions: failed,
+    dimensionReview,
+    missingReceipts,
+    receiptIssues,
+    retriedBillPayments: retried.paid,
+    billPaymentIssues,
+    markError,
+    remaining: {
+      count: remaining.length,
+      transactionIds: remaining.map(({ transactionId }) => transactionId),
+      timeBudgetExhausted: remaining.length > 0,
+      morePages: capped
+    },
+    complete: remaining.length === 0 && !capped,
+    pagination
+  };
+}
+
+/**
+ * Summarize a run for the run history.
+ */
+function runRecord(run, result, error) {
+  const finishedAt = new Date();
+  const record = {
+    ...run,
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt.getTime() - new Date(run.startedAt).getTime()
+  };
+  if (error) {
+    return { ...record, status: 'failed', error: error.message };
+  }
+
+  const failed = result.failedTransactions || [];
+  const partial =
+    failed.length > 0 ||
+    Boolean(result.markError) ||
+    result.complete === false ||
+    (result.billPaymentIssues || []).length > 0;
+  return {
+    ...record,
+    status: partial ? 'partial' : 'succeeded',
+    counts: {
+      fetched: result.fetchedCount,
+      posted: result.exportedCount || 0,
+      resumed: (result.resumedTransactionIds || []).length,
+      held: (result.heldForReview || []).length,
+      skipped: (result.skippedTransactions || []).length,
+      failed: failed.length,
+      remaining: result.remaining ? result.remaining.count : 0
+    },
+    baseCurrency: result.baseCurrency || null,
+    postedEntries: result.postedEntries || [],
+    failedTransactions: failed,
+    skippedTransactions: result.skippedTransactions || [],
+    markError: result.markError || null
+  };
+}
+
+/**
+ * Send the daily report through the configured notifier, if any.
+ *
+ * @param {Object} env Environment variables of the run.
+ * @returns {Promise<?string>} Delivery error, or null.
+ */
+async function deliverDailyReport(env) {
+  try {
+    const notifier = getNotifier(env);
+    if (notifier) {
+      await notifier.send(reportMessage(await loadDailyReport(undefined, env)));
+    }
+    return null;
+  } catch (error) {
+    console.error(`Could not deliver the daily report: ${error.message}`);
+    return error.message;
+  }
+}
+
+/**
+ * Run one export from Pemo to Qoyod, record it in the run history and send
+ * the daily report.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] Preview only; nothing is written.
+ * @param {string} [options.trigger] What started the run (`cron`, `manual`).
+ * @param {string} [options.actor]   Who started the run.
+ * @param {Object[]} [options.transactions] Export these Pemo transactions
+ *   instead of fetching the ones that are ready to export.
+ * @param {number} [options.timeBudgetMs] Overrides `SYNC_TIME_BUDGET_MS`,
+ *   e.g. `Infinity` outside the serverless runtime.
+ * @param {boolean} [options.notify] Send the daily report after the run
+ *   (default true).
+ * @param {boolean} [options.checkConfig] Check the configuration against
+ *   Qoyod first (default true, see `SYNC_CHECK_CONFIG`); runs posting a
+ *   single transaction skip it, the scheduled runs catch what it finds.
+ * @param {Object} [options.env] Environment variables the run reads its
+ *   settings, credentials and stores from (default `process.env`).
+ * @returns {Promise<Object>} Run result, returned as-is by the endpoint.
+ */
+async function runSync({
+  dryRun = false,
+  trigger = null,
+  actor = null,
+  transactions,
+  timeBudgetMs,
+  notify = true,
+  checkConfig = true,
+  env = process.env
+} = {}) {
+  if (dryRun) {
+    return exportTransactions({ dryRun, transactions, timeBudgetMs, checkConfig, env });
+  }
+
+  const run = {
+    runId: crypto.randomUUID(),
+    entity: env.SYNC_ENTITY || null,
+    trigger,
+    actor,
+    startedAt: new Date().toISOString()
+  };
+  let result;
+  let failure = null;
+  try {
+    result = await exportTransactions({ dryRun, transactions, timeBudgetMs, checkConfig, env });
+  } catch (error) {
+    failure = error;
+  }
+
+  try {
+    await getRunHistory(env).record(runRecord(run, result, failure));
+  } catch (error) {
+    console.error(`Could not record run ${run.runId}: ${error.message}`);
+  }
+  const reportError = notify ? await deliverDailyReport(env) : null;
+  if (failure) {
+    throw failure;
+  }
+  return { runId: run.runId, ...result, reportError };
+}
+
+/**
+ * Run the sync of several entities one after the other.
+ *
+ * Entities are isolated: one that is misconfigured or fails is reported in
+ * its own result and the next one still runs. The deployment's time budget
+ * is shared, each entity getting an equal part of what is left (at most its
+ * own `SYNC_TIME_BUDGET_MS`), so time one entity does not need goes to the
+ * entities after it.
+ *
+ * @param {Array<{id: string, name: string, env: Object}>} entities Entities
+ *   from `selectEntities`.
+ * @param {Object} [options] Options of `runSync`; `env` is the deployment's
+ *   environment (default `process.env`), each entity runs with its own.
+ * @returns {Promise<Array<{entity: string, name: string, ok: boolean,
+ *   result?: Object, error?: string, retryable?: boolean,
+ *   problems?: Object[]}>>} One result per entity, in order; `problems` lists
+ *   what the configuration check found.
+ */
+async function runEntitySyncs(
+  entities,
+  { timeBudgetMs, env: deploymentEnv = process.env, ...options } = {}
+) {
+  const deadline = Date.now() + (timeBudgetMs || poolSettings(deploymentEnv).timeBudgetMs);
+  const results = [];
+  for (const [index, entity] of entities.entries()) {
+    const { id, name, env } = entity;
+    const missing = missingSettings(env);
+    if (missing.length > 0) {
+      results.push({
+        entity: id,
+        name,
+        ok: false,
+        error: `Missing required settings: ${missing.join(', ')}`,
+        retryable: false
+      });
+      continue;
+    }
+    const share = Math.max(
+      1,
+      Math.min((deadline - Date.now()) / (entities.length - index), poolSettings(env).timeBudgetMs)
+    );
+    try {
+      const result = await runSync({ ...options, timeBudgetMs: share, env });
+      results.push({ entity: id, name, ok: true, result });
+    } catch (error) {
+      console.error(`Error syncing entity ${id}: ${error.message}`);
+      results.push({
+        entity: id,
+        name,
+        ok: false,
+        error: error.message,
+        retryable: isRetryable(error),
+        ...(error.report ? { problems: error.report.problems } : {})
+      });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  accountTotals,
+  loadSyncConfig,
+  missingSettings,
+  prepareEntries,
+  runEntitySyncs,
+  runSync,
+  skipReason,
+  validateConfig
+};
@@ -0,0 +1,54 @@
+/**
+ * Classification of Pemo transactions by type and status.
+ *
+ *   - expense: a regular card purchase, booked as an expense.
+ *   - refund:  a refund, reversal or chargeback, booked as a reversing entry
+ *              (debit bank, credit expense). Negative amounts are treated as
+ *              refunds as well.
+ *   - excluded: pending, declined or otherwise unsettled items, which are not
+ *              exported; the reason is reported with the run result.
+ */
+
+const REFUND_TYPES = ['refund', 'reversal', 'chargeback', 'credit', 'return'];
+const EXCLUDED_STATUSES = ['pending', 'declined', 'failed', 'cancelled', 'canceled', 'void', 'voided'];
+
+/**
+ * Read a lower-cased string field.
+ */
+function keyword(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : '';
+}
+
+/**
+ * Classify a validated Pemo transaction.
+ *
+ * @param {Object} txn Pemo transaction with a numeric `totalAmount`.
+ * @returns {{kind: string, reason: ?string, originalTransactionId: ?string}}
+ */
+function classifyTransaction(txn) {
+  const status = keyword(txn.status || txn.state);
+  if (EXCLUDED_STATUSES.includes(status)) {
+    return {
+      kind: 'excluded',
+      reason: `Transaction is ${status}`,
+      originalTransactionId: null
+    };
+  }
+
+  const type = keyword(txn.type || txn.transactionType);
+  if (REFUND_TYPES.includes(type) || txn.totalAmount < 0) {
+    const original =
+      txn.originalTransactionId || txn.parentTransactionId || txn.relatedTransactionId || null;
+    return {
+      kind: 'refund',
+      reason: null,
+      originalTransactionId: original ? String(original) : null
+    };
+  }
+
+  return { kind: 'expense', reason: null, originalTransactionId: null };
+}
+
+module.exports = {
+  classifyTransaction
+};
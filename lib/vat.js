@@ -0,0 +1,218 @@
+/**
+ * VAT handling for Pemo card spend.
+ *
+ * Pemo amounts are VAT-inclusive. When `QOYOD_INPUT_VAT_ACCOUNT_ID` is set,
+ * each journal entry is split into the net amount, debited to the expense
+ * account, and the VAT, debited to the input VAT account. The credit side
+ * still carries the full card amount.
+ *
+ * The VAT of a transaction is determined in this order:
+ *   1. A treatment set by a matching rule (see `lib/rules.js`), or one
+ *      configured for the merchant.
+ *   2. The tax amount reported by Pemo (`taxAmount`/`vatAmount`, in minor
+ *      units).
+ *   3. The tax rate reported by Pemo (`taxRate`/`vatRate`).
+ *   4. A treatment configured for the category.
+ *   5. The configured `defaultRate` (0 when not set).
+ *
+ * Treatments are configured in `QOYOD_VAT_CONFIG` (inline JSON) or
+ * `QOYOD_VAT_CONFIG_FILE`:
+ *
+ *   {
+ *     "defaultRate": 15,
+ *     "category": { "Meals": "standard", "Insurance": "exempt" },
+ *     "merchant": { "AWS": "zero" }
+ *   }
+ *
+ * A treatment is a rate in percent, `"standard"` (15%), `"zero"` (zero-rated)
+ * or `"exempt"`. Zero-rated and exempt spend is booked without a VAT line.
+ * Rates below 1 are read as fractions, so `0.15` and `15` are equivalent.
+ */
+
+const { normalizeAccountId } = require('./account-mapping');
+const { loadJsonConfig } = require('./config');
+const { transactionAttributes } = require('./pemo-transaction');
+
+const STANDARD_RATE = 15;
+
+/**
+ * Normalize a configured or reported treatment.
+ *
+ * @param {string|number} value Treatment or rate.
+ * @returns {{treatment: string, rate: number}}
+ * @throws {Error} When the value is not a known treatment or valid rate.
+ */
+function parseTreatment(value) {
+  if (typeof value === 'string') {
+    const keyword = value.trim().toLowerCase();
+    if (keyword === 'standard') {
+      return { treatment: 'standard', rate: STANDARD_RATE };
+    }
+    if (keyword === 'zero' || keyword === 'zero-rated') {
+      return { treatment: 'zero-rated', rate: 0 };
+    }
+    if (keyword === 'exempt') {
+      return { treatment: 'exempt', rate: 0 };
+    }
+  }
+  let rate = Number(value);
+  if (value === null || value === '' || !Number.isFinite(rate) || rate < 0 || rate >= 100) {
+    throw new Error(`Invalid VAT treatment: ${JSON.stringify(value)}`);
+  }
+  if (rate > 0 && rate < 1) {
+    rate = Number((rate * 100).toFixed(4));
+  }
+  return { treatment: rate === 0 ? 'zero-rated' : 'standard', rate };
+}
+
+/**
+ * Lower-case the keys of a treatment section and parse its values.
+ */
+function indexTreatments(section, name) {
+  if (section === undefined) {
+    return {};
+  }
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    throw new Error(`VAT config section "${name}" must be an object`);
+  }
+  const index = {};
+  for (const [key, value] of Object.entries(section)) {
+    index[key.trim().toLowerCase()] = parseTreatment(value);
+  }
+  return index;
+}
+
+/**
+ * Load the VAT configuration from the environment.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {{enabled: boolean, inputAccountId: ?(string|number),
+ *   defaultTreatment: Object, category: Object, merchant: Object}}
+ * @throws {Error} When the configuration is malformed, or VAT treatments are
+ *   configured without an input VAT account.
+ */
+function loadVatConfig(env = process.env) {
+  const raw = loadJsonConfig('QOYOD_VAT_CONFIG', env);
+  const inputAccountId = normalizeAccountId(env.QOYOD_INPUT_VAT_ACCOUNT_ID);
+  if (!inputAccountId && Object.keys(raw).length > 0) {
+    throw new Error('QOYOD_INPUT_VAT_ACCOUNT_ID is required when QOYOD_VAT_CONFIG is set');
+  }
+
+  return {
+    enabled: Boolean(inputAccountId),
+    inputAccountId,
+    defaultTreatment: parseTreatment(raw.defaultRate === undefined ? 0 : raw.defaultRate),
+    category: indexTreatments(raw.category, 'category'),
+    merchant: indexTreatments(raw.merchant, 'merchant')
+  };
+}
+
+/**
+ * Split a VAT-inclusive amount at the given rate.
+ */
+function splitInclusive(totalMinor, rate) {
+  const vat = Math.round((totalMinor * rate) / (100 + rate));
+  return { net: totalMinor - vat, vat };
+}
+
+/**
+ * Pick the VAT treatment and split following the precedence above.
+ */
+function vatParts(txn, totalMinor, config) {
+  const attributes = transactionAttributes(txn);
+  const lookup = (section, value) =>
+    value ? config[section][value.toLowerCase()] || null : null;
+
+  const merchantTreatment = lookup('merchant', attributes.merchant);
+  if (merchantTreatment) {
+    return {
+      ...merchantTreatment,
+      source: `merchant:${attributes.merchant}`,
+      ...splitInclusive(totalMinor, merchantTreatment.rate)
+    };
+  }
+
+  const reportedTax = txn.taxAmount !== undefined ? txn.taxAmount : txn.vatAmount;
+  // Refunds carry a negative tax amount alongside their negative total; the
+  // split works on magnitudes like `totalMinor`.
+  const taxAmount =
+    typeof reportedTax === 'number' && txn.totalAmount < 0 ? Math.abs(reportedTax) : reportedTax;
+  if (typeof taxAmount === 'number') {
+    if (!Number.isInteger(taxAmount) || taxAmount < 0 || taxAmount >= totalMinor) {
+      throw new Error(`Pemo tax amount ${taxAmount} is invalid for total ${totalMinor}`);
+    }
+    const net = totalMinor - taxAmount;
+    // The amount rarely works out to an exact rate; the configured one is
+    // what a Qoyod tax line must use.
+    const configured = lookup('category', attributes.category) || config.defaultTreatment;
+    return {
+      treatment: taxAmount === 0 ? 'zero-rated' : 'standard',
+      rate: net > 0 ? Number(((taxAmount / net) * 100).toFixed(2)) : null,
+      nominalRate: taxAmount === 0 ? 0 : configured.rate || STANDARD_RATE,
+      source: 'pemo:taxAmount',
+      net,
+      vat: taxAmount
+    };
+  }
+
+  const taxRate = txn.taxRate !== undefined ? txn.taxRate : txn.vatRate;
+  if (taxRate !== undefined && taxRate !== null) {
+    const reported = parseTreatment(taxRate);
+    return { ...reported, source: 'pemo:taxRate', ...splitInclusive(totalMinor, reported.rate) };
+  }
+
+  const categoryTreatment = lookup('category', attributes.category);
+  if (categoryTreatment) {
+    return {
+      ...categoryTreatment,
+      source: `category:${attributes.category}`,
+      ...splitInclusive(totalMinor, categoryTreatment.rate)
+    };
+  }
+
+  return {
+    ...config.defaultTreatment,
+    source: 'default',
+    ...splitInclusive(totalMinor, config.defaultTreatment.rate)
+  };
+}
+
+/**
+ * Work out the net and VAT parts of a Pemo transaction.
+ *
+ * @param {Object} txn        Validated Pemo transaction.
+ * @param {number} totalMinor VAT-inclusive amount in minor units.
+ * @param {Object} config     Configuration returned by `loadVatConfig`.
+ * @param {?Object} [preset]  Treatment that wins over everything else, with
+ *   the `source` to report, e.g. from a rule.
+ * @returns {{treatment: string, rate: ?number, nominalRate: ?number,
+ *   source: string, net: number, vat: number, accountId: ?(string|number)}}
+ *   Amounts in minor units; `source` tells where the VAT came from and
+ *   `accountId` is the input VAT account to debit. `rate` is the effective
+ *   rate, which for a tax amount reported by Pemo can be a fraction off the
+ *   configured `nominalRate`.
+ * @throws {Error} When Pemo reports a tax amount that cannot be right.
+ */
+function resolveVat(txn, totalMinor, config, preset = null) {
+  if (!config.enabled) {
+    return {
+      treatment: 'none',
+      rate: null,
+      nominalRate: null,
+      source: 'disabled',
+      net: totalMinor,
+      vat: 0,
+      accountId: null
+    };
+  }
+  const parts = preset
+    ? { ...preset, ...splitInclusive(totalMinor, preset.rate) }
+    : vatParts(txn, totalMinor, config);
+  return { nominalRate: parts.rate, ...parts, accountId: config.inputAccountId };
+}
+
+module.exports = {
+  loadVatConfig,
+  parseTreatment,
+  resolveVat
+};
@@ -0,0 +1,91 @@
+/**
+ * Bounded-concurrency processing within a time budget.
+ *
+ * Serverless functions are stopped at their max duration, and an export cut
+ * off mid-way never reaches the step that marks transactions as exported in
+ * Pemo. The sync therefore processes entries a few at a time and stops
+ * taking new work once the budget is nearly used up, leaving the rest for
+ * the next run. The requests of the items already started are cut off at
+ * the same deadline (see `withDeadline()` in `lib/http-client.js`):
+ *   - SYNC_CONCURRENCY:    Entries posted in parallel (default 4).
+ *   - SYNC_TIME_BUDGET_MS: Time a run may spend before marking what it
+ *                          posted (default 50000). Keep it a few seconds
+ *                          below the function's max duration, 60 seconds
+ *                          for the routes that post (see `vercel.json`).
+ */
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_TIME_BUDGET_MS = 50000;
+
+/**
+ * Parse a positive integer setting, falling back to a default.
+ */
+function positiveInt(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Read the concurrency and time budget from the environment.
+ *
+ * @param {Object} env Environment variables, defaults to `process.env`.
+ * @returns {{concurrency: number, timeBudgetMs: number}}
+ */
+function poolSettings(env = process.env) {
+  return {
+    concurrency: positiveInt(env.SYNC_CONCURRENCY, DEFAULT_CONCURRENCY),
+    timeBudgetMs: positiveInt(env.SYNC_TIME_BUDGET_MS, DEFAULT_TIME_BUDGET_MS)
+  };
+}
+
+/**
+ * Run `worker` over `items` with at most `concurrency` calls in flight.
+ *
+ * A new item is only started when the average duration of the items so far
+ * still fits before `deadline`; items that were never started are returned
+ * as `remaining`. Results keep the order of `items`.
+ *
+ * @param {Array} items             Work items.
+ * @param {Function} worker         `async (item, index) => result`.
+ * @param {Object} options
+ * @param {number} options.concurrency Maximum parallel calls.
+ * @param {number} options.deadline    Epoch milliseconds to stop by.
+ * @returns {Promise<{results: Array<{value: *}|{error: Error}>,
+ *   remaining: Array}>} One result per started item, in input order.
+ */
+async function runWithinBudget(items, worker, { concurrency, deadline }) {
+  const results = [];
+  let next = 0;
+  let finished = 0;
+  let elapsed = 0;
+
+  const hasTimeFor = () => {
+    const expected = finished > 0 ? elapsed / finished : 0;
+    return Date.now() + expected < deadline;
+  };
+
+  const lane = async () => {
+    while (next < items.length && hasTimeFor()) {
+      const index = next;
+      next += 1;
+      const startedAt = Date.now();
+      try {
+        results[index] = { value: await worker(items[index], index) };
+      } catch (error) {
+        results[index] = { error };
+      }
+      elapsed += Date.now() - startedAt;
+      finished += 1;
+    }
+  };
+
+  const lanes = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+
+  return { results: results.slice(0, next), remaining: items.slice(next) };
+}
+
+module.exports = {
+  poolSettings,
+  runWithinBudget
+};
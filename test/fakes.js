@@ -0,0 +1,307 @@
+/**
+ * In-process fake Pemo and Qoyod APIs for the test suite.
+ *
+ * Each fake is a real HTTP server on a random local port, so requests go
+ * through the same client code (timeouts, retries, headers) as in
+ * production; point `PEMO_BASE_URL` / `QOYOD_BASE_URL` at `baseUrl`. Every
+ * request is recorded in `requests` with its parsed JSON body.
+ *
+ * Behaviour can be scripted per route with `script(method, path, reply,
+ * times)`: the next `times` matching requests get `reply` instead of the
+ * normal answer. A reply is `{ status, body, headers, delayMs }`, which
+ * covers 401s, 429 with `Retry-After`, 5xx and slow responses, or a
+ * function of the request returning one.
+ */
+
+const http = require('http');
+
+/**
+ * Generic recording, scriptable JSON server.
+ *
+ * @param {string} basePath Path prefix of the API, e.g. `/v1`.
+ * @param {Function} handle `(request) => reply` for unscripted requests,
+ *   where `request` is `{ method, path, query, headers, body }` with `path`
+ *   relative to `basePath`.
+ * @returns {Object} Fake server.
+ */
+function createFakeServer(basePath, handle) {
+  const requests = [];
+  const scripts = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://localhost');
+      const raw = Buffer.concat(chunks).toString('utf8');
+      let body = raw;
+      try {
+        body = raw ? JSON.parse(raw) : undefined;
+      } catch (error) {
+        // Multipart uploads and other non-JSON bodies stay raw.
+      }
+      const { pathname } = url;
+      const request = {
+        method: req.method,
+        path: pathname.startsWith(basePath) ? pathname.slice(basePath.length) : pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body,
+        receivedAt: Date.now()
+      };
+      requests.push(request);
+
+      const index = scripts.findIndex(
+        (script) => script.method === request.method && script.path === request.path
+      );
+      let reply;
+      if (index >= 0) {
+        const script = scripts[index];
+        reply = typeof script.reply === 'function' ? script.reply(request) : script.reply;
+        script.times -= 1;
+        if (script.times <= 0) {
+          scripts.splice(index, 1);
+        }
+      } else {
+        reply = handle(request) || { status: 404, body: { error: 'Not found' } };
+      }
+
+      if (reply.delayMs) {
+        await new Promise((resolve) => setTimeout(resolve, reply.delayMs));
+      }
+      if (res.destroyed) {
+        return;
+      }
+      res.writeHead(reply.status || 200, {
+        'Content-Type': 'application/json',
+        ...(reply.headers || {})
+      });
+      res.end(reply.body === undefined ? '' : JSON.stringify(reply.body));
+    });
+  });
+
+  return {
+    requests,
+    baseUrl: null,
+
+    script(method, path, reply, times = 1) {
+      scripts.push({ method, path, reply, times });
+    },
+
+    requestsTo(method, path) {
+      return requests.filter((request) => request.method === method && request.path === path);
+    },
+
+    async start() {
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      this.baseUrl = `http://127.0.0.1:${server.address().port}${basePath}`;
+      return this.baseUrl;
+    },
+
+    async stop() {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    },
+
+    // Forget recorded requests and pending scripts.
+    reset() {
+      requests.length = 0;
+      scripts.length = 0;
+    }
+  };
+}
+
+/**
+ * Fake Pemo external API.
+ *
+ * Serves `transactions` (each `readyToExport` unless it says otherwise),
+ * paginated with `page`/`limit` and `hasMore`, filters on `exportStatus`,
+ * and marks transactions as exported on `PATCH /transactions`. Requests
+ * without the expected `apiKey` header get 401. `reset()` also empties
+ * `transactions`.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] Expected API key (default `pemo-key`).
+ * @returns {Object} Fake server with a `transactions` array.
+ */
+function createFakePemo({ apiKey = 'pemo-key' } = {}) {
+  const transactions = [];
+  const fake = createFakeServer('/v1', (request) => {
+    if (request.headers.apikey !== apiKey) {
+      return { status: 401, body: { message: 'Invalid API key' } };
+    }
+    if (request.method === 'GET' && request.path === '/transactions') {
+      const { exportStatus, limit = '100', page = '1' } = request.query;
+      const matching = transactions.filter(
+        (txn) => !exportStatus || (txn.exportStatus || 'readyToExport') === exportStatus
+      );
+      const size = Number(limit);
+      const start = (Number(page) - 1) * size;
+      return {
+        body: {
+          transactions: matching.slice(start, start + size),
+          hasMore: start + size < matching.length
+        }
+      };
+    }
+    const single = /^\/transactions\/([^/]+)$/.exec(request.path);
+    if (request.method === 'GET' && single) {
+      const txn = transactions.find((item) => String(item.id) === decodeURIComponent(single[1]));
+      return txn ? { body: { transaction: txn } } : { status: 404, body: { message: 'Not found' } };
+    }
+    if (request.method === 'PATCH' && request.path === '/transactions') {
+      for (const txn of transactions) {
+        if (request.body.transactionIds.includes(txn.id)) {
+          txn.exportStatus = 'exported';
+        }
+      }
+      return { body: { updated: request.body.transactionIds.length } };
+    }
+    return null;
+  });
+  const resetRequests = fake.reset;
+  fake.reset = () => {
+    resetRequests();
+    transactions.length = 0;
+  };
+  fake.transactions = transactions;
+  return fake;
+}
+
+const DEFAULT_ACCOUNTS = [
+  { id: 1101, name_en: 'Pemo card', type: 'Bank', status: 'Active' },
+  { id: 2101, name_en: 'Corporate card', type: 'Bank', status: 'Active' },
+  { id: 2301, name_en: 'Input VAT', type: 'CurrentAsset', status: 'Active' },
+  { id: 5101, name_en: 'General expenses', type: 'Expense', status: 'Active' },
+  { id: 5102, name_en: 'Travel', type: 'Expense', status: 'Active' },
+  { id: 6101, name_en: 'Operating expenses', type: 'Expense', status: 'Active' }
+];
+const DEFAULT_TAXES = [
+  { id: 1, name: 'VAT 15%', percentage: 15, status: 'Active' },
+  { id: 2, name: 'VAT 5%', percentage: 5, status: 'Active' }
+];
+
+/**
+ * Fake Qoyod API.
+ *
+ * Stores the journal entries, vendors, bills and bill payments it receives
+ * and answers with sequential ids starting at 1001. Serves a chart of
+ * `accounts`, `costCenters` and `taxes` for the configuration check; they
+ * start from the defaults above and can be changed by a test. Requests
+ * without the expected `API-KEY` header get 401. `reset()` empties the
+ * stores and restores the defaults.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] Expected API key (default `qoyod-key`).
+ * @returns {Object} Fake server with `journalEntries`, `bills`,
+ *   `billPayments`, `vendors`, `accounts`, `costCenters` and `taxes` arrays.
+ */
+function createFakeQoyod({ apiKey = 'qoyod-key' } = {}) {
+  const store = { journalEntries: [], bills: [], billPayments: [], vendors: [], attachments: [] };
+  const chart = { accounts: [], costCenters: [], taxes: [] };
+  const resetChart = () => {
+    chart.accounts.splice(0, Infinity, ...DEFAULT_ACCOUNTS.map((account) => ({ ...account })));
+    chart.costCenters.length = 0;
+    chart.taxes.splice(0, Infinity, ...DEFAULT_TAXES.map((tax) => ({ ...tax })));
+  };
+  resetChart();
+  let nextId = 1000;
+  const create = (list, record) => {
+    nextId += 1;
+    const created = { id: nextId, ...record };
+    list.push(created);
+    return created;
+  };
+
+  const fake = createFakeServer('/api/2.0', (request) => {
+    if (request.headers['api-key'] !== apiKey) {
+      return { status: 401, body: { message: 'Invalid API key' } };
+    }
+    const route = `${request.method} ${request.path}`;
+    const firstPage = (request.query.page || '1') === '1';
+    const referenced = request.query['q[reference_cont]'];
+    const listed = (records) => {
+      if (!firstPage) {
+        return [];
+      }
+      return referenced === undefined
+        ? records
+        : records.filter((record) => String(record.reference || '').includes(referenced));
+    };
+    switch (route) {
+      case 'POST /journal_entries':
+        return {
+          body: { journal_entry: create(store.journalEntries, request.body.journal_entry) }
+        };
+      case 'GET /journal_entries':
+        return { body: { journal_entries: listed(store.journalEntries) } };
+      case 'GET /vendors': {
+        const name = request.query['q[name_eq]'];
+        return { body: { contacts: store.vendors.filter((vendor) => vendor.name === name) } };
+      }
+      case 'POST /vendors':
+        return { body: { contact: create(store.vendors, request.body.contact) } };
+      case 'POST /bills':
+        return { body: { bill: create(store.bills, request.body.bill) } };
+      case 'GET /bills':
+        return { body: { bills: listed(store.bills) } };
+      case 'POST /bill_payments':
+        return {
+          body: { bill_payment: create(store.billPayments, request.body.bill_payment) }
+        };
+      case 'POST /attachments':
+        return { body: { attachment: create(store.attachments, {}) } };
+      case 'GET /accounts':
+        return { body: { accounts: firstPage ? chart.accounts : [] } };
+      case 'GET /cost_centers':
+        return { body: { cost_centers: firstPage ? chart.costCenters : [] } };
+      case 'GET /taxes':
+        return { body: { taxes: firstPage ? chart.taxes : [] } };
+      default:
+        return null;
+    }
+  });
+  const resetRequests = fake.reset;
+  fake.reset = () => {
+    resetRequests();
+    for (const list of Object.values(store)) {
+      list.length = 0;
+    }
+    nextId = 1000;
+    resetChart();
+  };
+  return Object.assign(fake, store, chart);
+}
+
+/**
+ * Call a serverless handler with a minimal Vercel-style request/response.
+ *
+ * @param {Function} handler Route handler.
+ * @param {Object} req       Request fields (`method`, `query`, `headers`,
+ *   `body`).
+ * @returns {Promise<{status: number, body: *, headers: Object}>}
+ */
+async function invoke(handler, req) {
+  const res = { statusCode: null, body: undefined, headers: {} };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.send = res.json;
+  res.setHeader = (name, value) => {
+    res.headers[name.toLowerCase()] = value;
+  };
+  await handler({ method: 'GET', query: {}, headers: {}, ...req }, res);
+  return { status: res.statusCode, body: res.body, headers: res.headers };
+}
+
+module.exports = {
+  createFakePemo,
+  createFakeQoyod,
+  createFakeServer,
+  invoke
+};
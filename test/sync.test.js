@@ -0,0 +1,1458 @@
+/**
+ * End-to-end tests of the sync against the fake Pemo and Qoyod servers in
+ * `test/fakes.js`. Run with `npm test`; no network access is needed.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { after, afterEach, before, beforeEach, describe, it } = require('node:test');
+const { createFakePemo, createFakeQoyod, invoke } = require('./fakes');
+const { listAuditEvents } = require('../lib/audit-log');
+const { signTrigger, signWebhook } = require('../lib/auth');
+const { runBackfill } = require('../lib/backfill');
+const { getLedger, setLedger } = require('../lib/export-ledger');
+const { setNotifier } = require('../lib/notifier');
+const { getReviewQueue, setReviewQueue } = require('../lib/review-queue');
+const { getRunHistory, setRunHistory } = require('../lib/run-history');
+const pemoWebhook = require('../api/pemo-webhook');
+const reconcileRoute = require('../api/reconcile');
+const reviewQueue = require('../api/review-queue');
+const syncReport = require('../api/sync-report');
+const syncInvoices = require('../api/sync-invoices');
+const syncStatus = require('../api/sync-status');
+const validateConfig = require('../api/validate-config');
+
+const pemo = createFakePemo();
+const qoyod = createFakeQoyod();
+const otherPemo = createFakePemo({ apiKey: 'other-pemo-key' });
+const otherQoyod = createFakeQoyod({ apiKey: 'other-qoyod-key' });
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pemo-qoyod-test-'));
+const cron = { authorization: 'Bearer cron-secret' };
+
+const ENV = {
+  PEMO_API_KEY: 'pemo-key',
+  QOYOD_API_KEY: 'qoyod-key',
+  QOYOD_DEBIT_ACCOUNT_ID: '5101',
+  QOYOD_CREDIT_ACCOUNT_ID: '1101',
+  QOYOD_INPUT_VAT_ACCOUNT_ID: '2301',
+  QOYOD_VAT_CONFIG: JSON.stringify({ defaultRate: 15 }),
+  QOYOD_ACCOUNT_MAPPING: JSON.stringify({ category: { Travel: '5102' } }),
+  CRON_SECRET: 'cron-secret',
+  PEMO_WEBHOOK_SECRET: 'webhook-secret',
+  PEMO_PAGE_SIZE: '2',
+  HTTP_TIMEOUT_MS: '300',
+  HTTP_MAX_RETRIES: '2',
+  HTTP_RETRY_BASE_MS: '1',
+  HTTP_RETRY_MAX_MS: '1500',
+  SYNC_DATA_DIR: dataDir,
+  EXPORT_LEDGER: 'memory',
+  RUN_HISTORY: 'memory',
+  REVIEW_QUEUE: 'memory'
+};
+
+const TRANSACTIONS = [
+  { id: 'txn-1', totalAmount: 11500, date: '2024-01-15T10:30:00Z', merchant: 'Starbucks' },
+  { id: 'txn-2', totalAmount: 5000, date: '2024-01-16', merchant: 'Careem', category: 'Travel' },
+  { id: 'txn-3', totalAmount: -2300, date: '2024-01-17', merchant: 'Starbucks', type: 'refund' }
+];
+
+const EXPECTED_PAYLOADS = [
+  {
+    journal_entry: {
+      reference: 'PEMO-txn-1',
+      description: 'Starbucks [PEMO-txn-1]',
+      date: '2024-01-15',
+      debit_amounts: [
+        { account_id: 5101, amount: 100, description: 'Starbucks' },
+        { account_id: 2301, amount: 15, description: 'Starbucks - VAT 15%' }
+      ],
+      credit_amounts: [{ account_id: 1101, amount: 115, description: 'Starbucks' }]
+    }
+  },
+  {
+    journal_entry: {
+      reference: 'PEMO-txn-2',
+      description: 'Careem [PEMO-txn-2]',
+      date: '2024-01-16',
+      debit_amounts: [
+        { account_id: 5102, amount: 43.48, description: 'Careem' },
+        { account_id: 2301, amount: 6.52, description: 'Careem - VAT 15%' }
+      ],
+      credit_amounts: [{ account_id: 1101, amount: 50, description: 'Careem' }]
+    }
+  },
+  {
+    journal_entry: {
+      reference: 'PEMO-txn-3',
+      description: 'Refund: Starbucks [PEMO-txn-3]',
+      date: '2024-01-17',
+      debit_amounts: [{ account_id: 1101, amount: 23, description: 'Refund: Starbucks' }],
+      credit_amounts: [
+        { account_id: 5101, amount: 20, description: 'Refund: Starbucks' },
+        { account_id: 2301, amount: 3, description: 'Refund: Starbucks - VAT 15%' }
+      ]
+    }
+  }
+];
+
+function addTransactions(transactions = TRANSACTIONS) {
+  pemo.transactions.push(...transactions.map((txn) => ({ ...txn })));
+}
+
+function runSync(query = {}) {
+  return invoke(syncInvoices, { headers: cron, query });
+}
+
+function qoyodWrites(fake = qoyod) {
+  return fake.requests.filter(({ method }) => method !== 'GET');
+}
+
+// In reference order: entries are posted a few at a time, in parallel.
+function postedPayloads() {
+  return qoyod
+    .requestsTo('POST', '/journal_entries')
+    .map((request) => request.body)
+    .sort((a, b) => a.journal_entry.reference.localeCompare(b.journal_entry.reference));
+}
+
+before(async () => {
+  Object.assign(process.env, ENV);
+  process.env.PEMO_BASE_URL = await pemo.start();
+  process.env.QOYOD_BASE_URL = await qoyod.start();
+  await otherPemo.start();
+  await otherQoyod.start();
+});
+
+after(async () => {
+  await pemo.stop();
+  await qoyod.stop();
+  await otherPemo.stop();
+  await otherQoyod.stop();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  pemo.reset();
+  qoyod.reset();
+  otherPemo.reset();
+  otherQoyod.reset();
+  setLedger(null);
+  setRunHistory(null);
+  setReviewQueue(null);
+  setNotifier(undefined);
+  process.env.PEMO_API_KEY = ENV.PEMO_API_KEY;
+});
+
+describe('sync-invoices', () => {
+  it('rejects calls without the cron secret', async () => {
+    const res = await invoke(syncInvoices, {});
+    assert.equal(res.status, 401);
+    assert.equal(pemo.requests.length, 0);
+  });
+
+  it('posts every page and marks the transactions as exported', async () => {
+    addTransactions();
+    const res = await runSync();
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      pemo.requestsTo('GET', '/transactions').map(({ query }) => query.page),
+      ['1', '2']
+    );
+    assert.deepEqual(postedPayloads(), EXPECTED_PAYLOADS);
+    assert.deepEqual(pemo.requestsTo('PATCH', '/transactions').map(({ body }) => body), [
+      { operation: 'markAsExported', transactionIds: ['txn-1', 'txn-2', 'txn-3'] }
+    ]);
+    assert.equal(res.body.exportedCount, 3);
+    assert.equal(res.body.complete, true);
+    assert.deepEqual(res.body.failedTransactions, []);
+    assert.ok(pemo.transactions.every((txn) => txn.exportStatus === 'exported'));
+  });
+
+  it('writes nothing on a dry run', async () => {
+    addTransactions();
+    const res = await runSync({ dryRun: 'true' });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.journalEntries.map(({ payload }) => payload),
+      EXPECTED_PAYLOADS
+    );
+    assert.deepEqual(qoyodWrites(), []);
+    assert.equal(pemo.requestsTo('PATCH', '/transactions').length, 0);
+  });
+
+  it('books the tax Pemo reports on a refund', async () => {
+    addTransactions([
+      { ...TRANSACTIONS[2], totalAmount: -11500, taxAmount: -1500, merchant: 'Careem' }
+    ]);
+    const res = await runSync();
+
+    assert.deepEqual(res.body.exportedTransactionIds, ['txn-3']);
+    const [{ journal_entry: entry }] = postedPayloads();
+    assert.deepEqual(entry.debit_amounts, [
+      { account_id: 1101, amount: 115, description: 'Refund: Careem' }
+    ]);
+    assert.deepEqual(entry.credit_amounts, [
+      { account_id: 5101, amount: 100, description: 'Refund: Careem' },
+      { account_id: 2301, amount: 15, description: 'Refund: Careem - VAT 15%' }
+    ]);
+  });
+
+  it('skips zero-amount transactions', async () => {
+    addTransactions([{ id: 'txn-0', totalAmount: 0, date: '2024-01-15', merchant: 'Card check' }]);
+    const res = await runSync();
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.skippedTransactions, [
+      { transactionId: 'txn-0', reason: 'Zero amount' }
+    ]);
+    assert.deepEqual(res.body.failedTransactions, []);
+    assert.deepEqual(qoyodWrites(), []);
+    assert.equal(await getLedger().get('txn-0'), null);
+  });
+
+  it('fails without retrying when Pemo rejects the API key', async () => {
+    addTransactions();
+    process.env.PEMO_API_KEY = 'wrong-key';
+    const res = await runSync();
+
+    assert.equal(res.status, 500);
+    assert.match(res.body.error, /401/);
+    assert.equal(res.body.retryable, false);
+    assert.equal(pemo.requests.length, 1);
+    assert.deepEqual(qoyodWrites(), []);
+  });
+
+  it('waits for Retry-After when Pemo rate-limits', async () => {
+    addTransactions(TRANSACTIONS.slice(0, 1));
+    pemo.script('GET', '/transactions', {
+      status: 429,
+      headers: { 'Retry-After': '1' },
+      body: { message: 'Too many requests' }
+    });
+    const res = await runSync();
+
+    assert.equal(res.status, 200);
+    const [limited, retried] = pemo.requestsTo('GET', '/transactions');
+    assert.ok(retried.receivedAt - limited.receivedAt >= 900);
+    assert.deepEqual(postedPayloads(), EXPECTED_PAYLOADS.slice(0, 1));
+  });
+
+  it('retries a slow Pemo response that times out', async () => {
+    addTransactions(TRANSACTIONS.slice(0, 1));
+    pemo.script('GET', '/transactions', { delayMs: 600, body: { transactions: [] } });
+    const res = await runSync();
+
+    assert.equal(res.status, 200);
+    assert.equal(pemo.requestsTo('GET', '/transactions').length, 2);
+    assert.equal(res.body.exportedCount, 1);
+  });
+
+  it('stops a slow Qoyod request at the end of the time budget', async () => {
+    addTransactions(TRANSACTIONS.slice(0, 1));
+    Object.assign(process.env, { SYNC_TIME_BUDGET_MS: '400', HTTP_TIMEOUT_MS: '5000' });
+    qoyod.script('POST', '/journal_entries', { delayMs: 1500, body: { id: 1 } });
+    const startedAt = Date.now();
+    let res;
+    try {
+      res = await runSync();
+    } finally {
+      delete process.env.SYNC_TIME_BUDGET_MS;
+      process.env.HTTP_TIMEOUT_MS = ENV.HTTP_TIMEOUT_MS;
+    }
+
+    assert.equal(res.status, 200);
+    assert.ok(Date.now() - startedAt < 1500);
+    assert.deepEqual(
+      res.body.failedTransactions.map(({ transactionId, retryable }) => ({
+        transactionId,
+        retryable
+      })),
+      [{ transactionId: 'txn-1', retryable: true }]
+    );
+    assert.match(res.body.failedTransactions[0].error, /timed out/);
+  });
+
+  it('posts once Qoyod lifts its rate limit', async () => {
+    addTransactions(TRANSACTIONS.slice(0, 1));
+    qoyod.script('POST', '/journal_entries', { status: 429, body: { message: 'Slow down' } });
+    const res = await runSync();
+
+    assert.equal(res.status, 200);
+    assert.equal(qoyod.requestsTo('POST', '/journal_entries').length, 2);
+    assert.equal(qoyod.journalEntries.length, 1);
+    assert.deepEqual(res.body.exportedTransactionIds, ['txn-1']);
+  });
+
+  it('posts again after a 5xx only on the next run, once the reference is looked up', async () => {
+    addTransactions(TRANSACTIONS.slice(0, 1));
+    qoyod.script('POST', '/journal_entries', { status: 503, body: { message: 'Unavailable' } });
+    const first = await runSync();
+
+    assert.equal(qoyod.requestsTo('POST', '/journal_entries').length, 1);
+    assert.deepEqual(first.body.exportedTransactionIds, []);
+    assert.equal(first.body.failedTransactions[0].retryable, true);
+
+    const second = await runSync();
+    assert.deepEqual(second.body.exportedTransactionIds, ['txn-1']);
+    assert.equal(qoyod.requestsTo('GET', '/journal_entries').length, 2);
+    assert.equal(qoyod.journalEntries.length, 1);
+  });
+
+  it('leaves a transaction ready to export while Qoyod keeps failing', async () => {
+    addTransactions(TRANSACTIONS.slice(0, 1));
+    qoyod.script('POST', '/journal_entries', { status: 500, body: { message: 'Boom' } });
+    const res = await runSync();
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.exportedCount, 0);
+    assert.deepEqual(
+      res.body.failedTransactions.map(({ transactionId, retryable }) => ({
+        transactionId,
+        retryable
+      })),
+      [{ transactionId: 'txn-1', retryable: true }]
+    );
+    assert.equal(pemo.requestsTo('PATCH', '/transactions').length, 0);
+    assert.equal(pemo.transactions[0].exportStatus, undefined);
+    assert.equal((await getLedger().get('txn-1')).status, 'failed');
+  });
+
+  it('retries only the Pemo update after mark-as-exported failed', async () => {
+    addTransactions(TRANSACTIONS.slice(0, 1));
+    pemo.script('PATCH', '/transactions', { status: 400, body: { message: 'Bad request' } });
+    const first = await runSync();
+
+    assert.equal(first.status, 200);
+    assert.match(first.body.markError, /400/);
+    assert.equal((await getLedger().get('txn-1')).status, 'posted');
+
+    const second = await runSync();
+    assert.deepEqual(second.body.resumedTransactionIds, ['txn-1']);
+    assert.equal(second.body.markError, null);
+    assert.equal(qoyod.requestsTo('POST', '/journal_entries').length, 1);
+    assert.equal(pemo.transactions[0].exportStatus, 'exported');
+  });
+
+  it('marks a posted transaction even when its entry can no longer be built', async () => {
+    process.env.SYNC_CHECK_REFERENCES = 'false';
+    process.env.QOYOD_FX_RATES = JSON.stringify({ USD: 3.75 });
+    addTransactions([{ ...TRANSACTIONS[0], currency: 'USD', totalAmount: 1000 }]);
+    pemo.script('PATCH', '/transactions', { status: 400, body: { message: 'Bad request' } });
+    try {
+      await runSync();
+      delete process.env.QOYOD_FX_RATES;
+      await getLedger().recordFailed('txn-1', 'No FX rate', { retryable: false });
+      assert.equal((await getLedger().get('txn-1')).status, 'posted');
+
+      const second = await runSync();
+      assert.deepEqual(second.body.resumedTransactionIds, ['txn-1']);
+      assert.deepEqual(second.body.failedTransactions, []);
+      await runSync();
+      assert.equal(qoyod.requestsTo('POST', '/journal_entries').length, 1);
+      assert.equal((await getLedger().get('txn-1')).status, 'exported');
+    } finally {
+      delete process.env.SYNC_CHECK_REFERENCES;
+      delete process.env.QOYOD_FX_RATES;
+    }
+  });
+
+  it('does not post again what Qoyod has when the ledger was lost', async () => {
+    addTransactions(TRANSACTIONS.slice(0, 1));
+    pemo.script('PATCH', '/transactions', { status: 400, body: { message: 'Bad request' } });
+    await runSync();
+    // A cold start: the next run has an empty ledger.
+    setLedger(null);
+    const res = await runSync();
+
+    assert.equal(qoyod.requestsTo('POST', '/journal_entries').length, 1);
+    assert.deepEqual(res.body.exportedTransactionIds, ['txn-1']);
+    assert.equal(pemo.transactions[0].exportStatus, 'exported');
+    assert.equal((await getLedger().get('txn-1')).journalEntryId, qoyod.journalEntries[0].id);
+  });
+});
+
+describe('validate-config', () => {
+  function validate() {
+    return invoke(validateConfig, { headers: cron });
+  }
+
+  it('accepts accounts and tax rates Qoyod knows', async () => {
+    const res = await validate();
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, {
+      ok: true,
+      checked: { accounts: 4, costCenters: 0, taxRates: 1 },
+      problems: []
+    });
+  });
+
+  it('reports every unusable id and stops the sync before fetching', async () => {
+    addTransactions();
+    qoyod.accounts.splice(qoyod.accounts.findIndex(({ id }) => id === 5101), 1);
+    qoyod.accounts.find(({ id }) => id === 5102).status = 'Inactive';
+    qoyod.accounts.find(({ id }) => id === 1101).type = 'Expense';
+    qoyod.taxes.splice(0, 1);
+
+    const res = await validate();
+    assert.equal(res.status, 200);
+    assert.equal(res.body.ok, false);
+    assert.deepEqual(
+      res.body.problems.map(({ setting, problem }) => `${setting}: ${problem}`),
+      [
+        'QOYOD_DEBIT_ACCOUNT_ID: account 5101 does not exist in Qoyod',
+        'QOYOD_ACCOUNT_MAPPING category "travel": account 5102 (Travel) is not active',
+        'QOYOD_CREDIT_ACCOUNT_ID: account 1101 (Pemo card) has type Expense, ' +
+          'expected a bank, cash or liability account',
+        'QOYOD_VAT_CONFIG defaultRate: VAT rate 15% is not an active Qoyod tax rate'
+      ]
+    );
+
+    const sync = await runSync();
+    assert.equal(sync.status, 500);
+    assert.match(sync.body.error, /^Configuration does not match Qoyod: /);
+    assert.equal(sync.body.problems.length, 4);
+    assert.equal(pemo.requests.length, 0);
+    assert.deepEqual(qoyodWrites(), []);
+  });
+});
+
+describe('posting date', () => {
+  afterEach(() => {
+    for (const key of ['QOYOD_POSTING_TIME_ZONE', 'QOYOD_LOCK_DATE', 'QOYOD_LOCKED_PERIOD']) {
+      delete process.env[key];
+    }
+  });
+
+  it('books late-evening spend on the local day', async () => {
+    process.env.QOYOD_POSTING_TIME_ZONE = 'Asia/Riyadh';
+    addTransactions([{ ...TRANSACTIONS[0], date: '2024-01-31T22:30:00Z' }, TRANSACTIONS[1]]);
+    await runSync();
+
+    assert.deepEqual(
+      postedPayloads().map(({ journal_entry: entry }) => entry.date),
+      ['2024-02-01', '2024-01-16']
+    );
+  });
+
+  it('moves entries out of a closed period with their original date', async () => {
+    process.env.QOYOD_LOCK_DATE = '2024-01-15';
+    addTransactions(TRANSACTIONS.slice(0, 2));
+    await runSync();
+
+    const [moved, open] = postedPayloads().map(({ journal_entry: entry }) => entry);
+    assert.equal(moved.date, '2024-01-16');
+    assert.equal(moved.description, 'Starbucks (dated 2024-01-15) [PEMO-txn-1]');
+    assert.equal(moved.debit_amounts[0].description, 'Starbucks (dated 2024-01-15)');
+    assert.deepEqual(open, EXPECTED_PAYLOADS[1].journal_entry);
+  });
+
+  it('holds entries dated in a closed period for review when configured', async () => {
+    process.env.QOYOD_LOCK_DATE = '2024-01-15';
+    process.env.QOYOD_LOCKED_PERIOD = 'review';
+    addTransactions(TRANSACTIONS.slice(0, 2));
+    const res = await runSync();
+
+    assert.deepEqual(res.body.heldForReview, [
+      { transactionId: 'txn-1', reasons: ['lockedPeriod'] }
+    ]);
+    assert.deepEqual(res.body.exportedTransactionIds, ['txn-2']);
+  });
+});
+
+describe('currencies', () => {
+  afterEach(() => {
+    delete process.env.QOYOD_FX_RATES;
+    delete process.env.QOYOD_BASE_CURRENCY;
+  });
+
+  it('converts foreign spend with the rate table or the billing amount', async () => {
+    process.env.QOYOD_FX_RATES = JSON.stringify({ USD: 3.75 });
+    addTransactions([
+      { id: 'txn-usd', totalAmount: 1000, currency: 'USD', date: '2024-01-15', merchant: 'Figma' },
+      {
+        id: 'txn-eur',
+        totalAmount: 1000,
+        currency: 'EUR',
+        billingAmount: 4100,
+        billingCurrency: 'SAR',
+        date: '2024-01-15',
+        merchant: 'Lufthansa'
+      },
+      { id: 'txn-gbp', totalAmount: 1000, currency: 'GBP', date: '2024-01-15', merchant: 'BA' }
+    ]);
+    const res = await runSync();
+
+    assert.deepEqual(res.body.exportedTransactionIds.sort(), ['txn-eur', 'txn-usd']);
+    assert.deepEqual(res.body.failedTransactions, [
+      { transactionId: 'txn-gbp', error: 'No FX rate available for GBP to SAR', retryable: false }
+    ]);
+    const [eur, usd] = postedPayloads().map(({ journal_entry: entry }) => entry);
+    assert.equal(usd.description, 'Figma [USD 10 @ 3.75 SAR] [PEMO-txn-usd]');
+    assert.deepEqual(
+      usd.debit_amounts.map(({ amount }) => amount),
+      [32.61, 4.89]
+    );
+    assert.equal(usd.credit_amounts[0].amount, 37.5);
+    assert.equal(eur.description, 'Lufthansa [EUR 10 @ 4.1 SAR] [PEMO-txn-eur]');
+    assert.equal(eur.credit_amounts[0].amount, 41);
+  });
+
+  it('books three-decimal base currencies to the fils', async () => {
+    process.env.QOYOD_BASE_CURRENCY = 'KWD';
+    addTransactions([
+      {
+        id: 'txn-kwd',
+        totalAmount: 12345,
+        currency: 'KWD',
+        date: '2024-01-15',
+        merchant: 'Talabat'
+      }
+    ]);
+    const res = await runSync();
+
+    assert.deepEqual(res.body.exportedTransactionIds, ['txn-kwd']);
+    const [{ journal_entry: entry }] = postedPayloads();
+    assert.deepEqual(entry.debit_amounts, [
+      { account_id: 5101, amount: 10.735, description: 'Talabat' },
+      { account_id: 2301, amount: 1.61, description: 'Talabat - VAT 15%' }
+    ]);
+    assert.deepEqual(entry.credit_amounts, [
+      { account_id: 1101, amount: 12.345, description: 'Talabat' }
+    ]);
+  });
+});
+
+describe('receipts', () => {
+  it('copies the accepted receipts onto the journal entry', async () => {
+    pemo.script('GET', '/receipts/r-1.pdf', {
+      body: '%PDF-1.4',
+      headers: { 'Content-Type': 'application/pdf' }
+    });
+    addTransactions([
+      {
+        ...TRANSACTIONS[0],
+        receipts: [
+          { url: `${pemo.baseUrl}/receipts/r-1.pdf`, fileName: 'r-1.pdf', size: 10 },
+          { url: `${pemo.baseUrl}/receipts/notes.txt`, contentType: 'text/plain' },
+          { url: `${pemo.baseUrl}/receipts/scan.png`, contentType: 'image/png', size: 1e9 }
+        ]
+      },
+      TRANSACTIONS[1]
+    ]);
+    const res = await runSync();
+
+    assert.deepEqual(res.body.exportedTransactionIds.sort(), ['txn-1', 'txn-2']);
+    const [download] = pemo.requestsTo('GET', '/receipts/r-1.pdf');
+    assert.equal(download.headers.apikey, 'pemo-key');
+    const uploads = qoyod.requestsTo('POST', '/attachments');
+    assert.equal(uploads.length, 1);
+    const entry = qoyod.journalEntries.find(({ reference }) => reference === 'PEMO-txn-1');
+    assert.match(uploads[0].body, /JournalEntry/);
+    assert.match(uploads[0].body, new RegExp(`\r\n\r\n${entry.id}\r\n`));
+    assert.match(uploads[0].body, /filename="r-1.pdf"/);
+    assert.deepEqual(res.body.receiptIssues, [
+      {
+        transactionId: 'txn-1',
+        fileName: 'notes.txt',
+        error: 'Content type text/plain is not allowed'
+      },
+      {
+        transactionId: 'txn-1',
+        fileName: 'scan.png',
+        error: '1000000000 bytes is above the 10485760 byte limit'
+      }
+    ]);
+    assert.deepEqual(res.body.missingReceipts, ['txn-2']);
+  });
+});
+
+describe('dimensions', () => {
+  afterEach(() => {
+    delete process.env.QOYOD_DIMENSION_MAPPING;
+  });
+
+  it('tags expense lines with the mapped cost center and project', async () => {
+    process.env.QOYOD_DIMENSION_MAPPING = JSON.stringify({
+      costCenter: { department: { Sales: 3 } },
+      project: { tag: { launch: 12 } },
+      defaultCostCenterId: 1,
+      unmapped: 'review'
+    });
+    qoyod.costCenters.push(
+      { id: 1, name: 'Head office', status: 'Active' },
+      { id: 3, name: 'Sales', status: 'Active' }
+    );
+    addTransactions([
+      { ...TRANSACTIONS[0], department: 'sales', tags: ['Launch'] },
+      TRANSACTIONS[1]
+    ]);
+    const res = await runSync();
+
+    assert.deepEqual(res.body.exportedTransactionIds.sort(), ['txn-1', 'txn-2']);
+    const [first, second] = postedPayloads().map(({ journal_entry: entry }) => entry);
+    assert.deepEqual(first.debit_amounts[0], {
+      account_id: 5101,
+      amount: 100,
+      description: 'Starbucks',
+      cost_center_id: 3,
+      project_id: 12
+    });
+    assert.equal(first.credit_amounts[0].cost_center_id, undefined);
+    assert.equal(second.debit_amounts[0].cost_center_id, 1);
+    assert.equal(second.debit_amounts[0].project_id, undefined);
+    assert.deepEqual(
+      res.body.dimensionReview.map(({ transactionId }) => transactionId),
+      ['txn-2']
+    );
+  });
+});
+
+describe('rules', () => {
+  afterEach(() => {
+    delete process.env.QOYOD_RULES;
+  });
+
+  it('applies the first matching rule over the mapping and VAT settings', async () => {
+    process.env.QOYOD_RULES = JSON.stringify({
+      rules: [
+        {
+          name: 'Cloud hosting',
+          match: { merchant: '^aws', amount: { min: 100 } },
+          set: { debitAccountId: 6101, vat: 'zero', description: '{merchant} – {notes}' }
+        },
+        { name: 'Everything else', set: { description: '{merchant} - {category}' } }
+      ]
+    });
+    addTransactions([
+      { id: 'txn-aws', totalAmount: 11500, date: '2024-01-15', merchant: 'AWS', notes: 'Hosting' },
+      TRANSACTIONS[0],
+      TRANSACTIONS[1]
+    ]);
+    const res = await runSync();
+
+    assert.deepEqual(
+      res.body.postedEntries
+        .map(({ transactionId, rule }) => [transactionId, rule.name])
+        .sort(([a], [b]) => a.localeCompare(b)),
+      [
+        ['txn-1', 'Everything else'],
+        ['txn-2', 'Everything else'],
+        ['txn-aws', 'Cloud hosting']
+      ]
+    );
+    const byReference = new Map(
+      postedPayloads().map(({ journal_entry: entry }) => [entry.reference, entry])
+    );
+    assert.deepEqual(byReference.get('PEMO-txn-aws').debit_amounts, [
+      { account_id: 6101, amount: 115, description: 'AWS – Hosting' }
+    ]);
+    assert.equal(byReference.get('PEMO-txn-1').description, 'Starbucks [PEMO-txn-1]');
+    assert.equal(byReference.get('PEMO-txn-2').description, 'Careem - Travel [PEMO-txn-2]');
+    assert.equal(byReference.get('PEMO-txn-2').debit_amounts[0].account_id, 5102);
+  });
+
+  it('fails the run before fetching when a rule is malformed', async () => {
+    process.env.QOYOD_RULES = JSON.stringify({
+      rules: [{ name: 'Typo', set: { debitAcountId: 6101 } }]
+    });
+    addTransactions();
+    const res = await runSync();
+
+    assert.equal(res.status, 500);
+    assert.match(res.body.error, /debitAcountId/);
+    assert.equal(pemo.requests.length, 0);
+    assert.deepEqual(qoyodWrites(), []);
+  });
+});
+
+describe('purchase bills', () => {
+  const AWS = { id: 'txn-b', totalAmount: 11500, date: '2024-01-15', merchant: 'AWS' };
+
+  before(() => {
+    process.env.QOYOD_BILL_CONFIG = JSON.stringify({
+      useBillsFor: { merchant: ['AWS'] },
+      defaultProductId: 10
+    });
+  });
+
+  after(() => {
+    delete process.env.QOYOD_BILL_CONFIG;
+  });
+
+  it('books vendor spend as a paid bill and refunds as journal entries', async () => {
+    addTransactions([
+      AWS,
+      { ...AWS, id: 'txn-c', totalAmount: 5750, category: 'Hosting' },
+      { ...AWS, id: 'txn-r', totalAmount: -2300, type: 'refund' }
+    ]);
+    const res = await runSync();
+
+    assert.deepEqual(res.body.exportedTransactionIds.sort(), ['txn-b', 'txn-c', 'txn-r']);
+    assert.deepEqual(qoyod.requestsTo('POST', '/vendors').map(({ body }) => body), [
+      { contact: { name: 'AWS', status: 'Active' } }
+    ]);
+    const [vendor] = qoyod.vendors;
+    const bill = qoyod.bills.find(({ reference }) => reference === 'PEMO-txn-b');
+    assert.deepEqual(bill, {
+      id: bill.id,
+      contact_id: vendor.id,
+      reference: 'PEMO-txn-b',
+      issue_date: '2024-01-15',
+      due_date: '2024-01-15',
+      status: 'Approved',
+      line_items: [
+        { product_id: 10, description: 'AWS', quantity: 1, unit_price: 100, tax_percent: 15 }
+      ]
+    });
+    assert.equal(
+      qoyod.bills.find(({ reference }) => reference === 'PEMO-txn-c').line_items[0].description,
+      'AWS - Hosting'
+    );
+    const payment = qoyod.billPayments.find(({ bill_id: billId }) => billId === bill.id);
+    assert.deepEqual(payment, {
+      id: payment.id,
+      reference: 'PEMO-txn-b',
+      account_id: 1101,
+      date: '2024-01-15',
+      amount: 115,
+      bill_id: bill.id
+    });
+    assert.equal(qoyod.billPayments.length, 2);
+    assert.deepEqual(postedPayloads().map(({ journal_entry: entry }) => entry.reference), [
+      'PEMO-txn-r'
+    ]);
+    assert.deepEqual(res.body.billPaymentIssues, []);
+  });
+
+  it('bills the tax Pemo reports at the configured rate and the card amount', async () => {
+    // 13.02 on a net of 86.98 works out to 14.97%.
+    addTransactions([{ ...AWS, totalAmount: 10000, taxAmount: 1302 }]);
+    const res = await runSync();
+
+    assert.deepEqual(res.body.exportedTransactionIds, ['txn-b']);
+    const [bill] = qoyod.bills;
+    assert.equal(bill.line_items[0].unit_price, 86.96);
+    assert.equal(bill.line_items[0].tax_percent, 15);
+    assert.equal(qoyod.billPayments[0].amount, 100);
+  });
+
+  it('pays a bill on the next run when its payment failed', async () => {
+    addTransactions([AWS]);
+    qoyod.script('POST', '/bill_payments', { status: 422, body: { message: 'Closed period' } });
+    const first = await runSync();
+
+    assert.deepEqual(first.body.exportedTransactionIds, ['txn-b']);
+    const [bill] = qoyod.bills;
+    assert.deepEqual(first.body.billPaymentIssues, [
+      {
+        transactionId: 'txn-b',
+        billId: bill.id,
+        error: 'Qoyod POST /bill_payments failed: 422 Unprocessable Entity: ' +
+          '{"message":"Closed period"}'
+      }
+    ]);
+    assert.equal(qoyod.billPayments.length, 0);
+    assert.equal((await getRunHistory().get(first.body.runId)).status, 'partial');
+
+    const second = await runSync();
+    assert.equal(qoyod.bills.length, 1);
+    assert.equal(qoyod.billPayments.length, 1);
+    assert.equal(qoyod.billPayments[0].bill_id, bill.id);
+    assert.deepEqual(second.body.retriedBillPayments, [
+      { transactionId: 'txn-b', billId: bill.id, billPaymentId: qoyod.billPayments[0].id }
+    ]);
+    assert.deepEqual(second.body.billPaymentIssues, []);
+    assert.equal((await getLedger().get('txn-b')).pendingPayment, undefined);
+
+    await runSync();
+    assert.equal(qoyod.requestsTo('POST', '/bill_payments').length, 2);
+  });
+});
+
+describe('consolidated entries', () => {
+  afterEach(() => {
+    delete process.env.QOYOD_ENTRY_GRANULARITY;
+  });
+
+  it('posts one entry per closed statement and waits for the open ones', async () => {
+    process.env.QOYOD_ENTRY_GRANULARITY = 'statement';
+    addTransactions([
+      { ...TRANSACTIONS[0], statementId: 'st-1', statementClosingDate: '2024-01-31' },
+      ...TRANSACTIONS.slice(1).map((txn) => ({
+        ...txn,
+        statement: { id: 'st-1', status: 'CLOSED' }
+      })),
+      {
+        id: 'txn-4',
+        totalAmount: 1000,
+        date: '2024-01-18',
+        merchant: 'Uber',
+        statementStatus: 'closed'
+      },
+      {
+        id: 'txn-5',
+        totalAmount: 1000,
+        date: '2024-01-19',
+        merchant: 'Uber',
+        statement: { id: 'st-2', status: 'open', closingDate: '2999-12-31' }
+      }
+    ]);
+    const res = await runSync();
+
+    assert.equal(res.status, 200);
+    const byReference = new Map(
+      postedPayloads().map(({ journal_entry: entry }) => [entry.reference, entry])
+    );
+    assert.deepEqual(byReference.get('PEMO-txn-1, PEMO-txn-2'), {
+      reference: 'PEMO-txn-1, PEMO-txn-2',
+      description: 'Pemo statement st-1 [PEMO-txn-1, PEMO-txn-2]',
+      date: '2024-01-16',
+      debit_amounts: [
+        { account_id: 5101, amount: 100, description: 'Pemo statement st-1: PEMO-txn-1' },
+        {
+          account_id: 2301,
+          amount: 21.52,
+          description: 'Pemo statement st-1: PEMO-txn-1, PEMO-txn-2'
+        },
+        { account_id: 5102, amount: 43.48, description: 'Pemo statement st-1: PEMO-txn-2' }
+      ],
+      credit_amounts: [
+        {
+          account_id: 1101,
+          amount: 165,
+          description: 'Pemo statement st-1: PEMO-txn-1, PEMO-txn-2'
+        }
+      ]
+    });
+    assert.equal(
+      byReference.get('PEMO-txn-3').description,
+      'Pemo statement st-1 - refunds [PEMO-txn-3]'
+    );
+    // txn-4 is on no statement, so it is consolidated with its day.
+    assert.equal(
+      byReference.get('PEMO-txn-4').description,
+      'Pemo card spend 2024-01-18 [PEMO-txn-4]'
+    );
+    assert.deepEqual(
+      [...res.body.exportedTransactionIds].sort(),
+      ['txn-1', 'txn-2', 'txn-3', 'txn-4']
+    );
+    assert.deepEqual(res.body.waitingForConsolidation, ['txn-5']);
+    assert.equal(pemo.transactions[4].exportStatus, undefined);
+    const ledgerEntry = await getLedger().get('txn-2');
+    assert.equal(ledgerEntry.journalEntryId, (await getLedger().get('txn-1')).journalEntryId);
+    assert.equal(ledgerEntry.date, '2024-01-16');
+  });
+
+  it('marks none of the transactions when the consolidated entry fails', async () => {
+    process.env.QOYOD_ENTRY_GRANULARITY = 'daily';
+    addTransactions([TRANSACTIONS[0], { ...TRANSACTIONS[1], date: '2024-01-15' }]);
+    qoyod.script('POST', '/journal_entries', { status: 400, body: { message: 'Invalid' } });
+    const res = await runSync();
+
+    assert.equal(res.status, 200);
+    assert.equal(qoyod.requestsTo('POST', '/journal_entries').length, 1);
+    assert.equal(res.body.exportedCount, 0);
+    assert.deepEqual(
+      res.body.failedTransactions.map(({ transactionId }) => transactionId),
+      ['txn-1', 'txn-2']
+    );
+    assert.equal(pemo.requestsTo('PATCH', '/transactions').length, 0);
+    assert.equal((await getLedger().get('txn-1')).status, 'failed');
+    assert.equal((await getLedger().get('txn-2')).status, 'failed');
+  });
+
+  it('leaves the transaction of a webhook delivery to the scheduled sync', async () => {
+    process.env.QOYOD_ENTRY_GRANULARITY = 'daily';
+    addTransactions([TRANSACTIONS[0], { ...TRANSACTIONS[1], date: '2024-01-15' }]);
+    const event = { event: 'transaction.approved', data: { transactionId: 'txn-1' } };
+    const body = JSON.stringify(event);
+    const delivery = await invoke(pemoWebhook, {
+      method: 'POST',
+      body,
+      headers: { 'x-pemo-signature': signWebhook('webhook-secret', body) }
+    });
+
+    assert.equal(delivery.body.outcome, 'deferred');
+    assert.equal(qoyod.requestsTo('POST', '/journal_entries').length, 0);
+    assert.equal(await getLedger().get('txn-1'), null);
+
+    const res = await runSync();
+    assert.deepEqual(res.body.exportedTransactionIds, ['txn-1', 'txn-2']);
+    assert.equal(postedPayloads()[0].journal_entry.reference, 'PEMO-txn-1, PEMO-txn-2');
+  });
+});
+
+describe('reconcile', () => {
+  const range = { from: '2024-01-01', to: '2024-01-31' };
+
+  function reconcile(method, query = {}) {
+    return invoke(reconcileRoute, { method, headers: cron, query: { ...range, ...query } });
+  }
+
+  function addExported() {
+    addTransactions(TRANSACTIONS.map((txn) => ({ ...txn, exportStatus: 'exported' })));
+  }
+
+  it('reports what is missing in Qoyod and posts it again on POST only', async () => {
+    addTransactions();
+    await runSync();
+    const lost = qoyod.journalEntries.findIndex((entry) => entry.reference === 'PEMO-txn-2');
+    qoyod.journalEntries.splice(lost, 1);
+
+    assert.equal((await reconcile('GET', { fix: 'true' })).status, 405);
+    const report = await reconcile('GET');
+    assert.equal(report.status, 200);
+    assert.equal(report.body.matched, 2);
+    assert.deepEqual(report.body.missing, [
+      { transactionId: 'txn-2', date: '2024-01-16', amount: 50 }
+    ]);
+    assert.equal(report.body.fix, null);
+    assert.equal(qoyod.requestsTo('POST', '/journal_entries').length, 3);
+
+    const fixed = await reconcile('POST');
+    assert.equal(fixed.status, 200);
+    assert.deepEqual(fixed.body.fix.exportedTransactionIds, ['txn-2']);
+    assert.equal(qoyod.journalEntries.length, 3);
+  });
+
+  it('refuses to fix when the Qoyod listing was cut off', async () => {
+    addExported();
+    qoyod.script(
+      'GET',
+      '/journal_entries',
+      ({ query }) => ({
+        body: {
+          journal_entries: [{ id: Number(query.page), reference: `PEMO-old-${query.page}` }]
+        }
+      }),
+      100
+    );
+    const res = await reconcile('POST');
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.qoyod.capped, true);
+    assert.match(res.body.fixRefused, /cut off/);
+    assert.equal(res.body.missing.length, 3);
+    assert.equal(qoyod.requestsTo('POST', '/journal_entries').length, 0);
+  });
+
+  it('refuses to fix when Qoyod lists records without references', async () => {
+    addExported();
+    qoyod.script('GET', '/journal_entries', {
+      body: { journal_entries: [{ id: 1001, date: '2024-01-15' }] }
+    });
+    const res = await reconcile('POST');
+
+    assert.equal(res.status, 409);
+    assert.match(res.body.fixRefused, /without a reference or description/);
+    assert.equal(qoyod.requestsTo('POST', '/journal_entries').length, 0);
+  });
+
+  it('fixes a range holding unreferenced Qoyod entries only with force', async () => {
+    addExported();
+    qoyod.journalEntries.push({
+      id: 3001,
+      reference: 'JV-12',
+      description: 'Starbucks',
+      date: '2024-01-15',
+      debit_amounts: [{ account_id: 5101, amount: 115 }]
+    });
+    const refused = await reconcile('POST');
+
+    assert.equal(refused.status, 409);
+    assert.match(refused.body.fixRefused, /no PEMO reference/);
+    assert.deepEqual(refused.body.unreferencedRecords, [
+      { type: 'journal_entry', id: 3001, date: '2024-01-15', amount: 115 }
+    ]);
+    assert.equal(qoyod.requestsTo('POST', '/journal_entries').length, 0);
+
+    const forced = await reconcile('POST', { force: 'true' });
+    assert.equal(forced.status, 200);
+    assert.deepEqual(
+      [...forced.body.fix.exportedTransactionIds].sort(),
+      ['txn-1', 'txn-2', 'txn-3']
+    );
+  });
+
+  it('reports duplicates, mismatches and unknown references', async () => {
+    addTransactions();
+    await runSync();
+    const first = qoyod.journalEntries.find((entry) => entry.reference === 'PEMO-txn-1');
+    qoyod.journalEntries.push(
+      { ...first, id: 2001 },
+      { id: 2002, reference: 'PEMO-txn-9', date: '2024-01-20', debit_amounts: [] }
+    );
+    const second = qoyod.journalEntries.find((entry) => entry.reference === 'PEMO-txn-2');
+    second.date = '2024-01-18';
+    second.debit_amounts = [{ account_id: 5102, amount: 60 }];
+    const res = await reconcile('GET');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.matched, 2);
+    assert.deepEqual(res.body.missing, []);
+    assert.deepEqual(res.body.duplicates, [
+      {
+        transactionId: 'txn-1',
+        records: [
+          { type: 'journal_entry', id: first.id, date: '2024-01-15', amount: 115 },
+          { type: 'journal_entry', id: 2001, date: '2024-01-15', amount: 115 }
+        ]
+      }
+    ]);
+    assert.deepEqual(res.body.mismatches, [
+      {
+        transactionId: 'txn-2',
+        type: 'journal_entry',
+        id: second.id,
+        field: 'amount',
+        expected: 50,
+        actual: 60
+      },
+      {
+        transactionId: 'txn-2',
+        type: 'journal_entry',
+        id: second.id,
+        field: 'date',
+        expected: '2024-01-16',
+        actual: '2024-01-18'
+      }
+    ]);
+    assert.deepEqual(res.body.unknownReferences, [
+      { type: 'journal_entry', id: 2002, date: '2024-01-20', transactionId: 'txn-9' }
+    ]);
+  });
+});
+
+describe('manual triggers', () => {
+  const url = '/api/sync-invoices';
+
+  before(() => {
+    process.env.SYNC_TRIGGER_SECRET = 'trigger-secret';
+  });
+
+  after(() => {
+    delete process.env.SYNC_TRIGGER_SECRET;
+  });
+
+  function signed(actor, { timestamp = Math.floor(Date.now() / 1000), signedAs = actor } = {}) {
+    return {
+      'x-sync-actor': actor,
+      'x-sync-timestamp': String(timestamp),
+      'x-sync-signature': signTrigger('trigger-secret', String(timestamp), signedAs, url)
+    };
+  }
+
+  it('records the verified actor of a signed trigger in the history and audit log', async () => {
+    const res = await invoke(syncInvoices, { url, headers: signed('accountant') });
+
+    assert.equal(res.status, 200);
+    const run = await getRunHistory().get(res.body.runId);
+    assert.equal(run.trigger, 'manual');
+    assert.equal(run.actor, 'accountant');
+    const event = listAuditEvents().pop();
+    assert.equal(event.actor, 'accountant');
+    assert.equal(event.method, 'hmac');
+    assert.equal(event.route, 'sync-invoices');
+  });
+
+  it('accepts the trigger secret as a bearer token', async () => {
+    const res = await invoke(syncInvoices, {
+      url,
+      headers: { authorization: 'Bearer trigger-secret', 'x-sync-actor': 'ops' }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal((await getRunHistory().get(res.body.runId)).actor, 'ops');
+    assert.equal(listAuditEvents().pop().method, 'shared-secret');
+  });
+
+  it('rejects expired signatures and signatures made for another actor', async () => {
+    const expired = await invoke(syncInvoices, {
+      url,
+      headers: signed('accountant', { timestamp: Math.floor(Date.now() / 1000) - 301 })
+    });
+    const forged = await invoke(syncInvoices, {
+      url,
+      headers: signed('cfo', { signedAs: 'accountant' })
+    });
+
+    assert.equal(expired.status, 401);
+    assert.equal(forged.status, 401);
+    assert.equal(pemo.requests.length, 0);
+  });
+});
+
+describe('daily report', () => {
+  it('summarizes the day from the run history', async () => {
+    addTransactions([
+      ...TRANSACTIONS,
+      { id: 'txn-4', totalAmount: 1500000, date: '2024-01-18' }
+    ]);
+    await runSync();
+    const res = await invoke(syncReport, { headers: cron });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.runCount, 1);
+    assert.equal(res.body.entriesCreated, 4);
+    assert.equal(res.body.totalAmount, 15142);
+    assert.deepEqual(res.body.byCategory, [
+      { category: null, amount: 15092, count: 3 },
+      { category: 'Travel', amount: 50, count: 1 }
+    ]);
+    assert.deepEqual(
+      res.body.exceptions.missingDescriptions.map(({ transactionId }) => transactionId),
+      ['txn-4']
+    );
+    assert.deepEqual(res.body.exceptions.unusualAmounts, [
+      { transactionId: 'txn-4', amount: 15000, reason: 'large' }
+    ]);
+
+    const markdown = await invoke(syncReport, {
+      headers: cron,
+      query: { format: 'markdown', lang: 'en' }
+    });
+    assert.match(markdown.headers['content-type'], /text\/markdown/);
+    assert.match(markdown.body, /Daily sync report/);
+  });
+});
+
+describe('backfill', () => {
+  it('posts a past period once, narrowed to the cardholders asked for', async () => {
+    addTransactions(
+      TRANSACTIONS.map((txn) => ({
+        ...txn,
+        exportStatus: 'exported',
+        spender: { email: txn.id === 'txn-3' ? 'sara@example.com' : 'ops@example.com' }
+      }))
+    );
+    await getLedger().recordPosted('txn-2', { exportType: 'journal_entry', journalEntryId: 7 });
+    const first = await runBackfill({
+      from: '2024-01-15',
+      to: '2024-01-16',
+      cardholders: ['OPS@example.com']
+    });
+
+    assert.equal(first.selectedCount, 2);
+    assert.deepEqual(first.alreadyPosted, [
+      { transactionId: 'txn-2', status: 'posted', journalEntryId: 7, billId: null }
+    ]);
+    assert.deepEqual(first.result.exportedTransactionIds, ['txn-1']);
+    assert.equal((await getRunHistory().get(first.result.runId)).trigger, 'backfill');
+
+    const again = await runBackfill({ from: '2024-01-01', to: '2024-01-31' });
+    assert.equal(again.selectedCount, 3);
+    assert.deepEqual(again.result.exportedTransactionIds, ['txn-3']);
+    assert.deepEqual(postedPayloads().map(({ journal_entry: entry }) => entry.reference), [
+      'PEMO-txn-1',
+      'PEMO-txn-3'
+    ]);
+  });
+});
+
+describe('review-queue', () => {
+  const url = '/api/review-queue';
+
+  before(() => {
+    process.env.SYNC_TRIGGER_SECRET = 'trigger-secret';
+  });
+
+  after(() => {
+    delete process.env.SYNC_TRIGGER_SECRET;
+  });
+
+  function signedPost(body, signedBody = body) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    return invoke(reviewQueue, {
+      method: 'POST',
+      url,
+      body,
+      headers: {
+        'x-sync-actor': 'accountant',
+        'x-sync-timestamp': timestamp,
+        'x-sync-signature': signTrigger('trigger-secret', timestamp, 'accountant', url, signedBody)
+      }
+    });
+  }
+
+  it('accepts a signed decision only with the body it was signed with', async () => {
+    await getReviewQueue().hold('txn-1', { reasons: ['largeAmount'], summary: {} });
+    const reject = JSON.stringify({ transactionId: 'txn-1', decision: 'reject' });
+    const approve = JSON.stringify({
+      transactionId: 'txn-1',
+      decision: 'approve',
+      overrides: { debitAccountId: 6101 }
+    });
+
+    const tampered = await signedPost(approve, reject);
+    assert.equal(tampered.status, 401);
+    assert.equal((await getReviewQueue().get('txn-1')).status, 'pending');
+
+    const signed = await signedPost(reject);
+    assert.equal(signed.status, 200);
+    assert.equal(signed.body.status, 'rejected');
+    assert.equal(signed.body.decidedBy, 'accountant');
+  });
+
+  it('refuses a signed decision whose raw body was parsed away', async () => {
+    await getReviewQueue().hold('txn-1', { reasons: ['largeAmount'], summary: {} });
+    const reject = { transactionId: 'txn-1', decision: 'reject' };
+    const res = await signedPost(reject, JSON.stringify(reject));
+
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /raw request body/);
+    assert.equal((await getReviewQueue().get('txn-1')).status, 'pending');
+  });
+
+  describe('decisions', () => {
+    beforeEach(() => {
+      process.env.QOYOD_REVIEW_RULES = JSON.stringify({ largeAmount: 100 });
+    });
+
+    afterEach(() => {
+      delete process.env.QOYOD_REVIEW_RULES;
+    });
+
+    function decide(body) {
+      return invoke(reviewQueue, {
+        method: 'POST',
+        headers: { authorization: 'Bearer trigger-secret', 'x-sync-actor': 'accountant' },
+        body
+      });
+    }
+
+    it('posts approved items with their overrides and never the rejected ones', async () => {
+      addTransactions([
+        TRANSACTIONS[0],
+        TRANSACTIONS[1],
+        { id: 'txn-4', totalAmount: 2000000, date: '2024-01-18', merchant: 'Hilton' }
+      ]);
+      const first = await runSync();
+      assert.deepEqual(first.body.exportedTransactionIds, ['txn-2']);
+      assert.deepEqual(first.body.heldForReview, [
+        { transactionId: 'txn-1', reasons: ['largeAmount'] },
+        { transactionId: 'txn-4', reasons: ['largeAmount'] }
+      ]);
+
+      const invalid = await decide({
+        transactionId: 'txn-4',
+        decision: 'reject',
+        overrides: { debitAccountId: 6101 }
+      });
+      assert.equal(invalid.status, 400);
+      const approved = await decide({
+        transactionId: 'txn-1',
+        decision: 'approve',
+        overrides: { debitAccountId: 6101, vat: 'exempt', description: 'Team offsite' },
+        note: 'Offsite coffee'
+      });
+      assert.equal(approved.status, 200);
+      assert.equal(approved.body.status, 'approved');
+      assert.equal((await decide({ transactionId: 'txn-4', decision: 'reject' })).status, 200);
+
+      const second = await runSync();
+      assert.deepEqual(second.body.exportedTransactionIds, ['txn-1']);
+      assert.equal(second.body.postedEntries[0].approvedBy, 'accountant');
+      assert.deepEqual(
+        second.body.skippedTransactions.map(({ transactionId }) => transactionId),
+        ['txn-4']
+      );
+      const entry = postedPayloads().find(
+        ({ journal_entry: posted }) => posted.reference === 'PEMO-txn-1'
+      ).journal_entry;
+      assert.deepEqual(entry.debit_amounts, [
+        { account_id: 6101, amount: 115, description: 'Team offsite' }
+      ]);
+      assert.equal((await getReviewQueue().get('txn-1')).status, 'posted');
+      assert.equal((await getReviewQueue().get('txn-4')).status, 'rejected');
+      assert.equal(qoyod.requestsTo('POST', '/journal_entries').length, 2);
+    });
+  });
+});
+
+describe('pemo-webhook', () => {
+  function deliver(event) {
+    const body = JSON.stringify(event);
+    return invoke(pemoWebhook, {
+      method: 'POST',
+      body,
+      headers: { 'x-pemo-signature': signWebhook('webhook-secret', body) }
+    });
+  }
+
+  it('posts a transaction once however often the event is delivered', async () => {
+    addTransactions(TRANSACTIONS.slice(0, 1));
+    const event = { event: 'transaction.approved', data: { transactionId: 'txn-1' } };
+    const [first, second] = await Promise.all([deliver(event), deliver(event)]);
+    const third = await deliver(event);
+
+    assert.deepEqual([first.body.outcome, second.body.outcome].sort(), ['inProgress', 'posted']);
+    assert.equal(third.body.outcome, 'alreadyExported');
+    assert.deepEqual(postedPayloads(), EXPECTED_PAYLOADS.slice(0, 1));
+  });
+
+  it('does not post again a delivery another instance posted', async () => {
+    addTransactions(TRANSACTIONS.slice(0, 1));
+    pemo.script('PATCH', '/transactions', { status: 503, body: { message: 'Unavailable' } }, 3);
+    const event = { event: 'transaction.approved', data: { transactionId: 'txn-1' } };
+    const first = await deliver(event);
+    // The retry lands on an instance with a ledger of its own.
+    setLedger(null);
+    const second = await deliver(event);
+
+    assert.equal(first.body.outcome, 'posted');
+    assert.equal(second.body.outcome, 'alreadyExported');
+    assert.equal(qoyod.requestsTo('POST', '/journal_entries').length, 1);
+    assert.equal(pemo.transactions[0].exportStatus, 'exported');
+    assert.equal(qoyod.requestsTo('GET', '/accounts').length, 0);
+  });
+
+  it('rejects deliveries with a bad signature', async () => {
+    const res = await invoke(pemoWebhook, {
+      method: 'POST',
+      body: '{}',
+      headers: { 'x-pemo-signature': 'not-a-signature' }
+    });
+    assert.equal(res.status, 401);
+  });
+});
+
+describe('multiple entities', () => {
+  function entity(id, pemoFake, qoyodFake, keyEnv, accounts, env = {}) {
+    return {
+      id,
+      pemoApiKeyEnv: `PEMO_KEY_${keyEnv}`,
+      qoyodApiKeyEnv: `QOYOD_KEY_${keyEnv}`,
+      debitAccountId: accounts.debit,
+      creditAccountId: accounts.credit,
+      env: { PEMO_BASE_URL: pemoFake.baseUrl, QOYOD_BASE_URL: qoyodFake.baseUrl, ...env }
+    };
+  }
+
+  beforeEach(() => {
+    Object.assign(process.env, {
+      PEMO_KEY_KSA: 'pemo-key',
+      QOYOD_KEY_KSA: 'qoyod-key',
+      PEMO_KEY_UAE: 'other-pemo-key',
+      QOYOD_KEY_UAE: 'other-qoyod-key',
+      SYNC_ENTITIES: JSON.stringify({
+        entities: [
+          entity('ksa', pemo, qoyod, 'KSA', { debit: 5101, credit: 1101 }),
+          entity('uae', otherPemo, otherQoyod, 'UAE', { debit: 6101, credit: 2101 })
+        ]
+      })
+    });
+    pemo.transactions.push({ ...TRANSACTIONS[0] });
+    otherPemo.transactions.push({ id: 'uae-1', totalAmount: 4000, date: '2024-02-01' });
+  });
+
+  after(() => {
+    const keys = ['PEMO_KEY_KSA', 'QOYOD_KEY_KSA', 'PEMO_KEY_UAE', 'QOYOD_KEY_UAE'];
+    for (const key of ['SYNC_ENTITIES', ...keys]) {
+      delete process.env[key];
+    }
+  });
+
+  it('syncs each entity with its own credentials and accounts', async () => {
+    const res = await runSync();
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.failedEntities, []);
+    assert.deepEqual(
+      res.body.entities.map(({ entity: id, result }) => [id, result.exportedTransactionIds]),
+      [['ksa', ['txn-1']], ['uae', ['uae-1']]]
+    );
+    // The deployment's VAT settings are not inherited by the entities.
+    assert.deepEqual(postedPayloads()[0].journal_entry.debit_amounts, [
+      { account_id: 5101, amount: 115, description: 'Starbucks' }
+    ]);
+    assert.deepEqual(
+      otherQoyod.requestsTo('POST', '/journal_entries')[0].body.journal_entry.credit_amounts,
+      [{ account_id: 2101, amount: 40, description: 'Pemo Transaction' }]
+    );
+
+    const status = await invoke(syncStatus, { headers: cron, query: { entity: 'uae' } });
+    const [{ entity: id, runs, lastRun }] = status.body.entities;
+    assert.equal(id, 'uae');
+    assert.equal(runs.length, 1);
+    assert.equal(lastRun.entity, 'uae');
+    assert.deepEqual(lastRun.postedEntries.map(({ transactionId }) => transactionId), ['uae-1']);
+  });
+
+  it('sends each entity its own daily report', async () => {
+    process.env.SYNC_ENTITIES = JSON.stringify({
+      entities: [
+        entity('ksa', pemo, qoyod, 'KSA', { debit: 5101, credit: 1101 }, {
+          REPORT_WEBHOOK_URL: `${pemo.baseUrl}/report`
+        }),
+        entity('uae', otherPemo, otherQoyod, 'UAE', { debit: 6101, credit: 2101 }, {
+          REPORT_WEBHOOK_URL: `${otherPemo.baseUrl}/report`
+        })
+      ]
+    });
+    await runSync();
+
+    const [ksaReport] = pemo.requestsTo('POST', '/report');
+    const [uaeReport] = otherPemo.requestsTo('POST', '/report');
+    assert.equal(ksaReport.body.report.entriesCreated, 1);
+    assert.equal(uaeReport.body.report.entriesCreated, 1);
+    assert.equal(pemo.requestsTo('POST', '/report').length, 1);
+    assert.equal(otherPemo.requestsTo('POST', '/report').length, 1);
+  });
+
+  it('applies the HTTP settings of each entity', async () => {
+    process.env.SYNC_ENTITIES = JSON.stringify({
+      entities: [
+        entity('ksa', pemo, qoyod, 'KSA', { debit: 5101, credit: 1101 }),
+        entity('uae', otherPemo, otherQoyod, 'UAE', { debit: 6101, credit: 2101 }, {
+          HTTP_MAX_RETRIES: 0
+        })
+      ]
+    });
+    qoyod.script('POST', '/journal_entries', { status: 429, body: { message: 'Slow down' } });
+    otherQoyod.script('POST', '/journal_entries', { status: 429, body: { message: 'Slow down' } });
+    const res = await runSync();
+
+    const [ksa, uae] = res.body.entities;
+    assert.deepEqual(ksa.result.exportedTransactionIds, ['txn-1']);
+    assert.equal(qoyod.requestsTo('POST', '/journal_entries').length, 2);
+    assert.deepEqual(uae.result.exportedTransactionIds, []);
+    assert.equal(otherQoyod.requestsTo('POST', '/journal_entries').length, 1);
+  });
+
+  it('keeps syncing the other entities when one fails', async () => {
+    process.env.QOYOD_KEY_UAE = 'revoked-key';
+    const res = await runSync();
+
+    assert.equal(res.status, 200);
+    const [ksa, uae] = res.body.entities;
+    assert.equal(ksa.ok, true);
+    assert.deepEqual(ksa.result.exportedTransactionIds, ['txn-1']);
+    assert.equal(uae.ok, false);
+    assert.match(uae.error, /401/);
+    assert.deepEqual(res.body.failedEntities, ['uae']);
+    assert.equal(otherPemo.transactions[0].exportStatus, undefined);
+
+    delete process.env.PEMO_KEY_UAE;
+    const missing = await runSync();
+    assert.deepEqual(missing.body.failedEntities, ['uae']);
+    assert.match(missing.body.entities[1].error, /PEMO_API_KEY/);
+  });
+
+  it('syncs a single entity on demand', async () => {
+    const res = await runSync({ entity: 'uae' });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.entities.map(({ entity: id }) => id), ['uae']);
+    assert.equal(qoyod.requests.length, 0);
+    assert.equal(otherQoyod.journalEntries.length, 1);
+
+    const unknown = await runSync({ entity: 'egy' });
+    assert.equal(unknown.status, 404);
+  });
+});